@@ -19,18 +19,116 @@ const config = {
     language: process.env.LANGUAGE || 'en',
     country: process.env.COUNTRY || 'US',
     requestDelay: parseInt(process.env.REQUEST_DELAY) || 1000, // milliseconds
+    // Outbound rate limit shared by all requests (defaults to one request per REQUEST_DELAY)
+    ratePerSecond: parseFloat(process.env.OUTBOUND_RATE_PER_SECOND) || 1000 / (parseInt(process.env.REQUEST_DELAY) || 1000),
+    burst: parseInt(process.env.OUTBOUND_BURST) || 3, // requests that may go out back to back
     timeout: parseInt(process.env.REQUEST_TIMEOUT) || 30000, // milliseconds
     maxRedirects: parseInt(process.env.MAX_REDIRECTS) || 5
   },
 
   // Scraping configuration
   scraping: {
+    // strict: fail on upstream errors, degraded: allow partial live data,
+    // demo: fall back to sample data when nothing live is available
+    mode: process.env.SCRAPE_MODE || 'degraded',
     maxCommentsPerRequest: parseInt(process.env.MAX_COMMENTS_PER_REQUEST) || 200,
     maxBatchApps: parseInt(process.env.MAX_BATCH_APPS) || 10,
     defaultCommentLimit: parseInt(process.env.DEFAULT_COMMENT_LIMIT) || 50,
+    reviewBatchSize: parseInt(process.env.REVIEW_BATCH_SIZE) || 150, // reviews per RPC page
+    maxFilterScan: parseInt(process.env.MAX_FILTER_SCAN) || 1000, // reviews scanned per filtered request
     enableFallbackParsing: process.env.ENABLE_FALLBACK_PARSING !== 'false',
-    retryAttempts: parseInt(process.env.RETRY_ATTEMPTS) || 3,
-    retryDelay: parseInt(process.env.RETRY_DELAY) || 2000
+    retryAttempts: parseInt(process.env.RETRY_ATTEMPTS) || 3, // retries of a transient failure
+    retryDelay: parseInt(process.env.RETRY_DELAY) || 2000, // milliseconds, doubled per retry
+    retryMaxDelay: parseInt(process.env.RETRY_MAX_DELAY) || 30000, // milliseconds, also caps Retry-After
+    circuitFailureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5, // consecutive failures
+    circuitResetTimeout: parseInt(process.env.CIRCUIT_RESET_TIMEOUT) || 30000 // milliseconds
+  },
+
+  // Batch job configuration
+  jobs: {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY) || 3, // apps fetched at once across all jobs
+    maxApps: parseInt(process.env.JOB_MAX_APPS) || 500,
+    retentionMinutes: parseInt(process.env.JOB_RETENTION_MINUTES) || 60, // finished jobs are kept this long
+    heartbeatSeconds: parseInt(process.env.JOB_EVENTS_HEARTBEAT) || 15 // keeps idle event streams open
+  },
+
+  // Export configuration
+  export: {
+    defaultLimit: parseInt(process.env.EXPORT_DEFAULT_LIMIT) || 1000, // reviews per export
+    maxReviews: parseInt(process.env.EXPORT_MAX_REVIEWS) || 10000
+  },
+
+  // Topic extraction configuration
+  topics: {
+    defaultSampleSize: parseInt(process.env.TOPICS_DEFAULT_SAMPLE) || 500, // newest reviews analyzed
+    maxSampleSize: parseInt(process.env.TOPICS_MAX_SAMPLE) || 2000,
+    defaultPeriodDays: parseInt(process.env.TOPICS_PERIOD_DAYS) || 30 // trends compare this many days with the ones before
+  },
+
+  // App comparison configuration
+  compare: {
+    maxApps: parseInt(process.env.COMPARE_MAX_APPS) || 10,
+    defaultDays: parseInt(process.env.COMPARE_DEFAULT_DAYS) || 30, // window when no since is given
+    maxReviews: parseInt(process.env.COMPARE_MAX_REVIEWS) || 500, // reviews analyzed per app
+    maxScan: parseInt(process.env.COMPARE_MAX_SCAN) || 5000, // reviews walked per app to reach the window
+    concurrency: parseInt(process.env.COMPARE_CONCURRENCY) || 2 // apps benchmarked at once per comparison
+  },
+
+  // Review store configuration
+  store: {
+    directory: process.env.REVIEW_STORE_DIR || './data/reviews',
+    maxCollections: parseInt(process.env.REVIEW_STORE_MAX_COLLECTIONS) || 20, // app/locale collections kept in memory
+    syncMaxReviews: parseInt(process.env.SYNC_MAX_REVIEWS) || 1000 // reviews walked per sync
+  },
+
+  // Watchlist configuration
+  watchlist: {
+    enableScheduler: process.env.ENABLE_WATCHLIST_SCHEDULER !== 'false',
+    file: process.env.WATCHLIST_FILE || './data/watchlist.json',
+    defaultIntervalMinutes: parseInt(process.env.WATCHLIST_DEFAULT_INTERVAL) || 60,
+    minIntervalMinutes: parseInt(process.env.WATCHLIST_MIN_INTERVAL) || 5
+  },
+
+  // Chart recording configuration
+  charts: {
+    enableRecording: process.env.ENABLE_CHART_RECORDING !== 'false',
+    file: process.env.CHART_RECORDINGS_FILE || './data/chart-recordings.json',
+    historyDirectory: process.env.CHART_HISTORY_DIR || './data/charts',
+    defaultIntervalMinutes: parseInt(process.env.CHART_RECORD_INTERVAL) || 360,
+    minIntervalMinutes: parseInt(process.env.CHART_MIN_INTERVAL) || 30,
+    maxSnapshots: parseInt(process.env.CHART_MAX_SNAPSHOTS) || 1000 // snapshots kept per chart
+  },
+
+  // Keyword rank tracking configuration
+  keywords: {
+    enableTracking: process.env.ENABLE_KEYWORD_TRACKING !== 'false',
+    file: process.env.KEYWORD_TRACKERS_FILE || './data/keyword-trackers.json',
+    historyDirectory: process.env.KEYWORD_HISTORY_DIR || './data/keywords',
+    defaultIntervalMinutes: parseInt(process.env.KEYWORD_TRACK_INTERVAL) || 1440,
+    minIntervalMinutes: parseInt(process.env.KEYWORD_MIN_INTERVAL) || 60,
+    maxKeywords: parseInt(process.env.KEYWORD_MAX_PER_TRACKER) || 50,
+    maxPoints: parseInt(process.env.KEYWORD_MAX_POINTS) || 1000, // points kept per keyword
+    moveThreshold: parseInt(process.env.KEYWORD_MOVE_THRESHOLD) || 5 // positions that make a move significant
+  },
+
+  // Review anomaly detection configuration
+  anomalies: {
+    enableMonitor: process.env.ENABLE_ANOMALY_MONITOR !== 'false', // check apps after every sync that saves new reviews
+    recentDays: parseInt(process.env.ANOMALY_RECENT_DAYS) || 7,
+    baselineDays: parseInt(process.env.ANOMALY_BASELINE_DAYS) || 30, // compared with the recent days
+    maxReviews: parseInt(process.env.ANOMALY_MAX_REVIEWS) || 2000 // reviews analyzed per check
+  },
+
+  // Webhook configuration
+  webhooks: {
+    file: process.env.WEBHOOKS_FILE || './data/webhooks.json',
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+    retryBaseDelay: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY) || 5000, // milliseconds, doubled per attempt
+    retryMaxDelay: parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY) || 60 * 60 * 1000, // milliseconds
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000, // milliseconds
+    deliveryLogSize: parseInt(process.env.WEBHOOK_DELIVERY_LOG_SIZE) || 500, // deliveries kept in the log
+    // Local or private hosts webhooks may still be delivered to, comma-separated
+    allowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
   },
 
   // Rate limiting configuration
@@ -55,11 +153,13 @@ const config = {
     logFilePath: process.env.LOG_FILE_PATH || './logs/app.log'
   },
 
-  // Cache configuration (for future implementation)
+  // Cache configuration
   cache: {
     enableCache: process.env.ENABLE_CACHE === 'true',
     cacheTTL: parseInt(process.env.CACHE_TTL) || 3600, // 1 hour in seconds
-    maxCacheSize: parseInt(process.env.MAX_CACHE_SIZE) || 100 // maximum cached items
+    maxCacheSize: parseInt(process.env.MAX_CACHE_SIZE) || 100, // maximum cached items
+    store: process.env.CACHE_STORE || 'memory', // memory or file
+    directory: process.env.CACHE_DIR || './data/cache'
   }
 };
 
@@ -2,6 +2,227 @@
  * Validation middleware for the Google Play Store Comments API
  */
 
+const config = require('../config/config');
+const { decodeCursor } = require('../utils/cursor');
+const { EXPORT_COLUMNS, EXPORT_FORMATS } = require('../utils/export');
+const { MAX_LOCALES, normalizeLanguage, normalizeCountry, parseLocales } = require('../utils/locales');
+const { CHART_COLLECTIONS, CHART_CATEGORIES, MAX_CHART_SIZE } = require('../utils/charts');
+const { MAX_FILTER_TEXT, parseFilters, compilePattern, filterSignature } = require('../utils/reviewFilters');
+const { INTERVALS, isValidTimeZone } = require('../utils/timeSeries');
+const { WEBHOOK_EVENTS, isAllowedTarget } = require('../utils/webhooks');
+
+// Google Play Store app IDs typically follow this pattern:
+// - Start with a letter or number
+// - Can contain letters, numbers, dots, and underscores
+// - Usually 3-100 characters long
+const appIdPattern = /^[a-zA-Z0-9][a-zA-Z0-9._-]{2,99}$/;
+
+const validModes = ['strict', 'degraded', 'demo'];
+const validSources = ['live', 'store'];
+const validAnalyses = ['sentiment'];
+
+/**
+ * Check a scrape mode parameter
+ * @param {*} mode - Mode from the query string or body
+ * @returns {Object|null} Error response body, or null when valid
+ */
+const checkMode = (mode) => {
+  if (mode === undefined || validModes.includes(mode)) return null;
+  
+  return {
+    success: false,
+    error: 'Invalid mode parameter',
+    message: `Mode must be one of: ${validModes.join(', ')}`
+  };
+};
+
+/**
+ * Check a data source parameter
+ * @param {*} source - Source from the query string or body
+ * @returns {Object|null} Error response body, or null when valid
+ */
+const checkSource = (source) => {
+  if (source === undefined || validSources.includes(source)) return null;
+  
+  return {
+    success: false,
+    error: 'Invalid source parameter',
+    message: `Source must be one of: ${validSources.join(', ')}`
+  };
+};
+
+/**
+ * Check an analyze parameter (comma-separated analyses)
+ * @param {*} analyze - Analyses from the query string
+ * @returns {Object|null} Error response body, or null when valid
+ */
+const checkAnalyze = (analyze) => {
+  if (analyze === undefined) return null;
+  if (String(analyze).split(',').every(name => validAnalyses.includes(name.trim()))) return null;
+  
+  return {
+    success: false,
+    error: 'Invalid analyze parameter',
+    message: `Analyze must be a comma-separated list of: ${validAnalyses.join(', ')}`
+  };
+};
+
+/**
+ * Check hl (language) and gl (country) parameters
+ * @param {*} hl - Language from the query string or body
+ * @param {*} gl - Country from the query string or body
+ * @returns {Object|null} Error response body, or null when valid
+ */
+const checkLocale = (hl, gl) => {
+  if (hl !== undefined && !normalizeLanguage(hl)) {
+    return {
+      success: false,
+      error: 'Invalid hl parameter',
+      message: 'hl must be a Google Play language code, e.g. "en", "de" or "pt-BR"'
+    };
+  }
+  
+  if (gl !== undefined && !normalizeCountry(gl)) {
+    return {
+      success: false,
+      error: 'Invalid gl parameter',
+      message: 'gl must be an ISO 3166-1 alpha-2 country code, e.g. "US" or "DE"'
+    };
+  }
+  
+  return null;
+};
+
+/**
+ * Check a locales fan-out parameter
+ * @param {*} locales - Comma-separated locales from the query string
+ * @param {Object} query - The rest of the query string
+ * @returns {Object|null} Error response body, or null when valid
+ */
+const checkLocales = (locales, { hl, gl, cursor }) => {
+  if (locales === undefined) return null;
+  
+  const parsed = parseLocales(locales);
+  if (!parsed || parsed.length > MAX_LOCALES) {
+    return {
+      success: false,
+      error: 'Invalid locales parameter',
+      message: `locales must be a comma-separated list of up to ${MAX_LOCALES} language-country pairs, e.g. "en-US,pt-BR,de-DE"`
+    };
+  }
+  
+  if (hl !== undefined || gl !== undefined || cursor !== undefined) {
+    return {
+      success: false,
+      error: 'Invalid locales parameter',
+      message: 'locales cannot be combined with hl, gl or cursor'
+    };
+  }
+  
+  return null;
+};
+
+/**
+ * Check review filter parameters
+ * @param {Object} params - Query string or request body
+ * @returns {Object|null} Error response body, or null when valid
+ */
+const checkFilters = (params) => {
+  const { minRating, maxRating, rating, since, until, version, hasReply, minHelpful, minLength, maxLength, q, regex } = params;
+  const invalid = (name, message) => ({ success: false, error: `Invalid ${name} parameter`, message });
+  const isRating = value => /^[1-5]$/.test(String(value).trim());
+  const isWholeNumber = value => /^\d+$/.test(String(value).trim());
+  const isText = value => (typeof value === 'string' || typeof value === 'number') && String(value).trim() !== '';
+  
+  for (const [name, value] of [['minRating', minRating], ['maxRating', maxRating]]) {
+    if (value !== undefined && !isRating(value)) {
+      return invalid(name, `${name} must be a star rating between 1 and 5`);
+    }
+  }
+  if (minRating !== undefined && maxRating !== undefined && parseInt(minRating) > parseInt(maxRating)) {
+    return invalid('minRating', 'minRating cannot be greater than maxRating');
+  }
+  
+  if (rating !== undefined) {
+    const ratings = Array.isArray(rating) ? rating : String(rating).split(',');
+    if (ratings.length === 0 || !ratings.every(isRating)) {
+      return invalid('rating', 'rating must be a comma-separated list of star ratings between 1 and 5, e.g. "1,2"');
+    }
+  }
+  
+  for (const [name, value] of [['since', since], ['until', until]]) {
+    if (value !== undefined && (!isText(value) || isNaN(Date.parse(String(value))))) {
+      return invalid(name, `${name} must be an ISO 8601 date or date-time, e.g. "2024-01-01"`);
+    }
+  }
+  if (since !== undefined && until !== undefined && Date.parse(String(since)) > Date.parse(String(until))) {
+    return invalid('since', 'since cannot be later than until');
+  }
+  
+  if (version !== undefined && (!isText(version) || String(version).length > 50)) {
+    return invalid('version', 'version must be an app version of at most 50 characters, e.g. "2.24" or "2.24.1.6"');
+  }
+  
+  if (hasReply !== undefined && !['true', 'false'].includes(String(hasReply))) {
+    return invalid('hasReply', 'hasReply must be true or false');
+  }
+  
+  for (const [name, value] of [['minHelpful', minHelpful], ['minLength', minLength], ['maxLength', maxLength]]) {
+    if (value !== undefined && !isWholeNumber(value)) {
+      return invalid(name, `${name} must be a whole number of at least 0`);
+    }
+  }
+  if (minLength !== undefined && maxLength !== undefined && parseInt(minLength) > parseInt(maxLength)) {
+    return invalid('minLength', 'minLength cannot be greater than maxLength');
+  }
+  
+  if (q !== undefined && (!isText(q) || String(q).length > MAX_FILTER_TEXT)) {
+    return invalid('q', `q must be a non-empty keyword of at most ${MAX_FILTER_TEXT} characters`);
+  }
+  
+  if (regex !== undefined) {
+    let compiles = typeof regex === 'string' && regex.length > 0 && regex.length <= MAX_FILTER_TEXT;
+    try {
+      if (compiles) compilePattern(regex);
+    } catch (error) {
+      compiles = false;
+    }
+    if (!compiles) {
+      return invalid('regex', `regex must be a valid regular expression of at most ${MAX_FILTER_TEXT} characters, without backreferences or lookarounds`);
+    }
+  }
+  
+  return null;
+};
+
+/**
+ * Check chart collection and category parameters
+ * @param {*} collection - Chart from the query string or body
+ * @param {*} category - Category from the query string or body
+ * @param {Object} options - Options
+ * @param {boolean} options.required - Whether the collection must be given
+ * @returns {Object|null} Error response body, or null when valid
+ */
+const checkChart = (collection, category, { required = true } = {}) => {
+  if ((collection !== undefined || required) && !Object.prototype.hasOwnProperty.call(CHART_COLLECTIONS, collection)) {
+    return {
+      success: false,
+      error: 'Invalid collection parameter',
+      message: `Collection must be one of: ${Object.keys(CHART_COLLECTIONS).join(', ')}`
+    };
+  }
+  
+  if (category !== undefined && (typeof category !== 'string' || !CHART_CATEGORIES.includes(category.toUpperCase()))) {
+    return {
+      success: false,
+      error: 'Invalid category parameter',
+      message: 'Category must be a Google Play category ID, e.g. "APPLICATION", "GAME" or "GAME_PUZZLE"'
+    };
+  }
+  
+  return null;
+};
+
 /**
  * Validate Google Play Store app ID
  * @param {Object} req - Express request object
@@ -18,12 +239,6 @@ const validateAppId = (req, res, next) => {
     });
   }
   
-  // Google Play Store app IDs typically follow this pattern:
-  // - Start with a letter or number
-  // - Can contain letters, numbers, dots, and underscores
-  // - Usually 3-100 characters long
-  const appIdPattern = /^[a-zA-Z0-9][a-zA-Z0-9._-]{2,99}$/;
-  
   if (!appIdPattern.test(appId)) {
     return res.status(400).json({
       success: false,
@@ -51,7 +266,13 @@ const validateAppId = (req, res, next) => {
  * @param {Function} next - Express next function
  */
 const validateCommentParams = (req, res, next) => {
-  const { limit, sort } = req.query;
+  const { limit, sort, cursor, mode, source, hl, gl, locales, analyze } = req.query;
+  
+  // Validate filter parameters
+  const filterError = checkFilters(req.query);
+  if (filterError) {
+    return res.status(400).json(filterError);
+  }
   
   // Validate limit parameter
   if (limit !== undefined) {
@@ -77,100 +298,1089 @@ const validateCommentParams = (req, res, next) => {
     }
   }
   
+  // Validate mode parameter
+  const modeError = checkMode(mode);
+  if (modeError) {
+    return res.status(400).json(modeError);
+  }
+  
+  // Validate source parameter
+  const sourceError = checkSource(source);
+  if (sourceError) {
+    return res.status(400).json(sourceError);
+  }
+  
+  // Validate analyze parameter
+  const analyzeError = checkAnalyze(analyze);
+  if (analyzeError) {
+    return res.status(400).json(analyzeError);
+  }
+  
+  // Validate locale parameters
+  const localeError = checkLocale(hl, gl) || checkLocales(locales, req.query);
+  if (localeError) {
+    return res.status(400).json(localeError);
+  }
+  
+  // Validate cursor parameter
+  if (cursor !== undefined) {
+    const decoded = decodeCursor(cursor);
+    if (!decoded) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor parameter',
+        message: 'Cursor must be a nextCursor value returned by a previous request'
+      });
+    }
+    
+    // A continuation token is only valid for the ordering it was issued for
+    if (sort !== undefined && sort !== decoded.sort) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor parameter',
+        message: `Cursor was issued for sort "${decoded.sort}" and cannot be used with sort "${sort}"`
+      });
+    }
+    
+    if (decoded.source !== (source || 'live')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor parameter',
+        message: `Cursor was issued for source "${decoded.source}" and cannot be used with source "${source || 'live'}"`
+      });
+    }
+    
+    if ((hl !== undefined && normalizeLanguage(hl) !== decoded.language) ||
+        (gl !== undefined && normalizeCountry(gl) !== decoded.country)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor parameter',
+        message: `Cursor was issued for locale "${decoded.language}-${decoded.country}" and cannot be used with another hl or gl`
+      });
+    }
+    
+    // Positions in a filtered listing only make sense with the same filters
+    if (decoded.filters !== filterSignature(parseFilters(req.query))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor parameter',
+        message: 'Cursor was issued for other filters; repeat the filters of the first request to continue'
+      });
+    }
+  }
+  
   next();
 };
 
 /**
- * Validate batch request body
+ * Validate the time series parameters of comment statistics
+ * Runs after validateCommentParams, which covers the shared parameters.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-const validateBatchRequest = (req, res, next) => {
-  const { appIds, limit, sort } = req.body;
+const validateStatsParams = (req, res, next) => {
+  const { interval, tz, window } = req.query;
   
-  // Validate appIds array
-  if (!appIds || !Array.isArray(appIds)) {
+  if (interval !== undefined && !INTERVALS.includes(interval)) {
     return res.status(400).json({
       success: false,
-      error: 'appIds must be an array'
+      error: 'Invalid interval parameter',
+      message: `Interval must be one of: ${INTERVALS.join(', ')}`
     });
   }
   
-  if (appIds.length === 0) {
+  if (tz !== undefined && (typeof tz !== 'string' || !tz || !isValidTimeZone(tz))) {
     return res.status(400).json({
       success: false,
-      error: 'appIds array cannot be empty'
+      error: 'Invalid tz parameter',
+      message: 'tz must be an IANA time zone, e.g. UTC or Europe/Berlin'
     });
   }
   
-  if (appIds.length > 10) {
+  if (window !== undefined) {
+    const windowNum = parseInt(window);
+    if (isNaN(windowNum) || windowNum < 1 || windowNum > 90) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid window parameter',
+        message: 'Window must be a number of buckets between 1 and 90'
+      });
+    }
+  }
+  
+  next();
+};
+
+/**
+ * Validate query parameters for app comparisons
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateCompareParams = (req, res, next) => {
+  const { appIds, since, until, limit, interval, mode, source, hl, gl } = req.query;
+  
+  if (typeof appIds !== 'string' || !appIds.trim()) {
     return res.status(400).json({
       success: false,
-      error: 'Maximum 10 apps allowed per batch request'
+      error: 'appIds is required',
+      message: 'appIds must be a comma-separated list of app IDs'
     });
   }
   
-  // Validate each app ID in the array
-  const appIdPattern = /^[a-zA-Z0-9][a-zA-Z0-9._-]{2,99}$/;
-  for (let i = 0; i < appIds.length; i++) {
-    const appId = appIds[i];
-    
-    if (typeof appId !== 'string' || !appId.trim()) {
+  const ids = appIds.split(',').map(appId => appId.trim());
+  if (ids.length < 2 || ids.length > config.compare.maxApps) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid appIds parameter',
+      message: `Compare between 2 and ${config.compare.maxApps} apps`
+    });
+  }
+  
+  const invalidId = ids.find(appId => !appIdPattern.test(appId) || appId.includes('..') || appId.includes('__') || appId.includes('--'));
+  if (invalidId !== undefined) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid app ID format',
+      message: `"${invalidId}" is not a valid app ID`
+    });
+  }
+  
+  if (new Set(ids).size !== ids.length) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid appIds parameter',
+      message: 'appIds cannot contain duplicates'
+    });
+  }
+  
+  const windowError = checkFilters({ since, until });
+  if (windowError) {
+    return res.status(400).json(windowError);
+  }
+  
+  if (since !== undefined && Date.parse(String(since)) > Date.now()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid since parameter',
+      message: 'since cannot be in the future'
+    });
+  }
+  
+  if (limit !== undefined) {
+    const limitNum = parseInt(limit);
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > config.compare.maxReviews) {
       return res.status(400).json({
         success: false,
-        error: `Invalid app ID at index ${i}`,
-        message: 'App ID must be a non-empty string'
+        error: 'Invalid limit parameter',
+        message: `Limit must be a number between 1 and ${config.compare.maxReviews} for comparisons`
       });
     }
-    
-    if (!appIdPattern.test(appId.trim())) {
+  }
+  
+  if (interval !== undefined && !INTERVALS.includes(interval)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid interval parameter',
+      message: `Interval must be one of: ${INTERVALS.join(', ')}`
+    });
+  }
+  
+  const paramError = checkMode(mode) || checkSource(source) || checkLocale(hl, gl);
+  if (paramError) {
+    return res.status(400).json(paramError);
+  }
+  
+  next();
+};
+
+/**
+ * Validate query parameters for review anomaly detection
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateAnomalyParams = (req, res, next) => {
+  const { days, baselineDays, mode, source, hl, gl } = req.query;
+  
+  const ranges = [['days', days, 90], ['baselineDays', baselineDays, 365]];
+  for (const [name, value, max] of ranges) {
+    if (value === undefined) continue;
+    const valueNum = parseInt(value);
+    if (isNaN(valueNum) || valueNum < 1 || valueNum > max) {
       return res.status(400).json({
         success: false,
-        error: `Invalid app ID format at index ${i}`,
-        message: 'App ID should contain only letters, numbers, dots, underscores, and hyphens, starting with a letter or number'
+        error: `Invalid ${name} parameter`,
+        message: `${name} must be a number between 1 and ${max}`
       });
     }
-    
-    // Check for common invalid patterns
-    if (appId.includes('..') || appId.includes('__') || appId.includes('--')) {
+  }
+  
+  const paramError = checkMode(mode) || checkSource(source) || checkLocale(hl, gl);
+  if (paramError) {
+    return res.status(400).json(paramError);
+  }
+  
+  next();
+};
+
+/**
+ * Validate query parameters for review topics
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateTopicParams = (req, res, next) => {
+  const { limit, days, maxTopics, mode, source, hl, gl } = req.query;
+  
+  if (limit !== undefined) {
+    const limitNum = parseInt(limit);
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > config.topics.maxSampleSize) {
       return res.status(400).json({
         success: false,
-        error: `Invalid app ID format at index ${i}`,
-        message: 'App ID cannot contain consecutive dots, underscores, or hyphens'
+        error: 'Invalid limit parameter',
+        message: `Limit must be a number between 1 and ${config.topics.maxSampleSize} for topics`
       });
     }
   }
   
-  // Validate limit parameter
-  if (limit !== undefined) {
-    const limitNum = parseInt(limit);
-    if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+  if (days !== undefined) {
+    const daysNum = parseInt(days);
+    if (isNaN(daysNum) || daysNum < 1 || daysNum > 365) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid limit parameter',
-        message: 'Limit must be a number between 1 and 100 for batch requests'
+        error: 'Invalid days parameter',
+        message: 'Days must be a number between 1 and 365'
       });
     }
   }
   
-  // Validate sort parameter
-  if (sort !== undefined) {
-    const validSortOptions = ['recent', 'rating', 'helpfulness'];
-    if (!validSortOptions.includes(sort)) {
+  if (maxTopics !== undefined) {
+    const maxTopicsNum = parseInt(maxTopics);
+    if (isNaN(maxTopicsNum) || maxTopicsNum < 1 || maxTopicsNum > 50) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid sort parameter',
-        message: `Sort must be one of: ${validSortOptions.join(', ')}`
+        error: 'Invalid maxTopics parameter',
+        message: 'maxTopics must be a number between 1 and 50'
       });
     }
   }
   
+  const paramError = checkMode(mode) || checkSource(source) || checkLocale(hl, gl) || checkFilters(req.query);
+  if (paramError) {
+    return res.status(400).json(paramError);
+  }
+  
+  next();
+};
+
+/**
+ * Validate query parameters for app details
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateAppParams = (req, res, next) => {
+  const { hl, gl, mode } = req.query;
+  
+  const paramError = checkLocale(hl, gl) || checkMode(mode);
+  if (paramError) {
+    return res.status(400).json(paramError);
+  }
+  
+  next();
+};
+
+/**
+ * Validate query parameters for app search
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateSearchParams = (req, res, next) => {
+  const { q, limit, hl, gl, mode } = req.query;
+  
+  if (typeof q !== 'string' || !q.trim() || q.length > 200) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid q parameter',
+      message: 'q must be a non-empty search term of at most 200 characters'
+    });
+  }
+  
+  if (limit !== undefined) {
+    const limitNum = parseInt(limit);
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 50) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid limit parameter',
+        message: 'Limit must be a number between 1 and 50 for searches'
+      });
+    }
+  }
+  
+  const paramError = checkLocale(hl, gl) || checkMode(mode);
+  if (paramError) {
+    return res.status(400).json(paramError);
+  }
+  
+  next();
+};
+
+/**
+ * Validate a developer ID (numeric ID or developer name)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateDeveloperId = (req, res, next) => {
+  const { developerId } = req.params;
+  
+  if (!developerId || developerId.length > 200 || !developerId.trim() || /[\u0000-\u001f]/.test(developerId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid developer ID',
+      message: 'Developer ID must be a numeric developer ID or a developer name of at most 200 characters'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validate query parameters for paged app listings (developer apps, similar apps)
+ * @param {string} listing - Listing the cursors belong to
+ * @returns {Function} Express middleware
+ */
+const validateAppListParams = (listing) => (req, res, next) => {
+  const { limit, cursor, hl, gl, mode } = req.query;
+  
+  if (limit !== undefined) {
+    const limitNum = parseInt(limit);
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid limit parameter',
+        message: 'Limit must be a number between 1 and 100'
+      });
+    }
+  }
+  
+  const paramError = checkLocale(hl, gl) || checkMode(mode);
+  if (paramError) {
+    return res.status(400).json(paramError);
+  }
+  
+  if (cursor !== undefined) {
+    const decoded = decodeCursor(cursor);
+    if (!decoded || decoded.source !== listing || !/^\d+$/.test(decoded.token)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor parameter',
+        message: 'Cursor must be a nextCursor value returned by a previous request to this listing'
+      });
+    }
+    
+    if ((hl !== undefined && normalizeLanguage(hl) !== decoded.language) ||
+        (gl !== undefined && normalizeCountry(gl) !== decoded.country)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor parameter',
+        message: `Cursor was issued for locale "${decoded.language}-${decoded.country}" and cannot be used with another hl or gl`
+      });
+    }
+  }
+  
+  next();
+};
+
+/**
+ * Validate top chart query parameters
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateChartParams = (req, res, next) => {
+  const { collection, category, limit, hl, gl, mode } = req.query;
+  
+  if (limit !== undefined) {
+    const limitNum = parseInt(limit);
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > MAX_CHART_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid limit parameter',
+        message: `Limit must be a number between 1 and ${MAX_CHART_SIZE} for charts`
+      });
+    }
+  }
+  
+  const paramError = checkChart(collection, category) || checkLocale(hl, gl) || checkMode(mode);
+  if (paramError) {
+    return res.status(400).json(paramError);
+  }
+  
+  next();
+};
+
+/**
+ * Validate chart recording request body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateChartRecording = (req, res, next) => {
+  const { collection, category, language, country, limit, intervalMinutes } = req.body;
+  
+  const chartError = checkChart(collection, category);
+  if (chartError) {
+    return res.status(400).json(chartError);
+  }
+  
+  if (language !== undefined && normalizeLanguage(language) !== language) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid language parameter',
+      message: 'Language must be a Google Play language code, e.g. "en" or "pt-BR"'
+    });
+  }
+  
+  if (country !== undefined && normalizeCountry(country) !== country) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid country parameter',
+      message: 'Country must be an uppercase ISO 3166-1 alpha-2 code, e.g. "US"'
+    });
+  }
+  
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_CHART_SIZE)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid limit parameter',
+      message: `limit must be a whole number between 1 and ${MAX_CHART_SIZE}`
+    });
+  }
+  
+  if (intervalMinutes !== undefined) {
+    const minInterval = config.charts.minIntervalMinutes;
+    if (!Number.isInteger(intervalMinutes) || intervalMinutes < minInterval || intervalMinutes > 7 * 24 * 60) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid intervalMinutes parameter',
+        message: `intervalMinutes must be a whole number between ${minInterval} and ${7 * 24 * 60}`
+      });
+    }
+  }
+  
+  next();
+};
+
+/**
+ * Validate rank history query parameters
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateRankHistoryParams = (req, res, next) => {
+  const { collection, category, gl, since } = req.query;
+  
+  const paramError = checkChart(collection, category, { required: false }) || checkLocale(undefined, gl);
+  if (paramError) {
+    return res.status(400).json(paramError);
+  }
+  
+  if (since !== undefined && isNaN(Date.parse(since))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid since parameter',
+      message: 'since must be an ISO 8601 date, e.g. "2024-01-01"'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validate batch request body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateBatchRequest = (req, res, next) => {
+  const { appIds, limit, sort, mode, source, hl, gl } = req.body;
+  
+  // Validate appIds array
+  if (!appIds || !Array.isArray(appIds)) {
+    return res.status(400).json({
+      success: false,
+      error: 'appIds must be an array'
+    });
+  }
+  
+  if (appIds.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'appIds array cannot be empty'
+    });
+  }
+  
+  if (appIds.length > 10) {
+    return res.status(400).json({
+      success: false,
+      error: 'Maximum 10 apps allowed per batch request'
+    });
+  }
+  
+  // Validate each app ID in the array
+  for (let i = 0; i < appIds.length; i++) {
+    const appId = appIds[i];
+    
+    if (typeof appId !== 'string' || !appId.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid app ID at index ${i}`,
+        message: 'App ID must be a non-empty string'
+      });
+    }
+    
+    if (!appIdPattern.test(appId.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid app ID format at index ${i}`,
+        message: 'App ID should contain only letters, numbers, dots, underscores, and hyphens, starting with a letter or number'
+      });
+    }
+    
+    // Check for common invalid patterns
+    if (appId.includes('..') || appId.includes('__') || appId.includes('--')) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid app ID format at index ${i}`,
+        message: 'App ID cannot contain consecutive dots, underscores, or hyphens'
+      });
+    }
+  }
+  
+  // Validate limit parameter
+  if (limit !== undefined) {
+    const limitNum = parseInt(limit);
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid limit parameter',
+        message: 'Limit must be a number between 1 and 100 for batch requests'
+      });
+    }
+  }
+  
+  // Validate sort parameter
+  if (sort !== undefined) {
+    const validSortOptions = ['recent', 'rating', 'helpfulness'];
+    if (!validSortOptions.includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid sort parameter',
+        message: `Sort must be one of: ${validSortOptions.join(', ')}`
+      });
+    }
+  }
+  
+  // Validate mode parameter
+  const modeError = checkMode(mode);
+  if (modeError) {
+    return res.status(400).json(modeError);
+  }
+  
+  // Validate source parameter
+  const sourceError = checkSource(source);
+  if (sourceError) {
+    return res.status(400).json(sourceError);
+  }
+  
+  // Validate locale parameters
+  const localeError = checkLocale(hl, gl);
+  if (localeError) {
+    return res.status(400).json(localeError);
+  }
+  
+  // Validate filter parameters
+  const filterError = checkFilters(req.body);
+  if (filterError) {
+    return res.status(400).json(filterError);
+  }
+  
+  next();
+};
+
+/**
+ * Validate batch job request body
+ * Apps are app ID strings or objects with an appId and their own limit,
+ * sort, mode, source, hl or gl; the top-level values are the defaults.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateJobRequest = (req, res, next) => {
+  const { apps } = req.body;
+  
+  if (!Array.isArray(apps) || apps.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'apps must be a non-empty array'
+    });
+  }
+  
+  if (apps.length > config.jobs.maxApps) {
+    return res.status(400).json({
+      success: false,
+      error: `Maximum ${config.jobs.maxApps} apps allowed per job`
+    });
+  }
+  
+  // Options are checked the same way at the top level and on each app
+  const checkOptions = ({ limit, sort, mode, source, hl, gl }, label) => {
+    if (limit !== undefined) {
+      const limitNum = parseInt(limit);
+      if (isNaN(limitNum) || limitNum < 1 || limitNum > 200) {
+        return {
+          success: false,
+          error: `Invalid limit parameter${label}`,
+          message: 'Limit must be a number between 1 and 200'
+        };
+      }
+    }
+    
+    const validSortOptions = ['recent', 'rating', 'helpfulness'];
+    if (sort !== undefined && !validSortOptions.includes(sort)) {
+      return {
+        success: false,
+        error: `Invalid sort parameter${label}`,
+        message: `Sort must be one of: ${validSortOptions.join(', ')}`
+      };
+    }
+    
+    const paramError = checkMode(mode) || checkSource(source) || checkLocale(hl, gl);
+    return paramError ? { ...paramError, error: `${paramError.error}${label}` } : null;
+  };
+  
+  const optionsError = checkOptions(req.body, '');
+  if (optionsError) {
+    return res.status(400).json(optionsError);
+  }
+  
+  for (let i = 0; i < apps.length; i++) {
+    const app = apps[i];
+    const appId = typeof app === 'string' ? app : app && app.appId;
+    
+    if (typeof appId !== 'string' || !appIdPattern.test(appId) ||
+        appId.includes('..') || appId.includes('__') || appId.includes('--')) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid app ID at index ${i}`,
+        message: 'Each app must be a valid app ID or an object with a valid appId'
+      });
+    }
+    
+    if (typeof app === 'object') {
+      const itemError = checkOptions(app, ` at index ${i}`);
+      if (itemError) {
+        return res.status(400).json(itemError);
+      }
+    }
+  }
+  
+  next();
+};
+
+/**
+ * Validate query parameters for review exports
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateExportParams = (req, res, next) => {
+  const { format, columns, limit, bom, sort, mode, source, hl, gl } = req.query;
+  
+  if (format !== undefined && !EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid format parameter',
+      message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`
+    });
+  }
+  
+  if (columns !== undefined) {
+    // A repeated parameter (?columns=id&columns=text) arrives as an array
+    const requested = typeof columns === 'string' ? columns.split(',').map(column => column.trim()) : null;
+    const unknown = requested ? requested.filter(column => !EXPORT_COLUMNS.includes(column)) : [];
+    if (!requested || unknown.length > 0 || new Set(requested).size !== requested.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid columns parameter',
+        message: `Columns must be a comma-separated list without duplicates of: ${EXPORT_COLUMNS.join(', ')}`
+      });
+    }
+  }
+  
+  if (limit !== undefined) {
+    const limitNum = parseInt(limit);
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > config.export.maxReviews) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid limit parameter',
+        message: `Limit must be a number between 1 and ${config.export.maxReviews} for exports`
+      });
+    }
+  }
+  
+  if (bom !== undefined && !['true', 'false', '1', '0'].includes(bom)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid bom parameter',
+      message: 'bom must be true or false'
+    });
+  }
+  
+  if (sort !== undefined) {
+    const validSortOptions = ['recent', 'rating', 'helpfulness'];
+    if (!validSortOptions.includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid sort parameter',
+        message: `Sort must be one of: ${validSortOptions.join(', ')}`
+      });
+    }
+  }
+  
+  const modeError = checkMode(mode);
+  if (modeError) {
+    return res.status(400).json(modeError);
+  }
+  
+  const sourceError = checkSource(source);
+  if (sourceError) {
+    return res.status(400).json(sourceError);
+  }
+  
+  const localeError = checkLocale(hl, gl);
+  if (localeError) {
+    return res.status(400).json(localeError);
+  }
+  
+  const filterError = checkFilters(req.query);
+  if (filterError) {
+    return res.status(400).json(filterError);
+  }
+  
+  next();
+};
+
+/**
+ * Validate review sync request body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateSyncRequest = (req, res, next) => {
+  const { maxReviews, fullSync, hl, gl } = req.body;
+  
+  if (maxReviews !== undefined) {
+    const maxNum = parseInt(maxReviews);
+    if (isNaN(maxNum) || maxNum < 1 || maxNum > 10000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid maxReviews parameter',
+        message: 'maxReviews must be a number between 1 and 10000'
+      });
+    }
+  }
+  
+  if (fullSync !== undefined && typeof fullSync !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid fullSync parameter',
+      message: 'fullSync must be a boolean'
+    });
+  }
+  
+  const localeError = checkLocale(hl, gl);
+  if (localeError) {
+    return res.status(400).json(localeError);
+  }
+  
+  next();
+};
+
+/**
+ * Validate watchlist entry request body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateWatchlistEntry = (req, res, next) => {
+  const { appId, language, country, intervalMinutes } = req.body;
+  
+  if (typeof appId !== 'string' || !appIdPattern.test(appId) ||
+      appId.includes('..') || appId.includes('__') || appId.includes('--')) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid app ID format',
+      message: 'appId must be a valid Google Play Store app ID'
+    });
+  }
+  
+  if (language !== undefined && normalizeLanguage(language) !== language) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid language parameter',
+      message: 'Language must be a Google Play language code, e.g. "en" or "pt-BR"'
+    });
+  }
+  
+  if (country !== undefined && normalizeCountry(country) !== country) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid country parameter',
+      message: 'Country must be an uppercase ISO 3166-1 alpha-2 code, e.g. "US"'
+    });
+  }
+  
+  if (intervalMinutes !== undefined) {
+    const minInterval = config.watchlist.minIntervalMinutes;
+    if (!Number.isInteger(intervalMinutes) || intervalMinutes < minInterval || intervalMinutes > 7 * 24 * 60) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid intervalMinutes parameter',
+        message: `intervalMinutes must be a whole number between ${minInterval} and ${7 * 24 * 60}`
+      });
+    }
+  }
+  
+  next();
+};
+
+/**
+ * Validate keyword tracker request body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateKeywordTracker = (req, res, next) => {
+  const { appId, language, country, keywords, depth, intervalMinutes } = req.body;
+  const maxKeywords = config.keywords.maxKeywords;
+  
+  if (typeof appId !== 'string' || !appIdPattern.test(appId) ||
+      appId.includes('..') || appId.includes('__') || appId.includes('--')) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid app ID format',
+      message: 'appId must be a valid Google Play Store app ID'
+    });
+  }
+  
+  if (!Array.isArray(keywords) || keywords.length === 0 || keywords.length > maxKeywords ||
+      keywords.some(keyword => typeof keyword !== 'string' || !keyword.trim() || keyword.length > 200)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid keywords parameter',
+      message: `keywords must be an array of 1 to ${maxKeywords} non-empty search terms of at most 200 characters`
+    });
+  }
+  
+  if (language !== undefined && normalizeLanguage(language) !== language) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid language parameter',
+      message: 'Language must be a Google Play language code, e.g. "en" or "pt-BR"'
+    });
+  }
+  
+  if (country !== undefined && normalizeCountry(country) !== country) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid country parameter',
+      message: 'Country must be an uppercase ISO 3166-1 alpha-2 code, e.g. "US"'
+    });
+  }
+  
+  if (depth !== undefined && (!Number.isInteger(depth) || depth < 1 || depth > 50)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid depth parameter',
+      message: 'depth must be a whole number between 1 and 50'
+    });
+  }
+  
+  if (intervalMinutes !== undefined) {
+    const minInterval = config.keywords.minIntervalMinutes;
+    if (!Number.isInteger(intervalMinutes) || intervalMinutes < minInterval || intervalMinutes > 7 * 24 * 60) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid intervalMinutes parameter',
+        message: `intervalMinutes must be a whole number between ${minInterval} and ${7 * 24 * 60}`
+      });
+    }
+  }
+  
+  next();
+};
+
+/**
+ * Validate keyword rank query parameters
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateKeywordRankParams = (req, res, next) => {
+  const { keyword, since, threshold } = req.query;
+  
+  if (keyword !== undefined && (typeof keyword !== 'string' || !keyword.trim() || keyword.length > 200)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid keyword parameter',
+      message: 'keyword must be a non-empty search term of at most 200 characters'
+    });
+  }
+  
+  if (since !== undefined && isNaN(Date.parse(since))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid since parameter',
+      message: 'since must be an ISO 8601 date, e.g. "2024-01-01"'
+    });
+  }
+  
+  if (threshold !== undefined) {
+    const thresholdNum = parseInt(threshold);
+    if (isNaN(thresholdNum) || thresholdNum < 1 || thresholdNum > 50) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid threshold parameter',
+        message: 'threshold must be a number of positions between 1 and 50'
+      });
+    }
+  }
+  
+  next();
+};
+
+/**
+ * Validate webhook subscription request body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateWebhookSubscription = (req, res, next) => {
+  const { url, secret, events, filters = {} } = req.body;
+  
+  let parsedUrl = null;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    parsedUrl = null;
+  }
+  
+  if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid url parameter',
+      message: 'url must be an absolute http or https URL'
+    });
+  }
+  
+  if (!isAllowedTarget(url)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid url parameter',
+      message: 'url must not point to localhost or a private network address'
+    });
+  }
+  
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid secret parameter',
+      message: 'secret must be a string of at least 16 characters'
+    });
+  }
+  
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0 || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid events parameter',
+        message: `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`
+      });
+    }
+  }
+  
+  if (typeof filters !== 'object' || Array.isArray(filters) || filters === null) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid filters parameter',
+      message: 'filters must be an object'
+    });
+  }
+  
+  const { appId, minRating, maxRating, keyword } = filters;
+  
+  if (appId !== undefined && (typeof appId !== 'string' || !appIdPattern.test(appId))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid app ID format',
+      message: 'filters.appId must be a valid Google Play Store app ID'
+    });
+  }
+  
+  for (const [name, value] of [['minRating', minRating], ['maxRating', maxRating]]) {
+    if (value !== undefined && (!Number.isInteger(value) || value < 1 || value > 5)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid ${name} parameter`,
+        message: `filters.${name} must be a whole number between 1 and 5`
+      });
+    }
+  }
+  
+  if (minRating !== undefined && maxRating !== undefined && minRating > maxRating) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid rating range',
+      message: 'filters.minRating cannot be greater than filters.maxRating'
+    });
+  }
+  
+  if (keyword !== undefined && (typeof keyword !== 'string' || !keyword.trim())) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid keyword parameter',
+      message: 'filters.keyword must be a non-empty string'
+    });
+  }
+  
   next();
 };
 
 module.exports = {
   validateAppId,
   validateCommentParams,
-  validateBatchRequest
+  validateAppParams,
+  validateSearchParams,
+  validateDeveloperId,
+  validateAppListParams,
+  validateChartParams,
+  validateChartRecording,
+  validateRankHistoryParams,
+  validateBatchRequest,
+  validateJobRequest,
+  validateStatsParams,
+  validateExportParams,
+  validateTopicParams,
+  validateCompareParams,
+  validateAnomalyParams,
+  validateSyncRequest,
+  validateWatchlistEntry,
+  validateKeywordTracker,
+  validateKeywordRankParams,
+  validateWebhookSubscription
 };
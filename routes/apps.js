@@ -0,0 +1,247 @@
+const express = require('express');
+const config = require('../config/config');
+const { getAppInfo, searchApps, fetchSimilarApps } = require('../services/playStoreAPI');
+const { chartHistory } = require('../services/charts');
+const { scanApp } = require('../services/anomalies');
+const { validateAppId, validateAppParams, validateSearchParams, validateAppListParams, validateRankHistoryParams, validateAnomalyParams } = require('../middleware/validation');
+const { resolveLocale } = require('../utils/locales');
+const { decodeCursor } = require('../utils/cursor');
+const { statusForError, errorResponse } = require('../utils/errors');
+const { wantsRefresh, setCacheHeaders, cacheMetadata } = require('../utils/httpCache');
+
+const router = express.Router();
+
+/**
+ * Describe the 404 answered for an app the Play Store does not list
+ * @param {string} appId - App ID
+ * @returns {Object} { error, message } for statusForError / errorResponse
+ */
+const appNotFound = (appId) => ({
+  error: 'App not found',
+  message: `No app with ID ${appId} is listed on Google Play`
+});
+
+/**
+ * @route GET /api/apps/search
+ * @desc Search Google Play for apps by name or keywords
+ * @access Public
+ */
+router.get('/search', validateSearchParams, async (req, res) => {
+  try {
+    const q = req.query.q.trim();
+    const { limit = 20, mode } = req.query;
+    const { language, country } = resolveLocale(req.query.hl, req.query.gl);
+
+    console.log(`🔎 Searching apps for: "${q}" (${language}-${country})`);
+
+    const { apps, provenance, cache } = await searchApps(q, {
+      limit: parseInt(limit),
+      language,
+      country,
+      mode,
+      refresh: wantsRefresh(req)
+    });
+
+    setCacheHeaders(res, cache);
+    res.json({
+      success: true,
+      data: {
+        query: q,
+        totalResults: apps.length,
+        results: apps,
+        metadata: {
+          fetchedAt: cache ? cache.storedAt : new Date().toISOString(),
+          limit: parseInt(limit),
+          language,
+          country,
+          provenance,
+          cache: cacheMetadata(cache)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error searching apps:', error);
+    res.status(statusForError(error)).json(errorResponse(error, 'Failed to search apps'));
+  }
+});
+
+/**
+ * @route GET /api/apps/:appId
+ * @desc Get an app's store listing: ratings, installs, pricing, release info and media
+ * @access Public
+ */
+router.get('/:appId', validateAppId, validateAppParams, async (req, res) => {
+  try {
+    const { appId } = req.params;
+    const { mode } = req.query;
+    const { language, country } = resolveLocale(req.query.hl, req.query.gl);
+
+    console.log(`📦 Fetching app details for: ${appId} (${language}-${country})`);
+
+    const { app, provenance, cache } = await getAppInfo(appId, {
+      language,
+      country,
+      mode,
+      refresh: wantsRefresh(req)
+    });
+
+    setCacheHeaders(res, cache);
+    res.json({
+      success: true,
+      data: {
+        app,
+        metadata: {
+          fetchedAt: cache ? cache.storedAt : new Date().toISOString(),
+          language,
+          country,
+          provenance,
+          cache: cacheMetadata(cache)
+        }
+      }
+    });
+
+  } catch (error) {
+    const notFound = appNotFound(req.params.appId);
+    console.error('Error fetching app details:', error);
+    res.status(statusForError(error, { notFound })).json(errorResponse(error, 'Failed to fetch app details', { notFound }));
+  }
+});
+
+/**
+ * @route GET /api/apps/:appId/similar
+ * @desc List the apps Google Play shows as similar to an app
+ * @access Public
+ */
+router.get('/:appId/similar', validateAppId, validateAppListParams('similar'), async (req, res) => {
+  try {
+    const { appId } = req.params;
+    const { limit = 50, mode } = req.query;
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    // A cursor pins the locale it was issued for
+    const { language, country } = cursor ? cursor : resolveLocale(req.query.hl, req.query.gl);
+
+    console.log(`🧭 Fetching similar apps for: ${appId} (${language}-${country})`);
+
+    const { apps, nextCursor, totalApps, provenance, cache } = await fetchSimilarApps(appId, {
+      limit: parseInt(limit),
+      cursor,
+      language,
+      country,
+      mode,
+      refresh: wantsRefresh(req)
+    });
+
+    setCacheHeaders(res, cache);
+    res.json({
+      success: true,
+      data: {
+        appId,
+        totalApps,
+        apps,
+        nextCursor,
+        metadata: {
+          fetchedAt: cache ? cache.storedAt : new Date().toISOString(),
+          limit: parseInt(limit),
+          language,
+          country,
+          provenance,
+          cache: cacheMetadata(cache)
+        }
+      }
+    });
+
+  } catch (error) {
+    const notFound = appNotFound(req.params.appId);
+    console.error('Error fetching similar apps:', error);
+    res.status(statusForError(error, { notFound })).json(errorResponse(error, 'Failed to fetch similar apps', { notFound }));
+  }
+});
+
+/**
+ * @route GET /api/apps/:appId/rank-history
+ * @desc Get an app's positions over time in the recorded top charts
+ * @access Public
+ */
+router.get('/:appId/rank-history', validateAppId, validateRankHistoryParams, async (req, res) => {
+  try {
+    const { appId } = req.params;
+    const { collection, since } = req.query;
+    const category = req.query.category ? req.query.category.toUpperCase() : undefined;
+    const country = req.query.gl ? req.query.gl.toUpperCase() : undefined;
+
+    const charts = await chartHistory.getRankHistory(appId, { collection, category, country, since });
+
+    res.json({
+      success: true,
+      data: {
+        appId,
+        totalCharts: charts.length,
+        charts,
+        metadata: {
+          collection: collection || null,
+          category: category || null,
+          country: country || null,
+          since: since || null
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching rank history:', error);
+    res.status(statusForError(error)).json(errorResponse(error, 'Failed to fetch rank history'));
+  }
+});
+
+/**
+ * @route GET /api/apps/:appId/anomalies
+ * @desc Detect rating drops, 1-star spikes, duplicate-text bursts and new-author surges in an app's recent reviews
+ * @access Public
+ */
+router.get('/:appId/anomalies', validateAppId, validateAnomalyParams, async (req, res) => {
+  try {
+    const { appId } = req.params;
+    const { mode, source = 'live' } = req.query;
+    const days = req.query.days ? parseInt(req.query.days) : config.anomalies.recentDays;
+    const baselineDays = req.query.baselineDays ? parseInt(req.query.baselineDays) : config.anomalies.baselineDays;
+    const { language, country } = resolveLocale(req.query.hl, req.query.gl);
+
+    console.log(`🚨 Checking reviews of app: ${appId} (${language}-${country}) for anomalies (source: ${source})`);
+
+    const { anomalies, recent, baseline, truncated, provenance } = await scanApp(appId, {
+      language,
+      country,
+      source,
+      mode,
+      days,
+      baselineDays
+    });
+
+    res.json({
+      success: true,
+      data: {
+        appId,
+        totalAnomalies: anomalies.length,
+        anomalies,
+        windows: { recent, baseline },
+        metadata: {
+          fetchedAt: new Date().toISOString(),
+          days,
+          baselineDays,
+          // More reviews fell in the windows than were analyzed
+          truncated,
+          language,
+          country,
+          source,
+          provenance
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error detecting review anomalies:', error);
+    res.status(statusForError(error)).json(errorResponse(error, 'Failed to detect review anomalies'));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+const express = require('express');
+const { fetchChart } = require('../services/playStoreAPI');
+const { chartRecordings, chartScheduler } = require('../services/charts');
+const { validateChartParams, validateChartRecording } = require('../middleware/validation');
+const { resolveLocale } = require('../utils/locales');
+const { statusForError, errorResponse } = require('../utils/errors');
+const { wantsRefresh, setCacheHeaders, cacheMetadata } = require('../utils/httpCache');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/charts
+ * @desc Get a ranked Google Play top chart (topfree, toppaid or topgrossing)
+ * @access Public
+ */
+router.get('/', validateChartParams, async (req, res) => {
+  try {
+    const { collection, limit = 100, mode } = req.query;
+    const category = (req.query.category || 'APPLICATION').toUpperCase();
+    const { language, country } = resolveLocale(req.query.hl, req.query.gl);
+
+    console.log(`🏆 Fetching ${collection} chart: ${category} (${language}-${country})`);
+
+    const { apps, provenance, cache } = await fetchChart({
+      collection,
+      category,
+      limit: parseInt(limit),
+      language,
+      country,
+      mode,
+      refresh: wantsRefresh(req)
+    });
+
+    setCacheHeaders(res, cache);
+    res.json({
+      success: true,
+      data: {
+        collection,
+        category,
+        totalApps: apps.length,
+        apps,
+        metadata: {
+          fetchedAt: cache ? cache.storedAt : new Date().toISOString(),
+          limit: parseInt(limit),
+          language,
+          country,
+          provenance,
+          cache: cacheMetadata(cache)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching chart:', error);
+    res.status(statusForError(error)).json(errorResponse(error, 'Failed to fetch chart'));
+  }
+});
+
+/**
+ * @route GET /api/charts/recordings
+ * @desc List recorded charts with their last run status and next run time
+ * @access Public
+ */
+router.get('/recordings', async (req, res) => {
+  try {
+    const recordings = await chartRecordings.list();
+
+    res.json({
+      success: true,
+      data: {
+        totalRecordings: recordings.length,
+        recordings,
+        scheduler: chartScheduler.getStatus()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error listing chart recordings:', error);
+    res.status(statusForError(error)).json(errorResponse(error, 'Failed to list chart recordings'));
+  }
+});
+
+/**
+ * @route POST /api/charts/recordings
+ * @desc Record a chart on a schedule, or change the size and interval of a recorded chart
+ * @access Public
+ */
+router.post('/recordings', validateChartRecording, async (req, res) => {
+  try {
+    const { collection, limit, intervalMinutes } = req.body;
+    const category = (req.body.category || 'APPLICATION').toUpperCase();
+    const { language, country } = resolveLocale(req.body.language, req.body.country);
+
+    const { recording, created } = await chartRecordings.add({ collection, category, language, country, limit, intervalMinutes });
+    await chartScheduler.reschedule();
+
+    console.log(`📈 ${created ? 'Recording' : 'Updated recording of'} chart: ${recording.id}`);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: recording
+    });
+
+  } catch (error) {
+    console.error('Error adding chart recording:', error);
+    res.status(statusForError(error)).json(errorResponse(error, 'Failed to record chart'));
+  }
+});
+
+/**
+ * @route DELETE /api/charts/recordings/:id
+ * @desc Stop recording a chart (ID format: collection:category:language-country); its history is kept
+ * @access Public
+ */
+router.delete('/recordings/:id', async (req, res) => {
+  try {
+    const removed = await chartRecordings.remove(req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Chart recording not found'
+      });
+    }
+
+    await chartScheduler.reschedule();
+
+    res.json({
+      success: true,
+      data: { id: req.params.id, removed: true }
+    });
+
+  } catch (error) {
+    console.error('Error removing chart recording:', error);
+    res.status(statusForError(error)).json(errorResponse(error, 'Failed to remove chart recording'));
+  }
+});
+
+module.exports = router;
@@ -1,47 +1,218 @@
 const express = require('express');
+const config = require('../config/config');
 const { fetchComments } = require('../services/playStoreAPI');
-const { validateAppId } = require('../middleware/validation');
+const { fetchStoredComments } = require('../services/reviewStore');
+const { syncApp } = require('../services/reviewSync');
+const { iterateReviews } = require('../services/reviewExport');
+const { fetchAcrossLocales } = require('../services/localeFanout');
+const { validateAppId, validateCommentParams, validateBatchRequest, validateStatsParams, validateExportParams, validateTopicParams, validateSyncRequest } = require('../middleware/validation');
+const { decodeCursor } = require('../utils/cursor');
+const { statusForError, errorResponse } = require('../utils/errors');
+const { wantsRefresh, setCacheHeaders, cacheMetadata } = require('../utils/httpCache');
+const { DEFAULT_COLUMNS, createFormatter } = require('../utils/export');
+const { parseLocales, resolveLocale } = require('../utils/locales');
+const { parseFilters } = require('../utils/reviewFilters');
+const { addSentiment, summarizeSentiment } = require('../utils/sentiment');
+const { summarizeTopics } = require('../utils/topics');
+const { summarizeRatings, computeTimeSeries } = require('../utils/timeSeries');
 
 const router = express.Router();
 
+/**
+ * Pick the comment loader for a data source
+ * @param {string} source - live (scrape Google Play) or store (review store)
+ * @returns {Function} fetchComments-compatible loader
+ */
+const loaderFor = (source) => (source === 'store' ? fetchStoredComments : fetchComments);
+
+/**
+ * Pick the locale of a request
+ * A cursor pins the locale it was issued for; validation has already
+ * rejected an hl or gl that disagrees with it.
+ * @param {Object} params - Query string or body with optional hl and gl
+ * @param {Object|null} cursor - Decoded cursor
+ * @returns {Object} Locale ({ language, country })
+ */
+const localeFor = ({ hl, gl }, cursor = null) => (cursor
+  ? { language: cursor.language, country: cursor.country }
+  : resolveLocale(hl, gl));
+
+/**
+ * Tell whether a request asks for an analysis
+ * @param {Object} query - Query string with an optional analyze list
+ * @param {string} name - Analysis name
+ * @returns {boolean} Whether the analysis was requested
+ */
+const wantsAnalysis = ({ analyze }, name) => analyze !== undefined &&
+  String(analyze).split(',').some(item => item.trim() === name);
+
+/**
+ * Compute rating and date statistics for a set of comments
+ * @param {Array} comments - Comments
+ * @param {Object} options - Statistics options
+ * @param {boolean} options.sentiment - Whether to summarize the sentiment of the comments
+ * @param {string} options.interval - Time series buckets: day, week or month
+ * @param {string} options.timeZone - IANA time zone of the time series buckets
+ * @param {number} options.window - Buckets in each rolling average
+ * @returns {Object} Statistics
+ */
+const computeStats = (comments, { sentiment = false, interval = 'month', timeZone = 'UTC', window = 3 } = {}) => {
+  const { averageRating, weightedRating, confidence } = summarizeRatings(comments);
+  const timeSeries = computeTimeSeries(comments, { interval, timeZone, window });
+  // Months follow the same local days as the series, so both put a review in the same month
+  const months = interval === 'month' ? timeSeries : computeTimeSeries(comments, { interval: 'month', timeZone, window });
+  
+  const stats = {
+    totalComments: comments.length,
+    ratingDistribution: {},
+    dateDistribution: {},
+    averageRating,
+    totalRating: 0,
+    weightedRating,
+    ratingConfidence: confidence
+  };
+  
+  comments.forEach(comment => {
+    // Rating distribution
+    const rating = comment.rating || 0;
+    stats.ratingDistribution[rating] = (stats.ratingDistribution[rating] || 0) + 1;
+    
+    // Unrated reviews are left out of the rating figures, as in summarizeRatings
+    if (rating >= 1 && rating <= 5) stats.totalRating += rating;
+  });
+  
+  months.buckets
+    .filter(bucket => bucket.count > 0)
+    .forEach(bucket => {
+      stats.dateDistribution[bucket.bucket] = bucket.count;
+    });
+  
+  stats.timeSeries = timeSeries;
+  
+  if (sentiment) {
+    stats.sentiment = summarizeSentiment(comments);
+  }
+  
+  return stats;
+};
+
+// Export media types, in the order preferred when the client accepts several
+const exportMediaTypes = {
+  'text/csv': 'csv',
+  'application/x-ndjson': 'ndjson',
+  'application/json': 'json'
+};
+
+/**
+ * Write a chunk, waiting for the client to catch up when the buffer is full
+ * @param {Object} res - Express response object
+ * @param {string} chunk - Text to write
+ * @returns {Promise} Resolves once more data can be written or the client left
+ */
+const writeChunk = (res, chunk) => {
+  if (!chunk || res.write(chunk)) return Promise.resolve();
+  
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+};
+
 /**
  * @route GET /api/comments/:appId
  * @desc Get comments for a specific app from Google Play Store
  * @access Public
  */
-router.get('/:appId', validateAppId, async (req, res) => {
+router.get('/:appId', validateAppId, validateCommentParams, async (req, res) => {
   try {
     const { appId } = req.params;
-    const { limit = 50, sort = 'recent' } = req.query;
+    const { limit = 50, mode, source = 'live' } = req.query;
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    // A cursor pins the sort order it was issued for
+    const sort = req.query.sort || (cursor && cursor.sort) || 'recent';
+    const filters = parseFilters(req.query);
     
-    console.log(`📱 Fetching comments for app: ${appId} via API`);
+    if (req.query.locales) {
+      const locales = parseLocales(req.query.locales);
+      console.log(`📱 Fetching comments for app: ${appId} in ${locales.length} locales via API (source: ${source})`);
+      
+      const merged = await fetchAcrossLocales(loaderFor(source), appId, locales, {
+        limit: parseInt(limit),
+        sort,
+        filters,
+        mode,
+        refresh: wantsRefresh(req)
+      });
+      
+      // Every locale has its own cursor, so the merged list has none
+      setCacheHeaders(res, null);
+      return res.json({
+        success: true,
+        data: {
+          appId,
+          totalComments: merged.comments.length,
+          comments: wantsAnalysis(req.query, 'sentiment') ? addSentiment(merged.comments) : merged.comments,
+          nextCursor: null,
+          locales: merged.locales,
+          metadata: {
+            fetchedAt: new Date().toISOString(),
+            limit: parseInt(limit),
+            sort,
+            filters,
+            source,
+            provenance: merged.provenance
+          }
+        }
+      });
+    }
+    
+    const { language, country } = localeFor(req.query, cursor);
     
-    const comments = await fetchComments(appId, {
+    console.log(`📱 Fetching comments for app: ${appId} (${language}-${country}) via API (source: ${source})`);
+    
+    const { comments, nextCursor, scanned, provenance, cache } = await loaderFor(source)(appId, {
       limit: parseInt(limit),
-      sort: sort
+      sort: sort,
+      language,
+      country,
+      cursor,
+      filters,
+      mode,
+      refresh: wantsRefresh(req)
     });
     
+    setCacheHeaders(res, cache);
     res.json({
       success: true,
       data: {
         appId,
         totalComments: comments.length,
-        comments,
+        comments: wantsAnalysis(req.query, 'sentiment') ? addSentiment(comments) : comments,
+        nextCursor,
         metadata: {
-          fetchedAt: new Date().toISOString(),
+          fetchedAt: cache ? cache.storedAt : new Date().toISOString(),
           limit: parseInt(limit),
-          sort
+          sort,
+          filters,
+          // Reviews looked at to find the filtered ones
+          ...(filters && scanned !== undefined ? { scanned } : {}),
+          language,
+          country,
+          source,
+          provenance,
+          cache: cacheMetadata(cache)
         }
       }
     });
     
   } catch (error) {
     console.error('Error fetching comments:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch comments',
-      message: error.message
-    });
+    res.status(statusForError(error)).json(errorResponse(error, 'Failed to fetch comments'));
   }
 });
 
@@ -50,53 +221,48 @@ router.get('/:appId', validateAppId, async (req, res) => {
  * @desc Get comments for multiple apps in batch
  * @access Public
  */
-router.post('/batch', async (req, res) => {
+router.post('/batch', validateBatchRequest, async (req, res) => {
   try {
-    const { appIds, limit = 20, sort = 'recent' } = req.body;
-    
-    if (!appIds || !Array.isArray(appIds) || appIds.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'appIds array is required and must not be empty'
-      });
-    }
+    const { appIds, limit = 20, sort = 'recent', mode, source = 'live', refresh = false } = req.body;
+    const { language, country } = localeFor(req.body);
+    const filters = parseFilters(req.body);
     
-    if (appIds.length > 10) {
-      return res.status(400).json({
-        success: false,
-        error: 'Maximum 10 apps allowed per batch request'
-      });
-    }
+    console.log(`📱 Batch fetching comments for ${appIds.length} apps (${language}-${country}) via API`);
     
-    console.log(`📱 Batch fetching comments for ${appIds.length} apps via API`);
-    
-    const results = [];
-    const errors = [];
-    
-    // Process apps in parallel with rate limiting
-    const promises = appIds.map(async (appId) => {
+    // Process apps in parallel; outcomes keep the order of appIds
+    const outcomes = await Promise.all(appIds.map(async (appId) => {
       try {
-        const comments = await fetchComments(appId, {
+        const { comments, provenance, cache } = await loaderFor(source)(appId, {
           limit: parseInt(limit),
-          sort: sort
+          sort: sort,
+          language,
+          country,
+          filters,
+          mode,
+          refresh: refresh === true,
+          priority: 'batch'
         });
         
-        results.push({
+        return {
           appId,
           success: true,
           totalComments: comments.length,
-          comments
-        });
+          comments,
+          provenance,
+          cache: cacheMetadata(cache)
+        };
       } catch (error) {
-        errors.push({
+        return {
           appId,
           success: false,
-          error: error.message
-        });
+          error: error.message,
+          code: error.code
+        };
       }
-    });
+    }));
     
-    await Promise.all(promises);
+    const results = outcomes.filter(outcome => outcome.success);
+    const errors = outcomes.filter(outcome => !outcome.success);
     
     res.json({
       success: true,
@@ -109,7 +275,12 @@ router.post('/batch', async (req, res) => {
         metadata: {
           fetchedAt: new Date().toISOString(),
           limit: parseInt(limit),
-          sort
+          sort,
+          filters,
+          language,
+          country,
+          source,
+          mode: mode || config.scraping.mode
         }
       }
     });
@@ -124,70 +295,273 @@ router.post('/batch', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/comments/:appId/export
+ * @desc Stream an app's reviews as CSV, NDJSON or a JSON array
+ * @access Public
+ */
+router.get('/:appId/export', validateAppId, validateExportParams, async (req, res) => {
+  const { appId } = req.params;
+  let language;
+  let country;
+  let formatter;
+  let reviews;
+  let provenance = null;
+  let first;
+  
+  // Parse the request and load the first page before committing to a 200,
+  // so bad input and upstream failures still get a proper error status
+  try {
+    const { sort = 'recent', mode, source = 'live' } = req.query;
+    const format = req.query.format || exportMediaTypes[req.accepts(Object.keys(exportMediaTypes))] || 'csv';
+    const columns = req.query.columns ? req.query.columns.split(',').map(column => column.trim()) : DEFAULT_COLUMNS;
+    const limit = req.query.limit ? parseInt(req.query.limit) : config.export.defaultLimit;
+    const bom = !['false', '0'].includes(req.query.bom);
+    const filters = parseFilters(req.query);
+    ({ language, country } = localeFor(req.query));
+    
+    console.log(`📤 Exporting up to ${limit} reviews for app: ${appId} (${language}-${country}) as ${format} (source: ${source})`);
+    
+    formatter = createFormatter(format, { columns, bom });
+    reviews = iterateReviews(loaderFor(source), appId, {
+      maxReviews: limit,
+      sort,
+      language,
+      country,
+      filters,
+      mode,
+      onPage: (page) => {
+        provenance = provenance || page.provenance;
+      }
+    });
+    
+    first = await reviews.next();
+  } catch (error) {
+    console.error('Error exporting reviews:', error);
+    return res.status(statusForError(error)).json(errorResponse(error, 'Failed to export reviews'));
+  }
+  
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+  
+  res.status(200);
+  res.set({
+    'Content-Type': formatter.contentType,
+    'Content-Disposition': `attachment; filename="${appId}-${language}-${country}-reviews.${formatter.extension}"`,
+    'Cache-Control': 'no-store',
+    'X-Data-Provenance': provenance ? provenance.status : 'live'
+  });
+  
+  let exported = 0;
+  try {
+    await writeChunk(res, formatter.head());
+    
+    for (let next = first; !next.done && !closed; next = await reviews.next()) {
+      await writeChunk(res, formatter.row({ ...next.value, language, country }));
+      exported++;
+    }
+    
+    if (closed) {
+      await reviews.return();
+      console.log(`⚠️ Export of ${appId} aborted by the client after ${exported} reviews`);
+      return;
+    }
+    
+    res.end(formatter.tail());
+    console.log(`✅ Exported ${exported} reviews for app: ${appId}`);
+    
+  } catch (error) {
+    // Headers are already sent; cut the response so the client does not
+    // mistake a truncated export for a complete one
+    console.error(`❌ Export of ${appId} failed after ${exported} reviews:`, error.message);
+    res.destroy(error);
+  }
+});
+
 /**
  * @route GET /api/comments/:appId/stats
  * @desc Get comment statistics for a specific app
  * @access Public
  */
-router.get('/:appId/stats', validateAppId, async (req, res) => {
+router.get('/:appId/stats', validateAppId, validateCommentParams, validateStatsParams, async (req, res) => {
   try {
     const { appId } = req.params;
-    const { limit = 100 } = req.query;
+    const { limit = 100, mode, source = 'live' } = req.query;
+    const filters = parseFilters(req.query);
+    const options = {
+      sentiment: wantsAnalysis(req.query, 'sentiment'),
+      interval: req.query.interval || 'month',
+      timeZone: req.query.tz || 'UTC',
+      window: req.query.window ? parseInt(req.query.window) : 3
+    };
+    
+    if (req.query.locales) {
+      const locales = parseLocales(req.query.locales);
+      console.log(`📊 Fetching comment stats for app: ${appId} in ${locales.length} locales via API (source: ${source})`);
+      
+      const merged = await fetchAcrossLocales(loaderFor(source), appId, locales, {
+        limit: parseInt(limit),
+        sort: 'recent',
+        filters,
+        mode,
+        refresh: wantsRefresh(req)
+      });
+      
+      // Score every review once, for the merged and the per-locale statistics
+      const comments = options.sentiment ? addSentiment(merged.comments) : merged.comments;
+      const byLocale = {};
+      merged.locales.filter(locale => locale.success).forEach(({ locale, language, country }) => {
+        byLocale[locale] = computeStats(comments.filter(comment => comment.language === language && comment.country === country), options);
+      });
+      
+      setCacheHeaders(res, null);
+      return res.json({
+        success: true,
+        data: {
+          appId,
+          stats: { ...computeStats(comments, options), byLocale },
+          locales: merged.locales,
+          metadata: {
+            fetchedAt: new Date().toISOString(),
+            sampleSize: merged.comments.length,
+            filters,
+            source,
+            provenance: merged.provenance
+          }
+        }
+      });
+    }
     
-    console.log(`📊 Fetching comment stats for app: ${appId} via API`);
+    const { language, country } = localeFor(req.query);
     
-    const comments = await fetchComments(appId, {
+    console.log(`📊 Fetching comment stats for app: ${appId} (${language}-${country}) via API (source: ${source})`);
+    
+    const { comments, provenance, cache } = await loaderFor(source)(appId, {
       limit: parseInt(limit),
-      sort: 'recent'
+      sort: 'recent',
+      language,
+      country,
+      filters,
+      mode,
+      refresh: wantsRefresh(req)
     });
     
-    // Calculate statistics
-    const stats = {
-      totalComments: comments.length,
-      ratingDistribution: {},
-      dateDistribution: {},
-      averageRating: 0,
-      totalRating: 0
-    };
+    setCacheHeaders(res, cache);
+    res.json({
+      success: true,
+      data: {
+        appId,
+        stats: computeStats(comments, options),
+        metadata: {
+          fetchedAt: cache ? cache.storedAt : new Date().toISOString(),
+          sampleSize: comments.length,
+          filters,
+          language,
+          country,
+          source,
+          provenance,
+          cache: cacheMetadata(cache)
+        }
+      }
+    });
     
-    let totalRating = 0;
+  } catch (error) {
+    console.error('Error fetching comment stats:', error);
+    res.status(statusForError(error)).json(errorResponse(error, 'Failed to fetch comment statistics'));
+  }
+});
+
+/**
+ * @route GET /api/comments/:appId/topics
+ * @desc Extract the topics and complaint themes of an app's newest reviews
+ * @access Public
+ */
+router.get('/:appId/topics', validateAppId, validateTopicParams, async (req, res) => {
+  try {
+    const { appId } = req.params;
+    const { mode, source = 'live' } = req.query;
+    const limit = req.query.limit ? parseInt(req.query.limit) : config.topics.defaultSampleSize;
+    const days = req.query.days ? parseInt(req.query.days) : config.topics.defaultPeriodDays;
+    const maxTopics = req.query.maxTopics ? parseInt(req.query.maxTopics) : 10;
+    const { language, country } = localeFor(req.query);
+    const filters = parseFilters(req.query);
+    const now = new Date();
     
-    comments.forEach(comment => {
-      // Rating distribution
-      const rating = comment.rating || 0;
-      stats.ratingDistribution[rating] = (stats.ratingDistribution[rating] || 0) + 1;
-      
-      // Date distribution (by month)
-      if (comment.date) {
-        const month = comment.date.substring(0, 7); // YYYY-MM
-        stats.dateDistribution[month] = (stats.dateDistribution[month] || 0) + 1;
+    console.log(`🏷️ Extracting topics from up to ${limit} reviews for app: ${appId} (${language}-${country}) (source: ${source})`);
+    
+    let provenance = null;
+    const reviews = [];
+    for await (const review of iterateReviews(loaderFor(source), appId, {
+      maxReviews: limit,
+      sort: 'recent',
+      language,
+      country,
+      filters,
+      mode,
+      onPage: (page) => {
+        provenance = provenance || page.provenance;
       }
-      
-      totalRating += rating;
-    });
+    })) {
+      reviews.push(review);
+    }
     
-    stats.averageRating = comments.length > 0 ? (totalRating / comments.length).toFixed(2) : 0;
-    stats.totalRating = totalRating;
+    const { topics, negativeTopics, periods } = summarizeTopics(reviews, { days, maxTopics, now });
     
     res.json({
       success: true,
       data: {
         appId,
-        stats,
+        totalReviews: reviews.length,
+        topics,
+        negativeTopics,
+        periods,
         metadata: {
-          fetchedAt: new Date().toISOString(),
-          sampleSize: comments.length
+          fetchedAt: now.toISOString(),
+          sampleSize: reviews.length,
+          days,
+          filters,
+          language,
+          country,
+          source,
+          provenance
         }
       }
     });
     
   } catch (error) {
-    console.error('Error fetching comment stats:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch comment statistics',
-      message: error.message
+    console.error('Error extracting review topics:', error);
+    res.status(statusForError(error)).json(errorResponse(error, 'Failed to extract review topics'));
+  }
+});
+
+/**
+ * @route POST /api/comments/:appId/sync
+ * @desc Sync an app's newest reviews into the review store
+ * @access Public
+ */
+router.post('/:appId/sync', validateAppId, validateSyncRequest, async (req, res) => {
+  try {
+    const { appId } = req.params;
+    const { maxReviews, fullSync = false } = req.body;
+    const { language, country } = localeFor(req.body);
+    
+    const summary = await syncApp(appId, {
+      language,
+      country,
+      maxReviews: maxReviews !== undefined ? parseInt(maxReviews) : undefined,
+      fullSync: fullSync === true
     });
+    
+    res.json({
+      success: true,
+      data: summary
+    });
+    
+  } catch (error) {
+    console.error('Error syncing reviews:', error);
+    res.status(statusForError(error)).json(errorResponse(error, 'Failed to sync reviews'));
   }
 });
 
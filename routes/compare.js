@@ -0,0 +1,77 @@
+const express = require('express');
+const config = require('../config/config');
+const { compareApps } = require('../services/comparison');
+const { validateCompareParams } = require('../middleware/validation');
+const { resolveLocale } = require('../utils/locales');
+const { parseFilters } = require('../utils/reviewFilters');
+const { statusForError, errorResponse } = require('../utils/errors');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @route GET /api/compare
+ * @desc Benchmark the reviews of several apps side by side over the same window and locale
+ * @access Public
+ */
+router.get('/', validateCompareParams, async (req, res) => {
+  try {
+    const { interval = 'week', mode, source = 'live' } = req.query;
+    const appIds = req.query.appIds.split(',').map(appId => appId.trim());
+    const limit = req.query.limit ? parseInt(req.query.limit) : config.compare.maxReviews;
+    const { language, country } = resolveLocale(req.query.hl, req.query.gl);
+
+    // Same normalization as review filters: a bare until date covers that whole day
+    const window = parseFilters({ since: req.query.since, until: req.query.until }) || {};
+    const until = window.until ? Math.min(Date.parse(window.until), Date.now()) : Date.now();
+    const since = window.since ? Date.parse(window.since) : until - config.compare.defaultDays * DAY_MS;
+
+    console.log(`⚖️ Comparing ${appIds.length} apps (${language}-${country}) since ${new Date(since).toISOString()} (source: ${source})`);
+
+    const outcomes = await compareApps(appIds, {
+      since,
+      until,
+      maxReviews: limit,
+      interval,
+      language,
+      country,
+      mode,
+      source
+    });
+
+    const results = outcomes.filter(outcome => outcome.success);
+    const errors = outcomes.filter(outcome => !outcome.success);
+
+    res.json({
+      success: true,
+      data: {
+        totalApps: appIds.length,
+        successful: results.length,
+        failed: errors.length,
+        window: {
+          since: new Date(since).toISOString(),
+          until: new Date(until).toISOString(),
+          days: Math.round((until - since) / DAY_MS * 100) / 100
+        },
+        results,
+        errors,
+        metadata: {
+          fetchedAt: new Date().toISOString(),
+          limit,
+          interval,
+          language,
+          country,
+          source,
+          mode: mode || config.scraping.mode
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error comparing apps:', error);
+    res.status(statusForError(error)).json(errorResponse(error, 'Failed to compare apps'));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const { fetchDeveloperApps } = require('../services/playStoreAPI');
+const { validateDeveloperId, validateAppListParams } = require('../middleware/validation');
+const { resolveLocale } = require('../utils/locales');
+const { decodeCursor } = require('../utils/cursor');
+const { statusForError, errorResponse } = require('../utils/errors');
+const { wantsRefresh, setCacheHeaders, cacheMetadata } = require('../utils/httpCache');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/developers/:developerId/apps
+ * @desc List every app a developer has published on Google Play
+ * @access Public
+ */
+router.get('/:developerId/apps', validateDeveloperId, validateAppListParams('developer'), async (req, res) => {
+  try {
+    const { developerId } = req.params;
+    const { limit = 50, mode } = req.query;
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    // A cursor pins the locale it was issued for
+    const { language, country } = cursor ? cursor : resolveLocale(req.query.hl, req.query.gl);
+
+    console.log(`👩‍💻 Fetching apps of developer: ${developerId} (${language}-${country})`);
+
+    const { apps, nextCursor, totalApps, provenance, cache } = await fetchDeveloperApps(developerId, {
+      limit: parseInt(limit),
+      cursor,
+      language,
+      country,
+      mode,
+      refresh: wantsRefresh(req)
+    });
+
+    setCacheHeaders(res, cache);
+    res.json({
+      success: true,
+      data: {
+        developerId,
+        totalApps,
+        apps,
+        nextCursor,
+        metadata: {
+          fetchedAt: cache ? cache.storedAt : new Date().toISOString(),
+          limit: parseInt(limit),
+          language,
+          country,
+          provenance,
+          cache: cacheMetadata(cache)
+        }
+      }
+    });
+
+  } catch (error) {
+    // The store answers 404 for developers it does not know
+    const notFound = {
+      error: 'Developer not found',
+      message: `No developer ${req.params.developerId} is listed on Google Play`
+    };
+    console.error('Error fetching developer apps:', error);
+    res.status(statusForError(error, { notFound })).json(errorResponse(error, 'Failed to fetch developer apps', { notFound }));
+  }
+});
+
+module.exports = router;
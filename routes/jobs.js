@@ -0,0 +1,238 @@
+const express = require('express');
+const config = require('../config/config');
+const { jobs } = require('../services/jobs');
+const { validateJobRequest } = require('../middleware/validation');
+const { resolveLocale } = require('../utils/locales');
+
+const router = express.Router();
+
+/**
+ * Build the response body of a job
+ * @param {Object} job - Job
+ * @param {Object} options - Options
+ * @param {boolean} options.items - Include the items
+ * @param {boolean} options.results - Include the fetched comments of each item
+ * @returns {Object} Job description
+ */
+const describeJob = (job, { items = true, results = true } = {}) => ({
+  id: job.id,
+  status: job.status,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  cancelledAt: job.cancelledAt,
+  progress: jobs.getProgress(job),
+  items: items
+    ? job.items.map(item => ({
+      ...item,
+      result: item.result && !results
+        ? { totalComments: item.result.totalComments, provenance: item.result.provenance }
+        : item.result
+    }))
+    : undefined
+});
+
+/**
+ * Find the job of the request or answer with 404
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} Job, or null when a 404 was sent
+ */
+const findJob = (req, res) => {
+  const job = jobs.getJob(req.params.id);
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+    return null;
+  }
+  return job;
+};
+
+/**
+ * @route POST /api/jobs
+ * @desc Queue a job fetching comments for many apps
+ * @access Public
+ */
+router.post('/', validateJobRequest, (req, res) => {
+  try {
+    const { apps, limit = config.scraping.defaultCommentLimit, sort = 'recent', mode, source = 'live', hl, gl } = req.body;
+    
+    const job = jobs.createJob(apps.map((app) => {
+      const options = typeof app === 'string' ? {} : app;
+      const { language, country } = resolveLocale(options.hl || hl, options.gl || gl);
+      return {
+        appId: typeof app === 'string' ? app : app.appId,
+        options: {
+          limit: parseInt(options.limit !== undefined ? options.limit : limit),
+          sort: options.sort || sort,
+          language,
+          country,
+          mode: options.mode || mode,
+          source: options.source || source
+        }
+      };
+    }));
+    
+    console.log(`🧵 Queued job ${job.id} for ${apps.length} apps`);
+    
+    res.status(202).json({
+      success: true,
+      data: describeJob(job, { items: false })
+    });
+    
+  } catch (error) {
+    console.error('Error creating job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create job',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/jobs
+ * @desc List jobs with their progress
+ * @access Public
+ */
+router.get('/', (req, res) => {
+  const list = jobs.listJobs();
+  
+  res.json({
+    success: true,
+    data: {
+      totalJobs: list.length,
+      jobs: list.map(job => describeJob(job, { items: false }))
+    }
+  });
+});
+
+/**
+ * @route GET /api/jobs/:id
+ * @desc Job progress with per-app status and results in request order
+ * @access Public
+ */
+router.get('/:id', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  
+  res.json({
+    success: true,
+    data: describeJob(job, { results: req.query.results !== 'false' })
+  });
+});
+
+/**
+ * Format a job event as a Server-Sent Event
+ * @param {Object} job - Job
+ * @param {Object} event - Job event ({ id, type, data })
+ * @returns {string} SSE message
+ */
+const formatEvent = (job, event) => `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(jobs.eventData(job, event))}\n\n`;
+
+/**
+ * @route GET /api/jobs/:id/events
+ * @desc Stream app results of a job as Server-Sent Events, ending with a summary
+ * @access Public
+ */
+router.get('/:id/events', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  
+  // EventSource sends Last-Event-ID when it reconnects
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+  const finished = job.finishedAt !== null;
+  
+  // Nothing left to send; 204 also tells EventSource not to reconnect
+  if (finished && lastEventId >= job.events.length) {
+    return res.status(204).end();
+  }
+  
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-store',
+    'Connection': 'keep-alive',
+    // Keep reverse proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  // Replay what the client missed
+  job.events.filter(event => event.id > lastEventId).forEach(event => res.write(formatEvent(job, event)));
+  
+  if (finished) {
+    return res.end();
+  }
+  
+  const heartbeat = setInterval(() => {
+    res.write(`event: heartbeat\ndata: ${JSON.stringify({ time: new Date().toISOString() })}\n\n`);
+  }, config.jobs.heartbeatSeconds * 1000);
+  
+  const listener = (eventJob, event) => {
+    if (eventJob !== job) return;
+    
+    res.write(formatEvent(job, event));
+    if (event.type === 'summary') {
+      res.end();
+    }
+  };
+  
+  jobs.on('event', listener);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    jobs.off('event', listener);
+  });
+});
+
+/**
+ * @route POST /api/jobs/:id/cancel
+ * @desc Cancel the apps of a job that have not started yet
+ * @access Public
+ */
+router.post('/:id/cancel', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  
+  if (!job.items.some(item => item.status === 'pending')) {
+    return res.status(409).json({
+      success: false,
+      error: 'Job has no pending apps to cancel'
+    });
+  }
+  
+  jobs.cancelJob(job.id);
+  
+  res.json({
+    success: true,
+    data: describeJob(job, { items: false })
+  });
+});
+
+/**
+ * @route POST /api/jobs/:id/retry
+ * @desc Queue the failed apps of a job again
+ * @access Public
+ */
+router.post('/:id/retry', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  
+  if (!job.items.some(item => item.status === 'failed')) {
+    return res.status(409).json({
+      success: false,
+      error: 'Job has no failed apps to retry'
+    });
+  }
+  
+  jobs.retryFailed(job.id);
+  
+  res.status(202).json({
+    success: true,
+    data: describeJob(job, { items: false })
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,157 @@
+const express = require('express');
+const config = require('../config/config');
+const { keywordTrackers, keywordHistory, keywordScheduler } = require('../services/keywords');
+const { validateKeywordTracker, validateKeywordRankParams } = require('../middleware/validation');
+const { statusForError, errorResponse } = require('../utils/errors');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/keywords
+ * @desc List keyword trackers with their last run status and next run time
+ * @access Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const trackers = await keywordTrackers.list();
+
+    res.json({
+      success: true,
+      data: {
+        totalTrackers: trackers.length,
+        trackers,
+        scheduler: keywordScheduler.getStatus()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error listing keyword trackers:', error);
+    res.status(statusForError(error)).json(errorResponse(error, 'Failed to list keyword trackers'));
+  }
+});
+
+/**
+ * @route POST /api/keywords
+ * @desc Track an app's search positions for a keyword set in a locale, or replace the set
+ * @access Public
+ */
+router.post('/', validateKeywordTracker, async (req, res) => {
+  try {
+    const { appId, language, country, keywords, depth, intervalMinutes } = req.body;
+
+    const { tracker, created } = await keywordTrackers.add({ appId, language, country, keywords, depth, intervalMinutes });
+    await keywordScheduler.reschedule();
+
+    console.log(`🔑 ${created ? 'Tracking' : 'Updated'} ${tracker.keywords.length} keywords for: ${tracker.id}`);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: tracker
+    });
+
+  } catch (error) {
+    console.error('Error adding keyword tracker:', error);
+    res.status(statusForError(error)).json(errorResponse(error, 'Failed to track keywords'));
+  }
+});
+
+/**
+ * @route GET /api/keywords/:id
+ * @desc Get a keyword tracker (ID format: appId:language-country)
+ * @access Public
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const tracker = await keywordTrackers.get(req.params.id);
+
+    if (!tracker) {
+      return res.status(404).json({
+        success: false,
+        error: 'Keyword tracker not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: tracker
+    });
+
+  } catch (error) {
+    console.error('Error fetching keyword tracker:', error);
+    res.status(statusForError(error)).json(errorResponse(error, 'Failed to fetch keyword tracker'));
+  }
+});
+
+/**
+ * @route GET /api/keywords/:id/ranks
+ * @desc Get the search position time series of a tracker's keywords, with significant moves flagged
+ * @access Public
+ */
+router.get('/:id/ranks', validateKeywordRankParams, async (req, res) => {
+  try {
+    const tracker = await keywordTrackers.get(req.params.id);
+
+    if (!tracker) {
+      return res.status(404).json({
+        success: false,
+        error: 'Keyword tracker not found'
+      });
+    }
+
+    const { keyword, since } = req.query;
+    const threshold = req.query.threshold ? parseInt(req.query.threshold) : config.keywords.moveThreshold;
+    const keywords = await keywordHistory.getSeries(tracker, { keyword, since, threshold });
+
+    res.json({
+      success: true,
+      data: {
+        id: tracker.id,
+        appId: tracker.appId,
+        language: tracker.language,
+        country: tracker.country,
+        depth: tracker.depth,
+        keywords,
+        flagged: keywords.filter(series => series.latestMove).map(series => series.keyword),
+        metadata: {
+          threshold,
+          since: since || null
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching keyword ranks:', error);
+    res.status(statusForError(error)).json(errorResponse(error, 'Failed to fetch keyword ranks'));
+  }
+});
+
+/**
+ * @route DELETE /api/keywords/:id
+ * @desc Stop tracking an app's keywords; their history is kept
+ * @access Public
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const removed = await keywordTrackers.remove(req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Keyword tracker not found'
+      });
+    }
+
+    await keywordScheduler.reschedule();
+
+    res.json({
+      success: true,
+      data: { id: req.params.id, removed: true }
+    });
+
+  } catch (error) {
+    console.error('Error removing keyword tracker:', error);
+    res.status(statusForError(error)).json(errorResponse(error, 'Failed to remove keyword tracker'));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,128 @@
+const express = require('express');
+const { watchlist, watchlistScheduler } = require('../services/watchlist');
+const { validateWatchlistEntry } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/watchlist
+ * @desc List watched apps with their last run status and next run time
+ * @access Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const entries = await watchlist.list();
+    
+    res.json({
+      success: true,
+      data: {
+        totalApps: entries.length,
+        entries,
+        scheduler: watchlistScheduler.getStatus()
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error listing watchlist:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list watchlist',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/watchlist
+ * @desc Watch an app in a locale, or change the polling interval of a watched app
+ * @access Public
+ */
+router.post('/', validateWatchlistEntry, async (req, res) => {
+  try {
+    const { appId, language, country, intervalMinutes } = req.body;
+    
+    const { entry, created } = await watchlist.add({ appId, language, country, intervalMinutes });
+    await watchlistScheduler.reschedule();
+    
+    console.log(`👀 ${created ? 'Watching' : 'Updated watch for'} app: ${entry.id}`);
+    
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: entry
+    });
+    
+  } catch (error) {
+    console.error('Error adding to watchlist:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add app to watchlist',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/watchlist/:id
+ * @desc Get a watched app (ID format: appId:language-country)
+ * @access Public
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const entry = await watchlist.get(req.params.id);
+    
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Watchlist entry not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: entry
+    });
+    
+  } catch (error) {
+    console.error('Error fetching watchlist entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch watchlist entry',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/watchlist/:id
+ * @desc Stop watching an app
+ * @access Public
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const removed = await watchlist.remove(req.params.id);
+    
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Watchlist entry not found'
+      });
+    }
+    
+    await watchlistScheduler.reschedule();
+    
+    res.json({
+      success: true,
+      data: { id: req.params.id, removed: true }
+    });
+    
+  } catch (error) {
+    console.error('Error removing watchlist entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove watchlist entry',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
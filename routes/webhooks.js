@@ -0,0 +1,230 @@
+const express = require('express');
+const { webhooks } = require('../services/webhooks');
+const { validateWebhookSubscription } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * Hide the signing secret of a subscription
+ * @param {Object} subscription - Subscription
+ * @returns {Object} Subscription without its secret
+ */
+const withoutSecret = ({ secret, ...subscription }) => ({
+  ...subscription,
+  secret: `${secret.slice(0, 4)}…`
+});
+
+/**
+ * @route POST /api/webhooks
+ * @desc Subscribe a URL to new and updated review events
+ * @access Public
+ */
+router.post('/', validateWebhookSubscription, async (req, res) => {
+  try {
+    const { url, secret, events, filters } = req.body;
+    
+    const subscription = await webhooks.createSubscription({ url, secret, events, filters });
+    
+    console.log(`🪝 Webhook subscription created: ${subscription.id} -> ${subscription.url}`);
+    
+    // The secret is only returned in full once, on creation
+    res.status(201).json({
+      success: true,
+      data: subscription
+    });
+    
+  } catch (error) {
+    console.error('Error creating webhook subscription:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create webhook subscription',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/webhooks
+ * @desc List webhook subscriptions
+ * @access Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const subscriptions = await webhooks.listSubscriptions();
+    
+    res.json({
+      success: true,
+      data: {
+        totalSubscriptions: subscriptions.length,
+        subscriptions: subscriptions.map(withoutSecret)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error listing webhook subscriptions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list webhook subscriptions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/webhooks/dead-letters
+ * @desc List deliveries that failed all their attempts
+ * @access Public
+ */
+router.get('/dead-letters', async (req, res) => {
+  try {
+    const deadLetters = await webhooks.getDeadLetters();
+    
+    res.json({
+      success: true,
+      data: {
+        totalDeadLetters: deadLetters.length,
+        deadLetters
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error listing webhook dead letters:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list webhook dead letters',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/webhooks/dead-letters/:deliveryId/retry
+ * @desc Queue a dead-lettered delivery again
+ * @access Public
+ */
+router.post('/dead-letters/:deliveryId/retry', async (req, res) => {
+  try {
+    const delivery = await webhooks.retryDeadLetter(req.params.deliveryId);
+    
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dead letter not found'
+      });
+    }
+    
+    res.status(202).json({
+      success: true,
+      data: delivery
+    });
+    
+  } catch (error) {
+    console.error('Error retrying webhook delivery:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry webhook delivery',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/webhooks/:id
+ * @desc Get a webhook subscription
+ * @access Public
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const subscription = await webhooks.getSubscription(req.params.id);
+    
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook subscription not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: withoutSecret(subscription)
+    });
+    
+  } catch (error) {
+    console.error('Error fetching webhook subscription:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook subscription',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/webhooks/:id
+ * @desc Remove a webhook subscription and cancel its pending retries
+ * @access Public
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const removed = await webhooks.removeSubscription(req.params.id);
+    
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook subscription not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: { id: req.params.id, removed: true }
+    });
+    
+  } catch (error) {
+    console.error('Error removing webhook subscription:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove webhook subscription',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/webhooks/:id/deliveries
+ * @desc Delivery log of a subscription, newest first
+ * @access Public
+ */
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const subscription = await webhooks.getSubscription(req.params.id);
+    
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook subscription not found'
+      });
+    }
+    
+    const deliveries = await webhooks.getDeliveries(req.params.id);
+    
+    res.json({
+      success: true,
+      data: {
+        subscriptionId: subscription.id,
+        totalDeliveries: deliveries.length,
+        deliveries
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook deliveries',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,21 @@ const rateLimit = require('express-rate-limit');
 
 // Import routes
 const commentsRoutes = require('./routes/comments');
+const appsRoutes = require('./routes/apps');
+const developersRoutes = require('./routes/developers');
+const jobsRoutes = require('./routes/jobs');
+const watchlistRoutes = require('./routes/watchlist');
+const chartRoutes = require('./routes/charts');
+const keywordRoutes = require('./routes/keywords');
+const compareRoutes = require('./routes/compare');
+const webhooksRoutes = require('./routes/webhooks');
+const { watchlistScheduler } = require('./services/watchlist');
+const { chartScheduler } = require('./services/charts');
+const { keywordScheduler } = require('./services/keywords');
+const { anomalyMonitor } = require('./services/anomalies');
+const { webhooks } = require('./services/webhooks');
+const { httpClient } = require('./services/httpClient');
+const config = require('./config/config');
 
 // Load environment variables
 dotenv.config();
@@ -31,10 +46,25 @@ app.use(express.urlencoded({ extended: true }));
 
 // Routes
 app.use('/api/comments', commentsRoutes);
+app.use('/api/apps', appsRoutes);
+app.use('/api/developers', developersRoutes);
+app.use('/api/charts', chartRoutes);
+app.use('/api/keywords', keywordRoutes);
+app.use('/api/compare', compareRoutes);
+app.use('/api/jobs', jobsRoutes);
+app.use('/api/watchlist', watchlistRoutes);
+app.use('/api/webhooks', webhooksRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+  const upstream = httpClient.getStatus();
+  const degraded = Object.values(upstream.circuits).some(circuit => circuit.state !== 'closed');
+  
+  res.json({
+    status: degraded ? 'DEGRADED' : 'OK',
+    timestamp: new Date().toISOString(),
+    upstream
+  });
 });
 
 // Root endpoint
@@ -44,7 +74,15 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: '/health',
-      comments: '/api/comments'
+      comments: '/api/comments',
+      apps: '/api/apps',
+      developers: '/api/developers',
+      charts: '/api/charts',
+      keywords: '/api/keywords',
+      compare: '/api/compare',
+      jobs: '/api/jobs',
+      watchlist: '/api/watchlist',
+      webhooks: '/api/webhooks'
     }
   });
 });
@@ -67,4 +105,24 @@ app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📱 Google Play Store Comments Scraper API`);
   console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+  
+  webhooks.start().catch(error => {
+    console.error('❌ Failed to start webhook delivery:', error.message);
+  });
+  
+  if (config.watchlist.enableScheduler) {
+    watchlistScheduler.start();
+  }
+  
+  if (config.charts.enableRecording) {
+    chartScheduler.start();
+  }
+  
+  if (config.keywords.enableTracking) {
+    keywordScheduler.start();
+  }
+  
+  if (config.anomalies.enableMonitor) {
+    anomalyMonitor.start();
+  }
 });
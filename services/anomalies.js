@@ -0,0 +1,467 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const events = require('./events');
+const { reviewStore } = require('./reviewStore');
+const { collectWindow } = require('./comparison');
+
+// Fewest recent and baseline ratings for comparing averages
+const MIN_RECENT = 5;
+const MIN_BASELINE = 10;
+// Smallest rating drop worth flagging, in stars
+const MIN_RATING_DROP = 0.5;
+// z-score a rating drop must reach (95% confidence)
+const DROP_Z = 1.96;
+// Fewest recent 1-star reviews, and how many times the baseline rate, for a spike
+const MIN_ONE_STAR = 5;
+const SPIKE_FACTOR = 3;
+// Near-identical texts: fewest words per text, word overlap and group size
+const MIN_DUPLICATE_WORDS = 4;
+const DUPLICATE_SIMILARITY = 0.8;
+const MIN_DUPLICATES = 3;
+// New-looking authors: fewest recent reviews, smallest share, and how many times the baseline share
+const MIN_NEW_AUTHORS = 5;
+const NEW_AUTHOR_SHARE = 0.2;
+const NEW_AUTHOR_FACTOR = 2;
+// Evidence reviews listed per anomaly
+const MAX_EVIDENCE = 10;
+
+const SEVERITIES = ['low', 'medium', 'high'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Round a number for output
+ * @param {number} value - Number
+ * @returns {number} Number rounded to two decimals
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Get the time of a review
+ * @param {Object} review - Review
+ * @returns {number} Milliseconds since the epoch, NaN when unknown
+ */
+const reviewTime = (review) => Date.parse(review.submittedAt || review.date);
+
+/**
+ * Pick a severity from a value and its medium and high thresholds
+ * @param {number} value - Measured value
+ * @param {number} medium - Value from which the severity is medium
+ * @param {number} high - Value from which the severity is high
+ * @returns {string} low, medium or high
+ */
+const severityFor = (value, medium, high) => {
+  if (value >= high) return 'high';
+  if (value >= medium) return 'medium';
+  return 'low';
+};
+
+/**
+ * Reduce reviews to the fields shown as evidence, newest first
+ * @param {Array} reviews - Reviews
+ * @returns {Array} Up to MAX_EVIDENCE reviews
+ */
+const evidenceOf = (reviews) => [...reviews]
+  .sort((a, b) => (reviewTime(b) || 0) - (reviewTime(a) || 0))
+  .slice(0, MAX_EVIDENCE)
+  .map(({ id, author, rating, date, submittedAt, text }) => ({ id, author, rating, date, submittedAt, text }));
+
+/**
+ * Compute the mean and sample variance of ratings
+ * @param {Array} reviews - Reviews
+ * @returns {Object} { count, mean, variance }
+ */
+const ratingMoments = (reviews) => {
+  const ratings = reviews.map(review => review.rating).filter(rating => rating >= 1 && rating <= 5);
+  const count = ratings.length;
+  const mean = count > 0 ? ratings.reduce((sum, rating) => sum + rating, 0) / count : null;
+  const variance = count > 1 ? ratings.reduce((sum, rating) => sum + (rating - mean) ** 2, 0) / (count - 1) : 0;
+  return { count, mean, variance };
+};
+
+/**
+ * Flag an average rating that fell significantly below the baseline
+ * @param {Array} recent - Reviews of the recent window
+ * @param {Array} baseline - Reviews of the baseline window
+ * @returns {Array} Zero or one anomaly
+ */
+const detectRatingDrop = (recent, baseline) => {
+  const now = ratingMoments(recent);
+  const before = ratingMoments(baseline);
+  if (now.count < MIN_RECENT || before.count < MIN_BASELINE) return [];
+
+  const drop = before.mean - now.mean;
+  const error = Math.sqrt(now.variance / now.count + before.variance / before.count);
+  if (drop < MIN_RATING_DROP || (error > 0 && drop / error < DROP_Z)) return [];
+
+  return [{
+    key: 'rating_drop',
+    type: 'rating_drop',
+    severity: severityFor(drop, 1, 1.5),
+    summary: `Average rating fell from ${round(before.mean)} to ${round(now.mean)}`,
+    metrics: {
+      recentAverage: round(now.mean),
+      baselineAverage: round(before.mean),
+      drop: round(drop),
+      recentReviews: now.count,
+      baselineReviews: before.count
+    },
+    evidence: evidenceOf(recent.filter(review => review.rating >= 1 && review.rating <= 2))
+  }];
+};
+
+/**
+ * Flag a daily volume of 1-star reviews well above the baseline rate
+ * @param {Array} recent - Reviews of the recent window
+ * @param {Array} baseline - Reviews of the baseline window
+ * @param {Object} windows - { days, baselineDays }
+ * @returns {Array} Zero or one anomaly
+ */
+const detectOneStarSpike = (recent, baseline, { days, baselineDays }) => {
+  const recentOneStar = recent.filter(review => review.rating === 1);
+  const baselineOneStar = baseline.filter(review => review.rating === 1).length;
+  const expected = baselineOneStar / baselineDays * days;
+  // At least one expected review, so a quiet baseline does not turn every complaint into a spike
+  const ratio = recentOneStar.length / Math.max(expected, 1);
+  if (recentOneStar.length < MIN_ONE_STAR || ratio < SPIKE_FACTOR) return [];
+
+  return [{
+    key: 'one_star_spike',
+    type: 'one_star_spike',
+    severity: severityFor(ratio, 5, 10),
+    summary: `${recentOneStar.length} one-star reviews where about ${round(expected)} were expected`,
+    metrics: {
+      recentOneStar: recentOneStar.length,
+      expectedOneStar: round(expected),
+      ratio: round(ratio),
+      recentShare: round(recentOneStar.length / recent.length),
+      baselineShare: baseline.length > 0 ? round(baselineOneStar / baseline.length) : null
+    },
+    evidence: evidenceOf(recentOneStar)
+  }];
+};
+
+/**
+ * Normalize a review text for comparison
+ * @param {string} text - Review text
+ * @returns {Array} Lowercased words without punctuation
+ */
+const wordsOf = (text) => (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+
+/**
+ * Tell whether two word sets are alike enough to count as duplicates
+ * @param {Set} a - Words of the first text
+ * @param {Set} b - Words of the second text
+ * @returns {boolean} Whether their Jaccard similarity reaches DUPLICATE_SIMILARITY
+ */
+const isNearDuplicate = (a, b) => {
+  if (Math.min(a.size, b.size) / Math.max(a.size, b.size) < DUPLICATE_SIMILARITY) return false;
+  let common = 0;
+  a.forEach(word => {
+    if (b.has(word)) common += 1;
+  });
+  return common / (a.size + b.size - common) >= DUPLICATE_SIMILARITY;
+};
+
+/**
+ * Flag groups of recent reviews with identical or nearly identical text
+ *
+ * Identical texts are grouped by lookup. Distinct texts are only compared
+ * when they share a word of their prefix: with words ordered rarest first,
+ * two sets with a Jaccard similarity of at least t share a word among the
+ * first size - ceil(t * size) + 1 of each. So a review bomb of one text, or
+ * thousands of unrelated reviews, does not take a quadratic number of
+ * comparisons.
+ * @param {Array} recent - Reviews of the recent window
+ * @returns {Array} One anomaly per group
+ */
+const detectDuplicateText = (recent) => {
+  // Short texts such as "great app" repeat innocently
+  const candidates = recent
+    .map(review => ({ review, words: wordsOf(review.text) }))
+    .filter(({ words }) => words.length >= MIN_DUPLICATE_WORDS)
+    .map(candidate => ({ ...candidate, set: new Set(candidate.words), text: candidate.words.join(' ') }));
+
+  // Union-find over similar pairs
+  const parent = candidates.map((candidate, index) => index);
+  const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  const union = (a, b) => {
+    parent[find(b)] = find(a);
+  };
+
+  // First review of each distinct text
+  const distinct = new Map();
+  candidates.forEach((candidate, index) => {
+    if (distinct.has(candidate.text)) {
+      union(distinct.get(candidate.text), index);
+    } else {
+      distinct.set(candidate.text, index);
+    }
+  });
+
+  const frequency = new Map();
+  distinct.forEach(index => candidates[index].set.forEach(word => frequency.set(word, (frequency.get(word) || 0) + 1)));
+  const rarestFirst = (a, b) => frequency.get(a) - frequency.get(b) || (a < b ? -1 : 1);
+
+  // Distinct texts by prefix word
+  const postings = new Map();
+  distinct.forEach((index) => {
+    const { set } = candidates[index];
+    // The epsilon keeps float error (0.8 * 15 = 12.000000000000002) from shortening the prefix
+    const prefixLength = set.size - Math.ceil(DUPLICATE_SIMILARITY * set.size - 1e-9) + 1;
+    const compared = new Set();
+
+    [...set].sort(rarestFirst).slice(0, prefixLength).forEach((word) => {
+      if (!postings.has(word)) postings.set(word, []);
+      const others = postings.get(word);
+      others.forEach((other) => {
+        if (compared.has(other)) return;
+        compared.add(other);
+        if (find(other) !== find(index) && isNearDuplicate(candidates[other].set, set)) union(other, index);
+      });
+      others.push(index);
+    });
+  });
+
+  const groups = new Map();
+  candidates.forEach((candidate, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(candidate);
+  });
+
+  return [...groups.values()]
+    .filter(group => group.length >= MIN_DUPLICATES)
+    .map(group => {
+      const reviews = group.map(({ review }) => review);
+      // Keyed on the oldest text, so a group keeps its key while it grows
+      const { text } = group.reduce((oldest, candidate) => (reviewTime(candidate.review) < reviewTime(oldest.review) ? candidate : oldest));
+      const { mean } = ratingMoments(reviews);
+
+      return {
+        key: `duplicate_text:${crypto.createHash('sha1').update(text).digest('hex').slice(0, 12)}`,
+        type: 'duplicate_text',
+        severity: severityFor(reviews.length, 5, 10),
+        summary: `${reviews.length} reviews with nearly the same text`,
+        metrics: {
+          reviews: reviews.length,
+          authors: new Set(reviews.map(review => review.author)).size,
+          averageRating: mean === null ? null : round(mean),
+          text: text.slice(0, 200)
+        },
+        evidence: evidenceOf(reviews)
+      };
+    });
+};
+
+/**
+ * Tell whether an author name looks like a freshly created account
+ * @param {string} author - Author name
+ * @returns {boolean} Whether it is the store's default name or contains a run of three or more digits
+ */
+const looksNewAuthor = (author) => !author || /^a google user$/i.test(author.trim()) || /\d{3,}/.test(author);
+
+/**
+ * Flag a surge of reviews from new-looking author names
+ * @param {Array} recent - Reviews of the recent window
+ * @param {Array} baseline - Reviews of the baseline window
+ * @returns {Array} Zero or one anomaly
+ */
+const detectNewAuthorSurge = (recent, baseline) => {
+  const fresh = recent.filter(review => looksNewAuthor(review.author));
+  if (fresh.length < MIN_NEW_AUTHORS) return [];
+
+  const recentShare = fresh.length / recent.length;
+  const baselineShare = baseline.length > 0 ? baseline.filter(review => looksNewAuthor(review.author)).length / baseline.length : 0;
+  if (recentShare < NEW_AUTHOR_SHARE || recentShare < baselineShare * NEW_AUTHOR_FACTOR) return [];
+
+  return [{
+    key: 'new_author_surge',
+    type: 'new_author_surge',
+    severity: severityFor(recentShare, 0.35, 0.5),
+    summary: `${fresh.length} recent reviews (${Math.round(recentShare * 100)}%) come from new-looking author names`,
+    metrics: {
+      recentReviews: fresh.length,
+      recentShare: round(recentShare),
+      baselineShare: round(baselineShare)
+    },
+    evidence: evidenceOf(fresh)
+  }];
+};
+
+/**
+ * Detect rating anomalies and review bombs
+ * Compares the reviews of the last `days` days with the `baselineDays`
+ * days before them.
+ * @param {Array} reviews - Reviews
+ * @param {Object} options - Options
+ * @param {number} options.days - Recent window in days
+ * @param {number} options.baselineDays - Baseline window in days
+ * @param {Date} [options.now] - End of the recent window
+ * @returns {Object} { anomalies (most severe first), recent, baseline }, with windows as { from, to, reviews }
+ */
+const detectAnomalies = (reviews, options = {}) => {
+  const { days = config.anomalies.recentDays, baselineDays = config.anomalies.baselineDays, now = new Date() } = options;
+  const to = now.getTime();
+  const from = to - days * DAY_MS;
+  const baselineFrom = from - baselineDays * DAY_MS;
+
+  const recent = [];
+  const baseline = [];
+  reviews.forEach(review => {
+    const time = reviewTime(review);
+    if (time >= from && time <= to) recent.push(review);
+    else if (time >= baselineFrom && time < from) baseline.push(review);
+  });
+
+  const window = (start, end, list) => ({ from: new Date(start).toISOString(), to: new Date(end).toISOString(), reviews: list.length });
+  const anomalies = recent.length === 0 ? [] : [
+    ...detectRatingDrop(recent, baseline),
+    ...detectOneStarSpike(recent, baseline, { days, baselineDays }),
+    ...detectDuplicateText(recent),
+    ...detectNewAuthorSurge(recent, baseline)
+  ];
+
+  return {
+    anomalies: anomalies.sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity)),
+    recent: window(from, to, recent),
+    baseline: window(baselineFrom, from, baseline)
+  };
+};
+
+/**
+ * Detect the anomalies of an app's reviews
+ * @param {string} appId - App ID
+ * @param {Object} options - Options
+ * @param {string} options.language - Language
+ * @param {string} options.country - Country
+ * @param {string} options.source - store (saved reviews) or live (fetched now)
+ * @param {string} [options.mode] - Scrape mode for live reviews
+ * @param {number} options.days - Recent window in days
+ * @param {number} options.baselineDays - Baseline window in days
+ * @returns {Promise<Object>} Detection result plus truncated and provenance
+ */
+const scanApp = async (appId, options = {}) => {
+  const {
+    language = 'en',
+    country = 'US',
+    source = 'store',
+    mode,
+    days = config.anomalies.recentDays,
+    baselineDays = config.anomalies.baselineDays
+  } = options;
+  const now = new Date();
+
+  const { reviews, truncated, provenance } = await collectWindow(appId, {
+    since: now.getTime() - (days + baselineDays) * DAY_MS,
+    until: now.getTime(),
+    maxReviews: config.anomalies.maxReviews,
+    language,
+    country,
+    mode,
+    source
+  });
+
+  return { ...detectAnomalies(reviews, { days, baselineDays, now }), truncated, provenance };
+};
+
+/**
+ * Anomaly Monitor
+ * Checks an app's stored reviews once a sync that saved new ones finished, and
+ * publishes reviews.anomaly events for anomalies that start or grow more
+ * severe. The anomalies active after each check are kept in the sync state,
+ * so an ongoing review bomb is reported once rather than on every sync.
+ */
+class AnomalyMonitor {
+  constructor() {
+    this.listener = null;
+    // Checks in progress per app and locale, so they run one after another
+    this.checks = new Map();
+  }
+
+  /**
+   * Listen for finished syncs
+   * Waiting for the whole sync, rather than each page of new reviews, checks
+   * complete data and runs one scan per sync.
+   */
+  start() {
+    if (this.listener) return;
+
+    this.listener = ({ appId, language, country, added, baseline }) => {
+      // A baseline sync only fills the store; there is nothing new to judge
+      if (baseline || added === 0) return;
+
+      this.check(appId, { language, country }).catch(error => {
+        console.error(`❌ Error checking ${appId} for anomalies:`, error.message);
+      });
+    };
+    events.on('reviews.synced', this.listener);
+  }
+
+  /**
+   * Stop listening
+   */
+  stop() {
+    if (!this.listener) return;
+
+    events.off('reviews.synced', this.listener);
+    this.listener = null;
+  }
+
+  /**
+   * Check an app's stored reviews and publish new or escalated anomalies
+   * @param {string} appId - App ID
+   * @param {Object} locale - Locale ({ language, country })
+   * @returns {Promise<Array>} Published anomalies
+   */
+  check(appId, locale) {
+    const id = reviewStore.collectionKey(appId, locale);
+    const previous = this.checks.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(() => this.runCheck(appId, locale));
+
+    this.checks.set(id, next);
+    next.finally(() => {
+      if (this.checks.get(id) === next) this.checks.delete(id);
+    }).catch(() => {});
+
+    return next;
+  }
+
+  /**
+   * Run one check
+   * @param {string} appId - App ID
+   * @param {Object} locale - Locale ({ language, country })
+   * @returns {Promise<Array>} Published anomalies
+   */
+  async runCheck(appId, { language, country }) {
+    const { anomalies } = await scanApp(appId, { language, country, source: 'store' });
+    const { activeAnomalies = {} } = await reviewStore.getSyncState(appId, { language, country });
+
+    const published = anomalies.filter(anomaly => !activeAnomalies[anomaly.key] ||
+      SEVERITIES.indexOf(anomaly.severity) > SEVERITIES.indexOf(activeAnomalies[anomaly.key]));
+
+    const active = {};
+    anomalies.forEach(anomaly => {
+      active[anomaly.key] = anomaly.severity;
+    });
+    await reviewStore.updateSyncState(appId, { language, country }, {
+      activeAnomalies: active,
+      lastAnomalyCheckAt: new Date().toISOString()
+    });
+
+    if (published.length > 0) {
+      console.log(`🚨 ${published.length} review anomalies detected for app: ${appId} (${language}-${country})`);
+      events.emit('reviews.anomaly', { appId, language, country, anomalies: published });
+    }
+
+    return published;
+  }
+}
+
+const anomalyMonitor = new AnomalyMonitor();
+
+module.exports = {
+  detectAnomalies,
+  scanApp,
+  AnomalyMonitor,
+  anomalyMonitor
+};
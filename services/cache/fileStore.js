@@ -0,0 +1,91 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * On-disk cache store
+ *
+ * Keeps one JSON file per entry so the cache survives restarts. Implements
+ * the same interface as MemoryStore; when more than maxSize entries exist,
+ * the least recently used files are removed.
+ */
+class FileStore {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.directory - Directory holding the cache files
+   * @param {number} options.maxSize - Maximum number of entries kept
+   */
+  constructor({ directory, maxSize = 100 } = {}) {
+    this.directory = directory;
+    this.maxSize = maxSize;
+  }
+
+  /**
+   * Map a cache key to a file path
+   * @param {string} key - Cache key
+   * @returns {string} File path
+   */
+  fileFor(key) {
+    const name = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.directory, `${name}.json`);
+  }
+
+  async get(key) {
+    const file = this.fileFor(key);
+
+    try {
+      const entry = JSON.parse(await fs.readFile(file, 'utf8'));
+      if (entry.key !== key) return undefined;
+
+      // Touch the file so eviction sees it as recently used
+      const now = new Date();
+      await fs.utimes(file, now, now).catch(() => {});
+      return { value: entry.value, storedAt: entry.storedAt, expiresAt: entry.expiresAt };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Ignoring unreadable cache file ${file}: ${error.message}`);
+      }
+      return undefined;
+    }
+  }
+
+  async set(key, entry) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    // Write to a temporary file first so readers never see a partial entry
+    const file = this.fileFor(key);
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify({ key, ...entry }));
+    await fs.rename(tempFile, file);
+
+    await this.evict();
+  }
+
+  async delete(key) {
+    await fs.rm(this.fileFor(key), { force: true });
+  }
+
+  async clear() {
+    await fs.rm(this.directory, { recursive: true, force: true });
+  }
+
+  /**
+   * Remove least recently used files beyond maxSize
+   */
+  async evict() {
+    const names = (await fs.readdir(this.directory)).filter(name => name.endsWith('.json'));
+    if (names.length <= this.maxSize) return;
+
+    const files = await Promise.all(names.map(async (name) => {
+      const file = path.join(this.directory, name);
+      const stats = await fs.stat(file).catch(() => null);
+      return { file, mtime: stats ? stats.mtimeMs : 0 };
+    }));
+
+    files.sort((a, b) => a.mtime - b.mtime);
+    const excess = files.slice(0, files.length - this.maxSize);
+    await Promise.all(excess.map(({ file }) => fs.rm(file, { force: true })));
+  }
+}
+
+module.exports = FileStore;
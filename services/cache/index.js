@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const config = require('../../config/config');
+const MemoryStore = require('./memoryStore');
+const FileStore = require('./fileStore');
+
+/**
+ * Response cache in front of the Play Store service
+ *
+ * Stores results with a TTL in a pluggable store and coalesces concurrent
+ * identical calls into a single upstream fetch. Coalescing happens even when
+ * caching is disabled.
+ */
+class ResponseCache {
+  /**
+   * @param {Object} options - Options
+   * @param {Object} options.store - Store implementing get/set/delete/clear
+   * @param {number} options.ttlSeconds - Time to live of an entry
+   * @param {boolean} options.enabled - Whether results are stored
+   */
+  constructor({ store, ttlSeconds, enabled = true }) {
+    this.store = store;
+    this.ttlMs = ttlSeconds * 1000;
+    this.enabled = enabled;
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Build a cache key from a namespace and parameters
+   * @param {string} namespace - Kind of result (e.g. 'comments')
+   * @param {Object} params - Parameters that identify the result
+   * @returns {string} Cache key
+   */
+  buildKey(namespace, params) {
+    const parts = Object.keys(params)
+      .sort()
+      .filter(name => params[name] !== undefined && params[name] !== null)
+      .map(name => `${name}=${params[name]}`);
+
+    return `${namespace}:${parts.join('&')}`;
+  }
+
+  /**
+   * Return a cached result or load it
+   * @param {string} key - Cache key
+   * @param {Function} loader - Async function producing the value
+   * @param {Object} options - Options
+   * @param {boolean} options.refresh - Skip the cached entry and reload
+   * @param {Function} options.cacheable - Decides whether a value may be stored
+   * @returns {Object} Object with the value and cache metadata
+   */
+  async wrap(key, loader, options = {}) {
+    const { refresh = false, cacheable = () => true } = options;
+
+    if (this.enabled && !refresh) {
+      const entry = await this.read(key);
+      if (entry) {
+        return { value: entry.value, cache: this.describe(key, entry, true) };
+      }
+    }
+
+    // Join an identical request that is already on its way
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const pending = (async () => {
+      const value = await loader();
+      const now = Date.now();
+      const entry = { value, storedAt: now, expiresAt: now + this.ttlMs };
+
+      if (!this.enabled || !cacheable(value)) {
+        return { value, cache: null };
+      }
+
+      await this.store.set(key, entry).catch(error => {
+        console.warn(`⚠️ Could not store cache entry ${key}: ${error.message}`);
+      });
+      return { value, cache: this.describe(key, entry, false) };
+    })();
+
+    this.inFlight.set(key, pending);
+    try {
+      return await pending;
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  /**
+   * Read a live entry, dropping it when expired
+   * @param {string} key - Cache key
+   * @returns {Object|undefined} Entry
+   */
+  async read(key) {
+    const entry = await this.store.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      await this.store.delete(key);
+      return undefined;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Describe a cache entry for HTTP responses
+   * @param {string} key - Cache key
+   * @param {Object} entry - Cache entry
+   * @param {boolean} hit - Whether the entry was served from the cache
+   * @returns {Object} Cache metadata
+   */
+  describe(key, entry, hit) {
+    const etag = crypto.createHash('sha1').update(`${key}|${entry.storedAt}`).digest('hex').slice(0, 27);
+
+    return {
+      hit,
+      etag: `"${etag}"`,
+      storedAt: new Date(entry.storedAt).toISOString(),
+      expiresAt: new Date(entry.expiresAt).toISOString(),
+      maxAge: Math.max(0, Math.floor((entry.expiresAt - Date.now()) / 1000))
+    };
+  }
+
+  async clear() {
+    await this.store.clear();
+  }
+}
+
+/**
+ * Create the store selected in the configuration
+ * @returns {Object} Cache store
+ */
+const createStore = () => {
+  if (config.cache.store === 'file') {
+    return new FileStore({ directory: config.cache.directory, maxSize: config.cache.maxCacheSize });
+  }
+  return new MemoryStore({ maxSize: config.cache.maxCacheSize });
+};
+
+// Create singleton instance
+const responseCache = new ResponseCache({
+  store: createStore(),
+  ttlSeconds: config.cache.cacheTTL,
+  enabled: config.cache.enableCache
+});
+
+module.exports = {
+  ResponseCache,
+  MemoryStore,
+  FileStore,
+  responseCache
+};
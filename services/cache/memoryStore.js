@@ -0,0 +1,55 @@
+/**
+ * In-memory LRU cache store
+ *
+ * Store interface shared by all cache stores (every method is async):
+ * - get(key) -> entry or undefined
+ * - set(key, entry)
+ * - delete(key)
+ * - clear()
+ * An entry is { value, storedAt, expiresAt } with timestamps in milliseconds.
+ */
+class MemoryStore {
+  /**
+   * @param {Object} options - Options
+   * @param {number} options.maxSize - Maximum number of entries kept
+   */
+  constructor({ maxSize = 100 } = {}) {
+    this.maxSize = maxSize;
+    // Map keeps insertion order, so the first key is the least recently used
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (entry === undefined) return undefined;
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxSize) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,168 @@
+const config = require('../config/config');
+const IntervalScheduler = require('./scheduler');
+const ScheduleStore = require('./scheduleStore');
+const { RECORDING_FETCH_OPTIONS, HistoryStore } = require('./historyStore');
+const { fetchChart } = require('./playStoreAPI');
+
+/**
+ * Chart Recordings
+ * Top charts registered for recording, each with a polling interval. The
+ * scheduler snapshots a chart into the chart history when it is due.
+ */
+class ChartRecordings extends ScheduleStore {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.file - Path of the recordings file
+   */
+  constructor({ file }) {
+    super({ file, key: 'recordings' });
+  }
+
+  /**
+   * Build the ID of a recording
+   * @param {Object} chart - Chart ({ collection, category, language, country })
+   * @returns {string} Recording ID
+   */
+  static recordingId({ collection, category, language, country }) {
+    return `${collection}:${category}:${language}-${country}`;
+  }
+
+  /**
+   * Register a chart, or update the size and interval of an existing recording
+   * @param {Object} options - Recording options
+   * @param {string} options.collection - Chart (topfree, toppaid or topgrossing)
+   * @param {string} options.category - Category ID
+   * @param {string} options.language - Language
+   * @param {string} options.country - Country
+   * @param {number} options.limit - Number of ranks recorded
+   * @param {number} options.intervalMinutes - Polling interval
+   * @returns {Object} Object with the recording and whether it was created
+   */
+  async add({ collection, category = 'APPLICATION', language = 'en', country = 'US', limit = 100, intervalMinutes = config.charts.defaultIntervalMinutes }) {
+    const chart = { collection, category, language, country };
+    const { item, created } = await this.put(ChartRecordings.recordingId(chart), chart, { limit, intervalMinutes });
+    return { recording: item, created };
+  }
+}
+
+/**
+ * Chart History
+ * Snapshots of recorded charts, one JSON file per chart. A snapshot keeps the
+ * app IDs in rank order, so an app's rank is its position plus one.
+ */
+class ChartHistory extends HistoryStore {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.directory - Directory holding the history files
+   * @param {number} options.maxSnapshots - Snapshots kept per chart, oldest dropped first
+   */
+  constructor({ directory, maxSnapshots }) {
+    super({ directory });
+    this.maxSnapshots = maxSnapshots;
+  }
+
+  /**
+   * Append a snapshot of a chart
+   * @param {Object} chart - Chart ({ collection, category, language, country })
+   * @param {Array} apps - Apps in rank order
+   * @param {string} [recordedAt] - Snapshot time
+   * @returns {Object} Snapshot
+   */
+  async addSnapshot(chart, apps, recordedAt = new Date().toISOString()) {
+    const { collection, category, language, country } = chart;
+    const snapshot = { recordedAt, appIds: apps.map(app => app.appId) };
+
+    await this.update(ChartRecordings.recordingId(chart), { collection, category, language, country, snapshots: [] }, (history) => {
+      history.snapshots = [...history.snapshots, snapshot].slice(-this.maxSnapshots);
+    });
+    return snapshot;
+  }
+
+  /**
+   * Build an app's rank history in every matching chart
+   * Charts the app never entered are left out. Snapshots in which the app
+   * was not ranked have a null rank.
+   * @param {string} appId - App ID
+   * @param {Object} filters - Filters
+   * @param {string} [filters.collection] - Chart
+   * @param {string} [filters.category] - Category ID
+   * @param {string} [filters.country] - Country
+   * @param {string} [filters.since] - Only snapshots from this time on (ISO)
+   * @returns {Array} One series per chart
+   */
+  async getRankHistory(appId, { collection, category, country, since } = {}) {
+    const from = since ? Date.parse(since) : -Infinity;
+
+    return (await this.readAll())
+      .filter(history => (!collection || history.collection === collection) &&
+        (!category || history.category === category) &&
+        (!country || history.country === country))
+      .map((history) => {
+        const points = history.snapshots
+          .filter(snapshot => Date.parse(snapshot.recordedAt) >= from)
+          .map((snapshot) => {
+            const index = snapshot.appIds.indexOf(appId);
+            return { recordedAt: snapshot.recordedAt, rank: index === -1 ? null : index + 1, chartSize: snapshot.appIds.length };
+          });
+        const ranks = points.map(point => point.rank).filter(rank => rank !== null);
+
+        return {
+          collection: history.collection,
+          category: history.category,
+          language: history.language,
+          country: history.country,
+          latestRank: points.length > 0 ? points[points.length - 1].rank : null,
+          bestRank: ranks.length > 0 ? Math.min(...ranks) : null,
+          worstRank: ranks.length > 0 ? Math.max(...ranks) : null,
+          points
+        };
+      })
+      .filter(series => series.bestRank !== null)
+      .sort((a, b) => a.bestRank - b.bestRank);
+  }
+}
+
+/**
+ * Fetch a recorded chart and store a snapshot of it
+ * @param {Object} recording - Recording
+ * @returns {Object} Run summary
+ */
+const recordChart = async (recording) => {
+  const { collection, category, language, country, limit } = recording;
+  const { apps, provenance } = await fetchChart({
+    collection,
+    category,
+    language,
+    country,
+    limit,
+    ...RECORDING_FETCH_OPTIONS
+  });
+
+  const snapshot = await chartHistory.addSnapshot(recording, apps);
+  console.log(`📈 Recorded ${apps.length} ranks of chart ${recording.id}`);
+
+  return { recordedAt: snapshot.recordedAt, apps: apps.length, provenance: provenance.status };
+};
+
+// Create singleton instances
+const chartRecordings = new ChartRecordings({ file: config.charts.file });
+
+const chartHistory = new ChartHistory({
+  directory: config.charts.historyDirectory,
+  maxSnapshots: config.charts.maxSnapshots
+});
+
+const chartScheduler = new IntervalScheduler({
+  name: 'Chart recording',
+  store: chartRecordings,
+  run: recordChart,
+  delayMs: config.playStore.requestDelay
+});
+
+module.exports = {
+  ChartRecordings,
+  ChartHistory,
+  chartRecordings,
+  chartHistory,
+  chartScheduler
+};
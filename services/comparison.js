@@ -0,0 +1,186 @@
+const config = require('../config/config');
+const { fetchComments } = require('./playStoreAPI');
+const { fetchStoredComments } = require('./reviewStore');
+const { iterateReviews } = require('./reviewExport');
+const { summarizeRatings, computeTimeSeries } = require('../utils/timeSeries');
+const { summarizeSentiment } = require('../utils/sentiment');
+const { extractTopics } = require('../utils/topics');
+
+// Complaint topics listed per app
+const MAX_COMPLAINT_TOPICS = 5;
+
+/**
+ * Round a share for output
+ * @param {number} value - Share from 0 to 1
+ * @returns {number} Share rounded to three decimals
+ */
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Collect an app's reviews from a time window
+ * Walks the newest reviews first and stops at the first one older than the
+ * window, once maxReviews were collected, or after maxScan reviews.
+ * @param {string} appId - App ID
+ * @param {Object} options - Options
+ * @param {number} options.since - Window start in milliseconds
+ * @param {number} options.until - Window end in milliseconds
+ * @param {number} options.maxReviews - Most reviews collected
+ * @param {string} options.language - Language
+ * @param {string} options.country - Country
+ * @param {string} options.mode - Scrape mode for live listings
+ * @param {string} options.source - live or store
+ * @param {string} [options.priority] - Outbound rate limiter lane for live reviews
+ * @returns {Promise<Object>} { reviews, truncated (whether the window may hold more reviews), provenance }
+ */
+const collectWindow = async (appId, { since, until, maxReviews, language, country, mode, source, priority }) => {
+  const reviews = [];
+  let provenance = null;
+  let scanned = 0;
+  let reachedStart = false;
+  let full = false;
+
+  const iterator = iterateReviews(source === 'store' ? fetchStoredComments : fetchComments, appId, {
+    maxReviews: config.compare.maxScan,
+    sort: 'recent',
+    language,
+    country,
+    mode,
+    priority,
+    onPage: (page) => {
+      provenance = provenance || page.provenance;
+    }
+  });
+
+  for await (const review of iterator) {
+    scanned++;
+    const time = Date.parse(review.submittedAt || review.date);
+    if (isNaN(time) || time > until) continue;
+    if (time < since) {
+      reachedStart = true;
+      break;
+    }
+    if (reviews.length === maxReviews) {
+      full = true;
+      break;
+    }
+    reviews.push(review);
+  }
+
+  // Running out of reviews before the scan limit also covers the whole window
+  const complete = reachedStart || (!full && scanned < config.compare.maxScan);
+
+  return { reviews, truncated: !complete, provenance };
+};
+
+/**
+ * Compare the average rating of the later half of a window with the earlier half
+ * @param {Array} reviews - Reviews of the window
+ * @param {number} since - Window start in milliseconds
+ * @param {number} until - Window end in milliseconds
+ * @returns {number|null} Change in average rating, or null when a half has no ratings
+ */
+const halfChange = (reviews, since, until) => {
+  const middle = since + (until - since) / 2;
+  const earlier = summarizeRatings(reviews.filter(review => Date.parse(review.submittedAt || review.date) < middle));
+  const later = summarizeRatings(reviews.filter(review => Date.parse(review.submittedAt || review.date) >= middle));
+
+  if (earlier.averageRating === null || later.averageRating === null) return null;
+  return Math.round((later.averageRating - earlier.averageRating) * 100) / 100;
+};
+
+/**
+ * Benchmark one app's reviews in a time window
+ * @param {string} appId - App ID
+ * @param {Object} options - Options, as for collectWindow, plus interval (day, week or month)
+ * @returns {Promise<Object>} Benchmark
+ */
+const benchmarkApp = async (appId, options) => {
+  const { since, until, interval = 'week' } = options;
+  const { reviews, truncated, provenance } = await collectWindow(appId, options);
+
+  const { count, averageRating, weightedRating, confidence, ratingDistribution } = summarizeRatings(reviews);
+  const days = (until - since) / (24 * 60 * 60 * 1000);
+  const sentiment = summarizeSentiment(reviews);
+  const negative = reviews.filter(review => review.rating >= 1 && review.rating <= 2);
+  const replied = reviews.filter(review => review.replyText).length;
+  const share = part => (reviews.length > 0 ? round(part / reviews.length) : null);
+
+  return {
+    appId,
+    success: true,
+    totalReviews: reviews.length,
+    reviewsPerDay: Math.round(reviews.length / days * 100) / 100,
+    // The window may hold more reviews than were analyzed
+    truncated,
+    averageRating,
+    weightedRating,
+    ratingConfidence: confidence,
+    ratedReviews: count,
+    ratingDistribution,
+    ratingTrend: {
+      change: halfChange(reviews, since, until),
+      buckets: computeTimeSeries(reviews, { interval, window: 1 }).buckets
+        .map(({ bucket, count: bucketCount, averageRating: bucketAverage }) => ({ bucket, count: bucketCount, averageRating: bucketAverage }))
+    },
+    sentiment: {
+      positive: share(sentiment.distribution.positive),
+      neutral: share(sentiment.distribution.neutral),
+      negative: share(sentiment.distribution.negative),
+      averageScore: sentiment.averageScore
+    },
+    complaintTopics: extractTopics(negative, { maxTopics: MAX_COMPLAINT_TOPICS })
+      .map(({ topic, phrases, count: topicCount }) => ({ topic, phrases, count: topicCount, share: share(topicCount) })),
+    replied,
+    replyRate: share(replied),
+    provenance
+  };
+};
+
+/**
+ * Map items with an async function, running at most `limit` calls at once
+ * @param {Array} items - Items
+ * @param {number} limit - Most calls in flight
+ * @param {Function} fn - Async function called with each item
+ * @returns {Promise<Array>} Results, in the order of items
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+/**
+ * Benchmark several apps over the same window, locale and sample cap
+ * Apps are benchmarked a few at a time on the batch limiter lane, so a
+ * comparison cannot crowd out interactive requests.
+ * @param {Array} appIds - App IDs
+ * @param {Object} options - Options, as for benchmarkApp
+ * @returns {Promise<Array>} One outcome per app, in the order of appIds; failed apps have success false
+ */
+const compareApps = async (appIds, options) => mapWithConcurrency(appIds, config.compare.concurrency, async (appId) => {
+  try {
+    return await benchmarkApp(appId, { maxReviews: config.compare.maxReviews, priority: 'batch', ...options });
+  } catch (error) {
+    return {
+      appId,
+      success: false,
+      error: error.message,
+      code: error.code
+    };
+  }
+});
+
+module.exports = {
+  collectWindow,
+  benchmarkApp,
+  compareApps
+};
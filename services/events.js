@@ -0,0 +1,20 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Process-wide event bus
+ *
+ * Services publish what they detect here; subscribers such as webhook
+ * delivery listen without the publishers knowing about them.
+ *
+ * Events:
+ * - reviews.new: { appId, language, country, reviews }
+ * - reviews.updated: { appId, language, country, reviews } (each review has `previous`)
+ * - reviews.synced: { appId, language, country, added, updated, baseline } once a sync stored every page
+ * - reviews.anomaly: { appId, language, country, anomalies } (see services/anomalies)
+ */
+const events = new EventEmitter();
+
+// Every webhook subscription and SSE client may listen
+events.setMaxListeners(0);
+
+module.exports = events;
@@ -0,0 +1,91 @@
+const fs = require('fs/promises');
+const path = require('path');
+const JsonFile = require('../utils/jsonFile');
+
+// Options of the Play Store fetches whose results are recorded in a history:
+// a recorded rank must come from a real, fresh page, never from sample data
+// or the cache, and scheduled work yields to user requests
+const RECORDING_FETCH_OPTIONS = {
+  mode: 'strict',
+  refresh: true,
+  priority: 'background'
+};
+
+/**
+ * History Store
+ * Time series recorded by a scheduler, one JSON file per scheduled item in a
+ * directory. Subclasses decide what a file holds and how much of it is kept.
+ */
+class HistoryStore {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.directory - Directory holding the history files
+   */
+  constructor({ directory }) {
+    this.directory = directory;
+    this.files = new Map();
+  }
+
+  /**
+   * Get the history file of an item
+   * @param {string} id - Item ID
+   * @returns {JsonFile} History file
+   */
+  fileFor(id) {
+    if (!this.files.has(id)) {
+      const name = `${id.replace(/[^a-zA-Z0-9._-]/g, '_')}.json`;
+      this.files.set(id, new JsonFile(path.join(this.directory, name), null));
+    }
+    return this.files.get(id);
+  }
+
+  /**
+   * Read the history of an item
+   * @param {string} id - Item ID
+   * @returns {Object|null} History, or null when nothing was recorded yet
+   */
+  read(id) {
+    return this.fileFor(id).read();
+  }
+
+  /**
+   * Change the history of an item and write it back
+   * @param {string} id - Item ID
+   * @param {Object} initial - History started when nothing was recorded yet
+   * @param {Function} change - Called with the history; changes it in place
+   * @returns {Object} History written
+   */
+  async update(id, initial, change) {
+    const file = this.fileFor(id);
+    const history = (await file.read()) || initial;
+    change(history);
+    await file.write(history);
+    return history;
+  }
+
+  /**
+   * Read the history of every item
+   * @returns {Array} Histories
+   */
+  async readAll() {
+    let names;
+    try {
+      names = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const histories = [];
+    for (const name of names.filter(name => name.endsWith('.json'))) {
+      const history = await new JsonFile(path.join(this.directory, name), null).read();
+      if (history) histories.push(history);
+    }
+    return histories;
+  }
+}
+
+module.exports = {
+  RECORDING_FETCH_OPTIONS,
+  HistoryStore
+};
@@ -0,0 +1,291 @@
+const axios = require('axios');
+const config = require('../config/config');
+const { UpstreamError } = require('../utils/errors');
+const { TokenBucketLimiter } = require('./rateLimiter');
+
+// Network errors worth another attempt
+const TRANSIENT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN'];
+
+/**
+ * Check whether a failed request may succeed when repeated
+ * Timeouts, dropped connections, 5xx and 429 are transient; other 4xx
+ * responses mean the request itself is wrong.
+ * @param {Error} error - axios error
+ * @returns {boolean} True when the request should be retried
+ */
+const isTransient = (error) => {
+  if (error.response) {
+    return error.response.status === 429 || error.response.status >= 500;
+  }
+  return TRANSIENT_ERROR_CODES.includes(error.code);
+};
+
+/**
+ * Read a Retry-After header
+ * @param {Object} response - axios response
+ * @returns {number|null} Delay in milliseconds, or null when absent or invalid
+ */
+const parseRetryAfter = (response) => {
+  const value = response && response.headers && response.headers['retry-after'];
+  if (!value) return null;
+
+  if (/^\d+$/.test(String(value).trim())) {
+    return parseInt(value) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Circuit breaker for one host
+ *
+ * closed: requests flow and consecutive failures are counted
+ * open: requests fail immediately until resetTimeout has passed
+ * half-open: a single trial request decides between closed and open
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} options - Options
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.resetTimeout - Milliseconds before a trial request is let through
+   */
+  constructor({ failureThreshold, resetTimeout }) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Ask for permission to send a request
+   * @returns {boolean} True when the request may be sent
+   */
+  allowRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.state = 'half-open';
+    }
+
+    if (this.state === 'closed') return true;
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Record a request the host answered properly
+   */
+  recordSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a failed request, opening the circuit at the threshold
+   */
+  recordFailure() {
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+
+    if (this.state === 'half-open' || this.consecutiveFailures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Describe the breaker state
+   * @returns {Object} Breaker status
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.resetTimeout).toISOString() : null
+    };
+  }
+}
+
+/**
+ * Outbound HTTP client for Play Store traffic
+ * Retries transient failures with jittered exponential backoff, honors
+ * Retry-After, and keeps a circuit breaker per host so a failing host is
+ * left alone for a while instead of being hammered. Every attempt, retries
+ * included, first takes a token from the shared rate limiter.
+ */
+class HttpClient {
+  /**
+   * @param {Object} options - Options
+   * @param {number} options.retryAttempts - Retries after the first attempt
+   * @param {number} options.retryDelay - Base delay in milliseconds, doubled per retry
+   * @param {number} options.retryMaxDelay - Longest wait before a retry
+   * @param {number} options.failureThreshold - Consecutive failures that open a host's circuit
+   * @param {number} options.resetTimeout - Milliseconds a circuit stays open
+   * @param {Object} options.defaults - axios options applied to every request
+   * @param {TokenBucketLimiter} [options.limiter] - Rate limiter every attempt waits for
+   */
+  constructor({ retryAttempts = 0, retryDelay = 1000, retryMaxDelay = 30000, failureThreshold = 5, resetTimeout = 30000, defaults = {}, limiter = null }) {
+    this.retryAttempts = retryAttempts;
+    this.retryDelay = retryDelay;
+    this.retryMaxDelay = retryMaxDelay;
+    this.breakerOptions = { failureThreshold, resetTimeout };
+    this.defaults = defaults;
+    this.limiter = limiter;
+    this.breakers = new Map();
+  }
+
+  /**
+   * Get the circuit breaker of a host
+   * @param {string} host - Host name
+   * @returns {CircuitBreaker} Breaker
+   */
+  breakerFor(host) {
+    if (!this.breakers.has(host)) {
+      this.breakers.set(host, new CircuitBreaker(this.breakerOptions));
+    }
+    return this.breakers.get(host);
+  }
+
+  /**
+   * Send a GET request
+   * @param {string} url - URL
+   * @param {Object} options - axios options
+   * @returns {Object} axios response
+   */
+  get(url, options = {}) {
+    return this.request({ ...options, method: 'get', url });
+  }
+
+  /**
+   * Send a POST request
+   * @param {string} url - URL
+   * @param {*} data - Request body
+   * @param {Object} options - axios options
+   * @returns {Object} axios response
+   */
+  post(url, data, options = {}) {
+    return this.request({ ...options, method: 'post', url, data });
+  }
+
+  /**
+   * Send a request with retries, guarded by the host's circuit breaker
+   * @param {Object} options - axios request config, plus `priority`: the
+   *   limiter lane (interactive, batch or background, default interactive)
+   * @returns {Object} axios response
+   * @throws {UpstreamError} UPSTREAM_CIRCUIT_OPEN while the host's circuit is open
+   */
+  async request({ priority = 'interactive', ...options }) {
+    const host = new URL(options.url).host;
+    const breaker = this.breakerFor(host);
+
+    for (let attempt = 0; ; attempt++) {
+      if (!breaker.allowRequest()) {
+        const { retryAt } = breaker.getStatus();
+        throw new UpstreamError(`Circuit for ${host} is open after repeated failures; retrying after ${retryAt}`, {
+          code: 'UPSTREAM_CIRCUIT_OPEN'
+        });
+      }
+
+      if (this.limiter) {
+        await this.limiter.acquire(priority);
+      }
+
+      try {
+        const response = await axios.request({
+          ...this.defaults,
+          ...options,
+          headers: { ...this.defaults.headers, ...options.headers }
+        });
+        breaker.recordSuccess();
+        return response;
+
+      } catch (error) {
+        if (error.response && !isTransient(error)) {
+          // The host answered; only the request was wrong
+          breaker.recordSuccess();
+          throw error;
+        }
+
+        breaker.recordFailure();
+        if (!isTransient(error)) {
+          throw error;
+        }
+
+        const wait = this.retryWait(attempt + 1, error.response);
+        if (attempt >= this.retryAttempts || wait === null) {
+          throw error;
+        }
+
+        console.warn(`⚠️ ${options.method.toUpperCase()} ${host} failed (${error.response ? `HTTP ${error.response.status}` : error.code}), retrying in ${wait}ms`);
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+    }
+  }
+
+  /**
+   * Compute the wait before a retry
+   * Uses Retry-After when the server sent one, otherwise exponential backoff
+   * with full jitter.
+   * @param {number} retry - Retry number, starting at 1
+   * @param {Object} [response] - Failed response
+   * @returns {number|null} Delay in milliseconds, or null when the server
+   *   asked for a longer wait than retryMaxDelay
+   */
+  retryWait(retry, response) {
+    const retryAfter = parseRetryAfter(response);
+    if (retryAfter !== null) {
+      return retryAfter <= this.retryMaxDelay ? retryAfter : null;
+    }
+
+    const ceiling = Math.min(this.retryDelay * Math.pow(2, retry - 1), this.retryMaxDelay);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  /**
+   * Describe the circuit of every host contacted so far
+   * @returns {Object} Breaker status by host
+   */
+  getStatus() {
+    const circuits = {};
+    this.breakers.forEach((breaker, host) => {
+      circuits[host] = breaker.getStatus();
+    });
+    return {
+      circuits,
+      limiter: this.limiter ? this.limiter.getStatus() : null
+    };
+  }
+}
+
+// Create singleton instance
+const httpClient = new HttpClient({
+  retryAttempts: config.scraping.retryAttempts,
+  retryDelay: config.scraping.retryDelay,
+  retryMaxDelay: config.scraping.retryMaxDelay,
+  failureThreshold: config.scraping.circuitFailureThreshold,
+  resetTimeout: config.scraping.circuitResetTimeout,
+  defaults: {
+    timeout: config.playStore.timeout,
+    maxRedirects: config.playStore.maxRedirects,
+    headers: { 'User-Agent': config.playStore.userAgent }
+  },
+  limiter: new TokenBucketLimiter({
+    ratePerSecond: config.playStore.ratePerSecond,
+    burst: config.playStore.burst
+  })
+});
+
+module.exports = {
+  CircuitBreaker,
+  HttpClient,
+  httpClient,
+  isTransient,
+  parseRetryAfter
+};
@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const config = require('../config/config');
+const { fetchComments } = require('./playStoreAPI');
+const { fetchStoredComments } = require('./reviewStore');
+
+// Item states that will not change any more
+const FINISHED_ITEM_STATES = ['succeeded', 'failed', 'cancelled'];
+
+// setTimeout cannot wait longer than 2^31 - 1 ms
+const MAX_TIMEOUT = 2147483647;
+
+/**
+ * Batch Jobs
+ * Fetches comments for many apps in the background. Items of all jobs share
+ * one worker pool, so the number of concurrent fetches stays bounded no
+ * matter how many jobs are queued. Jobs live in memory and are dropped
+ * `retentionMinutes` after they finish.
+ *
+ * Every finished item and every finished run of a job is appended to the
+ * job's event log with an increasing ID and emitted as an `event`, so
+ * streaming clients can replay what they missed. Item events only hold the
+ * item's status; eventData() adds the fetched comments from the item.
+ */
+class JobManager extends EventEmitter {
+  /**
+   * @param {Object} options - Options
+   * @param {Function} options.run - Async function fetching one item ({ appId, options })
+   * @param {number} options.concurrency - Maximum number of items fetched at once
+   * @param {number} options.retentionMinutes - How long finished jobs are kept
+   */
+  constructor({ run, concurrency = 1, retentionMinutes = 60 }) {
+    super();
+    // One listener per connected event stream
+    this.setMaxListeners(0);
+    this.run = run;
+    this.concurrency = concurrency;
+    this.retentionMinutes = retentionMinutes;
+    this.jobs = new Map();
+    this.queue = [];
+    this.active = 0;
+    this.pruneTimer = null;
+  }
+
+  /**
+   * Create a job and queue its items
+   * @param {Array} items - Items ({ appId, options })
+   * @returns {Object} Job
+   */
+  createJob(items) {
+    this.prune();
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      cancelledAt: null,
+      items: items.map(({ appId, options }, index) => ({
+        index,
+        appId,
+        options,
+        status: 'pending',
+        attempts: 0,
+        startedAt: null,
+        finishedAt: null,
+        result: null,
+        error: null
+      })),
+      events: []
+    };
+
+    this.jobs.set(job.id, job);
+    job.items.forEach(item => this.queue.push({ job, item }));
+    this.pump();
+
+    return job;
+  }
+
+  /**
+   * Get a job
+   * @param {string} id - Job ID
+   * @returns {Object|undefined} Job
+   */
+  getJob(id) {
+    return this.jobs.get(id);
+  }
+
+  /**
+   * List jobs, newest first
+   * @returns {Array} Jobs
+   */
+  listJobs() {
+    this.prune();
+    return Array.from(this.jobs.values()).reverse();
+  }
+
+  /**
+   * Cancel the pending items of a job
+   * Items already being fetched finish and keep their outcome; a job without
+   * pending items is left unchanged.
+   * @param {string} id - Job ID
+   * @returns {Object|null} Job, or null if not found
+   */
+  cancelJob(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    const pending = job.items.filter(item => item.status === 'pending');
+    if (pending.length === 0) return job;
+
+    this.queue = this.queue.filter(task => task.job !== job);
+    pending.forEach((item) => {
+      item.status = 'cancelled';
+      item.finishedAt = new Date().toISOString();
+      this.recordItem(job, item);
+    });
+    job.cancelledAt = new Date().toISOString();
+
+    this.updateStatus(job);
+    return job;
+  }
+
+  /**
+   * Queue the failed items of a finished job again
+   * @param {string} id - Job ID
+   * @returns {Object|null} Job, or null if not found
+   */
+  retryFailed(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    const failed = job.items.filter(item => item.status === 'failed');
+    failed.forEach((item) => {
+      item.status = 'pending';
+      item.startedAt = null;
+      item.finishedAt = null;
+      item.error = null;
+      this.queue.push({ job, item });
+    });
+
+    if (failed.length > 0) {
+      job.cancelledAt = null;
+      job.finishedAt = null;
+      job.status = 'queued';
+      this.pump();
+    }
+
+    return job;
+  }
+
+  /**
+   * Start queued items while workers are free
+   */
+  pump() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const { job, item } = this.queue.shift();
+      this.active++;
+
+      this.process(job, item).finally(() => {
+        this.active--;
+        this.pump();
+      });
+    }
+  }
+
+  /**
+   * Fetch a single item and record its outcome
+   * @param {Object} job - Job
+   * @param {Object} item - Job item
+   */
+  async process(job, item) {
+    item.status = 'running';
+    item.attempts++;
+    item.startedAt = new Date().toISOString();
+    this.updateStatus(job);
+
+    try {
+      const { comments, provenance } = await this.run(item);
+      item.status = 'succeeded';
+      item.result = { totalComments: comments.length, comments, provenance };
+    } catch (error) {
+      console.error(`❌ Job ${job.id} failed for ${item.appId}:`, error.message);
+      item.status = 'failed';
+      item.error = { message: error.message, code: error.code };
+    }
+
+    item.finishedAt = new Date().toISOString();
+    this.recordItem(job, item);
+    this.updateStatus(job);
+  }
+
+  /**
+   * Append an event to a job's log and emit it
+   * @param {Object} job - Job
+   * @param {string} type - Event type
+   * @param {Object} data - Event data
+   */
+  record(job, type, data) {
+    const event = { id: job.events.length + 1, type, data };
+    job.events.push(event);
+    this.emit('event', job, event);
+  }
+
+  /**
+   * Record the outcome of a finished item (app.succeeded, app.failed or app.cancelled)
+   * @param {Object} job - Job
+   * @param {Object} item - Job item
+   */
+  recordItem(job, item) {
+    this.record(job, `app.${item.status}`, {
+      index: item.index,
+      appId: item.appId,
+      status: item.status,
+      attempts: item.attempts,
+      finishedAt: item.finishedAt,
+      error: item.error
+    });
+  }
+
+  /**
+   * Get the data sent to clients for an event
+   * @param {Object} job - Job
+   * @param {Object} event - Event from the job's log
+   * @returns {Object} Event data, with the result of a succeeded item
+   */
+  eventData(job, event) {
+    if (!event.type.startsWith('app.')) return event.data;
+
+    // A succeeded item is never run again, so its result is the one of the event
+    const item = job.items[event.data.index];
+    return { ...event.data, result: event.data.status === 'succeeded' ? item.result : null };
+  }
+
+  /**
+   * Derive the job status from its items
+   * @param {Object} job - Job
+   */
+  updateStatus(job) {
+    const busy = job.items.some(item => !FINISHED_ITEM_STATES.includes(item.status));
+    const started = job.items.some(item => item.startedAt);
+
+    if (started && !job.startedAt) {
+      job.startedAt = new Date().toISOString();
+    }
+
+    if (busy) {
+      job.status = started ? 'running' : 'queued';
+      return;
+    }
+
+    if (job.finishedAt) return;
+
+    job.finishedAt = new Date().toISOString();
+    job.status = job.cancelledAt ? 'cancelled' : 'completed';
+    console.log(`✅ Job ${job.id} finished`);
+    this.record(job, 'summary', {
+      status: job.status,
+      finishedAt: job.finishedAt,
+      progress: this.getProgress(job)
+    });
+    this.prune();
+  }
+
+  /**
+   * Summarize the item states of a job
+   * @param {Object} job - Job
+   * @returns {Object} Item counts per state
+   */
+  getProgress(job) {
+    const progress = { total: job.items.length, pending: 0, running: 0, succeeded: 0, failed: 0, cancelled: 0 };
+    job.items.forEach((item) => {
+      progress[item.status]++;
+    });
+    progress.percent = progress.total > 0
+      ? Math.round(((progress.succeeded + progress.failed + progress.cancelled) / progress.total) * 100)
+      : 100;
+    return progress;
+  }
+
+  /**
+   * Drop jobs that finished longer ago than the retention period, and plan
+   * the next prune for when the oldest remaining finished job expires
+   */
+  prune() {
+    const retention = this.retentionMinutes * 60 * 1000;
+    const cutoff = Date.now() - retention;
+    let oldest = Infinity;
+
+    for (const [id, job] of this.jobs) {
+      if (!job.finishedAt) continue;
+      const finishedAt = Date.parse(job.finishedAt);
+      if (finishedAt <= cutoff) {
+        this.jobs.delete(id);
+      } else {
+        oldest = Math.min(oldest, finishedAt);
+      }
+    }
+
+    clearTimeout(this.pruneTimer);
+    this.pruneTimer = null;
+    if (oldest === Infinity) return;
+
+    this.pruneTimer = setTimeout(() => this.prune(), Math.min(oldest + retention - Date.now(), MAX_TIMEOUT));
+    // Do not keep the process alive just to drop old jobs
+    this.pruneTimer.unref();
+  }
+}
+
+// Create singleton instance
+const jobs = new JobManager({
+  run: ({ appId, options }) => (options.source === 'store' ? fetchStoredComments : fetchComments)(appId, { ...options, priority: 'batch' }),
+  concurrency: config.jobs.concurrency,
+  retentionMinutes: config.jobs.retentionMinutes
+});
+
+module.exports = {
+  JobManager,
+  jobs
+};
@@ -0,0 +1,219 @@
+const config = require('../config/config');
+const IntervalScheduler = require('./scheduler');
+const ScheduleStore = require('./scheduleStore');
+const { RECORDING_FETCH_OPTIONS, HistoryStore } = require('./historyStore');
+const { searchApps } = require('./playStoreAPI');
+
+/**
+ * Normalize a keyword the way it is searched and stored
+ * @param {string} keyword - Keyword
+ * @returns {string} Trimmed, lowercased keyword with single spaces
+ */
+const normalizeKeyword = (keyword) => keyword.trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Keyword Trackers
+ * Keyword sets registered per app and locale, each with a polling interval.
+ * The scheduler searches every keyword when a tracker is due and records the
+ * app's position in the keyword history.
+ */
+class KeywordTrackers extends ScheduleStore {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.file - Path of the trackers file
+   */
+  constructor({ file }) {
+    super({ file, key: 'trackers' });
+  }
+
+  /**
+   * Build the ID of a tracker
+   * @param {string} appId - App ID
+   * @param {string} language - Language
+   * @param {string} country - Country
+   * @returns {string} Tracker ID
+   */
+  static trackerId(appId, language, country) {
+    return `${appId}:${language}-${country}`;
+  }
+
+  /**
+   * Register a keyword set, or replace the keywords, depth and interval of an existing tracker
+   * @param {Object} options - Tracker options
+   * @param {string} options.appId - App ID
+   * @param {string} options.language - Language
+   * @param {string} options.country - Country
+   * @param {Array} options.keywords - Keywords to track
+   * @param {number} options.depth - Search results checked per keyword ("top N")
+   * @param {number} options.intervalMinutes - Polling interval
+   * @returns {Object} Object with the tracker and whether it was created
+   */
+  async add({ appId, language = 'en', country = 'US', keywords, depth = 50, intervalMinutes = config.keywords.defaultIntervalMinutes }) {
+    const { item, created } = await this.put(
+      KeywordTrackers.trackerId(appId, language, country),
+      { appId, language, country },
+      { keywords: [...new Set(keywords.map(normalizeKeyword))], depth, intervalMinutes }
+    );
+    return { tracker: item, created };
+  }
+}
+
+/**
+ * Describe how a keyword's rank moved between two points
+ * Entering or dropping out of the checked results is always significant;
+ * moves within them are when they reach the threshold.
+ * @param {Object} previous - Previous point
+ * @param {Object} current - Current point
+ * @param {number} threshold - Positions that make a move significant
+ * @returns {Object|null} Move, or null when the rank did not move significantly
+ */
+const describeMove = (previous, current, threshold) => {
+  const move = { recordedAt: current.recordedAt, from: previous.rank, to: current.rank, change: null };
+
+  if (previous.rank === null && current.rank === null) return null;
+  if (previous.rank === null) return { ...move, type: 'entered' };
+  if (current.rank === null) return { ...move, type: 'dropped' };
+
+  // Positive changes are improvements: a smaller position number
+  const change = previous.rank - current.rank;
+  if (Math.abs(change) < threshold) return null;
+  return { ...move, change, type: change > 0 ? 'up' : 'down' };
+};
+
+/**
+ * Keyword History
+ * Search positions of tracked keywords, one JSON file per tracker. A point
+ * has a null rank when the app was not in the checked results ("not in top
+ * N", N being the point's depth).
+ */
+class KeywordHistory extends HistoryStore {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.directory - Directory holding the history files
+   * @param {number} options.maxPoints - Points kept per keyword, oldest dropped first
+   */
+  constructor({ directory, maxPoints }) {
+    super({ directory });
+    this.maxPoints = maxPoints;
+  }
+
+  /**
+   * Append the positions of one run
+   * @param {Object} tracker - Tracker ({ id, appId, language, country })
+   * @param {Array} results - Positions ({ keyword, rank, depth })
+   * @param {string} [recordedAt] - Run time
+   */
+  async addPoints(tracker, results, recordedAt = new Date().toISOString()) {
+    const { id, appId, language, country } = tracker;
+
+    await this.update(id, { appId, language, country, keywords: {} }, (history) => {
+      for (const { keyword, rank, depth } of results) {
+        const points = history.keywords[keyword] || [];
+        history.keywords[keyword] = [...points, { recordedAt, rank, depth }].slice(-this.maxPoints);
+      }
+    });
+  }
+
+  /**
+   * Build the rank series of a tracker's keywords
+   * @param {Object} tracker - Tracker
+   * @param {Object} options - Options
+   * @param {string} [options.keyword] - Only this keyword, tracked or not anymore
+   * @param {string} [options.since] - Only points from this time on (ISO)
+   * @param {number} [options.threshold] - Positions that make a move significant
+   * @returns {Array} One series per keyword
+   */
+  async getSeries(tracker, { keyword, since, threshold = config.keywords.moveThreshold } = {}) {
+    const history = (await this.read(tracker.id)) || { keywords: {} };
+    const from = since ? Date.parse(since) : -Infinity;
+    const keywords = keyword ? [normalizeKeyword(keyword)] : tracker.keywords;
+
+    return keywords.map((name) => {
+      const points = (history.keywords[name] || []).filter(point => Date.parse(point.recordedAt) >= from);
+      const ranks = points.map(point => point.rank).filter(rank => rank !== null);
+      const moves = points.slice(1)
+        .map((point, index) => describeMove(points[index], point, threshold))
+        .filter(Boolean);
+      const latest = points[points.length - 1];
+
+      return {
+        keyword: name,
+        latestRank: latest ? latest.rank : null,
+        bestRank: ranks.length > 0 ? Math.min(...ranks) : null,
+        worstRank: ranks.length > 0 ? Math.max(...ranks) : null,
+        // The move into the latest point, when it is significant
+        latestMove: latest && moves.length > 0 && moves[moves.length - 1].recordedAt === latest.recordedAt
+          ? moves[moves.length - 1]
+          : null,
+        moves,
+        points
+      };
+    });
+  }
+}
+
+// Create singleton instances
+const keywordTrackers = new KeywordTrackers({ file: config.keywords.file });
+
+const keywordHistory = new KeywordHistory({
+  directory: config.keywords.historyDirectory,
+  maxPoints: config.keywords.maxPoints
+});
+
+/**
+ * Search every keyword of a tracker and record the app's positions
+ * Keywords are searched one after the other. A keyword whose search fails
+ * gets no point for this run; the run only fails when every search does.
+ * @param {Object} tracker - Tracker
+ * @returns {Object} Run summary
+ */
+const trackKeywords = async (tracker) => {
+  const { appId, language, country, depth } = tracker;
+  const results = [];
+  const failures = [];
+
+  for (const keyword of tracker.keywords) {
+    try {
+      const { apps } = await searchApps(keyword, {
+        limit: depth,
+        language,
+        country,
+        ...RECORDING_FETCH_OPTIONS
+      });
+      const index = apps.findIndex(app => app.appId === appId);
+      results.push({ keyword, rank: index === -1 ? null : index + 1, depth });
+    } catch (error) {
+      failures.push({ keyword, error: error.message });
+    }
+  }
+
+  if (tracker.keywords.length > 0 && results.length === 0) {
+    throw new Error(`Every keyword search failed: ${failures[0].error}`);
+  }
+
+  await keywordHistory.addPoints(tracker, results);
+  console.log(`🔑 Tracked ${results.length} keywords for ${tracker.id}`);
+
+  return {
+    keywords: tracker.keywords.length,
+    ranked: results.filter(result => result.rank !== null).length,
+    failed: failures
+  };
+};
+
+const keywordScheduler = new IntervalScheduler({
+  name: 'Keyword tracking',
+  store: keywordTrackers,
+  run: trackKeywords,
+  delayMs: config.playStore.requestDelay
+});
+
+module.exports = {
+  normalizeKeyword,
+  describeMove,
+  KeywordTrackers,
+  KeywordHistory,
+  keywordTrackers,
+  keywordHistory,
+  keywordScheduler
+};
@@ -0,0 +1,90 @@
+const { formatLocale } = require('../utils/locales');
+
+// Merge order of each sort option: newest, best rated or most helpful first
+const MERGE_ORDER = {
+  'recent': (a, b) => String(b.submittedAt || b.date || '').localeCompare(String(a.submittedAt || a.date || '')),
+  'rating': (a, b) => (b.rating || 0) - (a.rating || 0),
+  'helpfulness': (a, b) => (b.helpful || 0) - (a.helpful || 0)
+};
+
+/**
+ * Combine the provenance of several locales
+ * @param {Array} results - Successful per-locale results
+ * @param {number} failed - Number of locales that failed
+ * @returns {Object} Provenance ({ status, locales })
+ */
+const mergeProvenance = (results, failed) => {
+  const statuses = [...new Set(results.map(result => result.provenance && result.provenance.status))];
+  const status = failed === 0 && statuses.length === 1 ? statuses[0] : 'partial';
+
+  return {
+    status,
+    locales: results.length + failed,
+    failedLocales: failed
+  };
+};
+
+/**
+ * Fetch an app's reviews in several locales and merge them
+ *
+ * Locales are fetched in parallel, each with the full options (so `limit`
+ * applies per locale). Every review is tagged with the language and country
+ * it was fetched for; the same review showing up in two locales is kept
+ * twice, once per locale. A locale that fails is reported in the metadata
+ * instead of failing the request, unless every locale fails.
+ *
+ * @param {Function} loader - fetchComments-compatible loader
+ * @param {string} appId - App ID
+ * @param {Array} locales - Locales ({ language, country })
+ * @param {Object} options - Loader options (limit, sort, mode, refresh, priority)
+ * @returns {Object} Object with comments, per-locale metadata and merged provenance
+ * @throws {Error} The first locale's error when every locale failed
+ */
+const fetchAcrossLocales = async (loader, appId, locales, options = {}) => {
+  const { sort = 'recent' } = options;
+
+  const outcomes = await Promise.all(locales.map(async ({ language, country }) => {
+    try {
+      const result = await loader(appId, { ...options, language, country, cursor: null });
+      return { language, country, result };
+    } catch (error) {
+      return { language, country, error };
+    }
+  }));
+
+  const succeeded = outcomes.filter(outcome => !outcome.error);
+  if (succeeded.length === 0) {
+    throw outcomes[0].error;
+  }
+
+  const comments = succeeded
+    .flatMap(({ language, country, result }) => result.comments.map(comment => ({ ...comment, language, country })))
+    .sort(MERGE_ORDER[sort] || MERGE_ORDER.recent);
+
+  return {
+    comments,
+    locales: outcomes.map(({ language, country, result, error }) => (error
+      ? {
+        locale: formatLocale({ language, country }),
+        language,
+        country,
+        success: false,
+        error: error.message,
+        code: error.code
+      }
+      : {
+        locale: formatLocale({ language, country }),
+        language,
+        country,
+        success: true,
+        totalComments: result.comments.length,
+        nextCursor: result.nextCursor || null,
+        provenance: result.provenance
+      })),
+    provenance: mergeProvenance(succeeded.map(outcome => outcome.result), outcomes.length - succeeded.length)
+  };
+};
+
+module.exports = {
+  fetchAcrossLocales
+};
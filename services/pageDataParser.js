@@ -0,0 +1,475 @@
+/**
+ * Structured parser for Google Play Store page data
+ *
+ * Store pages embed their data as positional JSON arrays inside
+ * AF_initDataCallback({key: 'ds:N', data: [...]}) script calls, and the
+ * batchexecute RPCs return the same arrays wrapped in an envelope. Fields are
+ * located by position, so every position we rely on lives in FIELD_MAPS.
+ * When Google changes the layout, add a new version there and point
+ * CURRENT_VERSION at it.
+ */
+
+/**
+ * Convert a [seconds, nanos] timestamp to a YYYY-MM-DD date
+ * @param {number} seconds - Unix timestamp in seconds
+ * @returns {string|null} ISO date or null
+ */
+const secondsToDate = (seconds) => {
+  if (typeof seconds !== 'number') return null;
+  return new Date(seconds * 1000).toISOString().split('T')[0];
+};
+
+/**
+ * Convert a [seconds, nanos] timestamp to an ISO date-time
+ * @param {Array} timestamp - Positional timestamp
+ * @returns {string|null} ISO 8601 timestamp or null
+ */
+const toTimestamp = (timestamp) => {
+  if (!Array.isArray(timestamp) || typeof timestamp[0] !== 'number') return null;
+  const nanos = typeof timestamp[1] === 'number' ? timestamp[1] : 0;
+  return new Date(timestamp[0] * 1000 + Math.floor(nanos / 1000000)).toISOString();
+};
+
+/**
+ * Build the 1-5 star histogram from its positional entries
+ * @param {Array} entries - Entries indexed by star count, each [label, count]
+ * @returns {Object|null} Count per star, or null when incomplete
+ */
+const toHistogram = (entries) => {
+  if (!Array.isArray(entries)) return null;
+
+  const histogram = {};
+  for (let stars = 1; stars <= 5; stars++) {
+    const count = getPath(entries, [stars, 1]);
+    if (typeof count !== 'number') return null;
+    histogram[stars] = count;
+  }
+  return histogram;
+};
+
+/**
+ * Read the developer ID from a developer page link
+ * @param {string} link - Link such as /store/apps/dev?id=5700313618786177705
+ * @returns {string|null} Developer ID
+ */
+const toDeveloperId = (link) => {
+  const match = String(link).match(/[?&]id=([^&]+)/);
+  return match ? decodeURIComponent(match[1].replace(/\+/g, ' ')) : null;
+};
+
+/**
+ * Map image entries to their URLs
+ * @param {Array} images - Image entries
+ * @returns {Array} URLs
+ */
+const toImageUrls = (images) => (Array.isArray(images)
+  ? images.map(image => getPath(image, [3, 2])).filter(url => typeof url === 'string')
+  : []);
+
+/**
+ * List the data types of a Data safety section (e.g. "Location", "Personal info")
+ * @param {Array} entries - Data safety entries
+ * @returns {Array} Data type names
+ */
+const toDataTypes = (entries) => (Array.isArray(entries)
+  ? entries.map(entry => getPath(entry, [0, 1])).filter(type => typeof type === 'string')
+  : []);
+
+/**
+ * List the security practices of a Data safety section
+ * @param {Array} entries - Security practice entries
+ * @returns {Array} Practices ({ practice, description })
+ */
+const toSecurityPractices = (entries) => (Array.isArray(entries)
+  ? entries
+    .filter(entry => typeof getPath(entry, [1]) === 'string')
+    .map(entry => ({ practice: entry[1], description: getPath(entry, [2, 1]) || null }))
+  : []);
+
+/**
+ * Versioned positional field maps
+ *
+ * `blocks` says where a list lives inside the embedded page data, `review`
+ * maps each field of a single review entry. Review entries share the same
+ * layout whether they come from the page or from the review RPC. `app` maps
+ * the fields of the app details block, relative to `blocks.app`. App lists
+ * (search results, developer pages, clusters, charts) share `listedApp`,
+ * applied at each list entry's `item` path. `rpc` blocks live in a
+ * batchexecute response instead of the page.
+ */
+const FIELD_MAPS = {
+  '2023-10': {
+    blocks: {
+      reviews: { key: 'ds:8', path: [0] },
+      app: { key: 'ds:5', path: [1, 2] },
+      search: { key: 'ds:4', path: [0, 1, 0, 22, 0], item: [0] },
+      developer: { key: 'ds:3', path: [0, 1, 0, 22, 0], item: [0] },
+      cluster: { key: 'ds:3', path: [0, 1, 0, 21, 0], item: [] },
+      chart: { rpc: 'vyAe2', path: [0, 1, 0, 28, 0], item: [0] },
+      // Link from an app details page to its "Similar apps" cluster
+      similarLink: { key: 'ds:7', path: [1, 1, 0, 0, 3, 4, 2] }
+    },
+    review: {
+      id: { path: [0], fallback: null },
+      text: { path: [4], fallback: '' },
+      rating: { path: [2], fallback: 0 },
+      date: { path: [5, 0], transform: secondsToDate, fallback: null },
+      submittedAt: { path: [5], transform: toTimestamp, fallback: null },
+      author: { path: [1, 0], fallback: 'Unknown' },
+      avatar: { path: [1, 1, 3, 2], fallback: null },
+      appVersion: { path: [10], fallback: null },
+      // helpful is the thumbs-up count under the name sorting and filters use
+      helpful: { path: [6], fallback: 0 },
+      thumbsUp: { path: [6], fallback: 0 },
+      replyText: { path: [7, 1], fallback: null },
+      replyDate: { path: [7, 2], transform: toTimestamp, fallback: null }
+    },
+    app: {
+      title: { path: [0, 0], fallback: null },
+      summary: { path: [73, 0, 1], fallback: null },
+      developer: { path: [68, 0], fallback: null },
+      developerId: { path: [68, 1, 4, 2], transform: toDeveloperId, fallback: null },
+      category: { path: [79, 0, 0, 0], fallback: null },
+      categoryId: { path: [79, 0, 0, 2], fallback: null },
+      score: { path: [51, 0, 1], fallback: null },
+      ratingsCount: { path: [51, 2, 1], fallback: 0 },
+      reviewsCount: { path: [51, 3, 1], fallback: 0 },
+      histogram: { path: [51, 1], transform: toHistogram, fallback: null },
+      installs: { path: [13, 0], fallback: null },
+      minInstalls: { path: [13, 1], fallback: null },
+      maxInstalls: { path: [13, 2], fallback: null },
+      price: { path: [57, 0, 0, 0, 0, 1, 0, 0], transform: micros => micros / 1000000, fallback: 0 },
+      currency: { path: [57, 0, 0, 0, 0, 1, 0, 1], fallback: null },
+      priceText: { path: [57, 0, 0, 0, 0, 1, 0, 2], fallback: null },
+      inAppPurchases: { path: [19, 0], transform: Boolean, fallback: false },
+      inAppPurchaseRange: { path: [19, 0], fallback: null },
+      contentRating: { path: [9, 0], fallback: null },
+      contentRatingDescription: { path: [9, 2, 1], fallback: null },
+      version: { path: [140, 0, 0, 0], fallback: null },
+      androidVersion: { path: [140, 1, 1, 0, 0, 1], fallback: null },
+      updated: { path: [145, 0, 1, 0], transform: secondsToDate, fallback: null },
+      recentChanges: { path: [144, 1, 1], fallback: null },
+      icon: { path: [95, 0, 3, 2], fallback: null },
+      headerImage: { path: [96, 0, 3, 2], fallback: null },
+      screenshots: { path: [78, 0], transform: toImageUrls, fallback: [] },
+      video: { path: [100, 0, 0, 3, 2], fallback: null },
+      sharedData: { path: [137, 4, 0, 0], transform: toDataTypes, fallback: [] },
+      collectedData: { path: [137, 4, 1, 0], transform: toDataTypes, fallback: [] },
+      securityPractices: { path: [137, 9, 2], transform: toSecurityPractices, fallback: [] }
+    },
+    listedApp: {
+      appId: { path: [0, 0], fallback: null },
+      title: { path: [3], fallback: null },
+      summary: { path: [13, 1], fallback: null },
+      developer: { path: [14], fallback: null },
+      icon: { path: [1, 3, 2], fallback: null },
+      score: { path: [4, 1], fallback: null },
+      price: { path: [8, 1, 0, 0], transform: micros => micros / 1000000, fallback: 0 },
+      currency: { path: [8, 1, 0, 1], fallback: null }
+    }
+  }
+};
+
+const CURRENT_VERSION = '2023-10';
+
+/**
+ * Get the field map for a layout version
+ * @param {string} version - Layout version
+ * @returns {Object} Field map
+ */
+const getFieldMap = (version = CURRENT_VERSION) => {
+  const map = FIELD_MAPS[version];
+  if (!map) {
+    throw new Error(`Unknown page layout version: ${version}`);
+  }
+  return map;
+};
+
+/**
+ * Safely read a nested value by position
+ * @param {*} data - Root value
+ * @param {Array} path - List of array indexes / object keys
+ * @returns {*} Value or undefined
+ */
+const getPath = (data, path) => {
+  let current = data;
+  for (const key of path) {
+    if (current === null || current === undefined) return undefined;
+    current = current[key];
+  }
+  return current;
+};
+
+/**
+ * Build an object from a positional entry using a field map
+ * @param {Array} entry - Positional data
+ * @param {Object} fields - Field map ({ name: { path, transform, fallback } })
+ * @returns {Object} Mapped object
+ */
+const mapFields = (entry, fields) => {
+  const result = {};
+  for (const [name, spec] of Object.entries(fields)) {
+    let value = getPath(entry, spec.path);
+    if (value !== undefined && value !== null && spec.transform) {
+      value = spec.transform(value);
+    }
+    result[name] = (value === undefined || value === null) ? spec.fallback : value;
+  }
+  return result;
+};
+
+/**
+ * Find the end of the JSON value that starts at the given index
+ * @param {string} text - Source text
+ * @param {number} start - Index of the opening bracket or brace
+ * @returns {number} Index just past the closing bracket, or -1
+ */
+const findJsonEnd = (text, start) => {
+  let depth = 0;
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+
+  return -1;
+};
+
+/**
+ * Extract and decode every AF_initDataCallback block in a page
+ * @param {string} html - Page HTML
+ * @returns {Object} Decoded data keyed by block key (e.g. 'ds:5')
+ */
+const extractDataBlocks = (html) => {
+  const blocks = {};
+  const marker = 'AF_initDataCallback(';
+  let index = html.indexOf(marker);
+
+  while (index !== -1) {
+    const callEnd = html.indexOf('</script>', index);
+    const call = html.slice(index, callEnd === -1 ? undefined : callEnd);
+    const keyMatch = call.match(/key:\s*'([^']+)'/);
+    const dataMatch = call.match(/data:\s*(?=[[{])/);
+
+    if (keyMatch && dataMatch) {
+      const start = dataMatch.index + dataMatch[0].length;
+      const end = findJsonEnd(call, start);
+
+      if (end !== -1) {
+        try {
+          blocks[keyMatch[1]] = JSON.parse(call.slice(start, end));
+        } catch (error) {
+          console.warn(`⚠️ Skipping undecodable data block ${keyMatch[1]}: ${error.message}`);
+        }
+      }
+    }
+
+    index = html.indexOf(marker, index + marker.length);
+  }
+
+  return blocks;
+};
+
+/**
+ * Decode the payload of a batchexecute RPC response
+ * @param {string} raw - Raw response body
+ * @param {string} rpcId - RPC ID whose payload should be returned
+ * @returns {Array|null} Decoded payload or null if absent
+ */
+const parseBatchExecute = (raw, rpcId) => {
+  // Responses are prefixed with an anti-XSSI guard: )]}'
+  const json = String(raw).replace(/^\)\]\}'\s*/, '');
+  const envelope = JSON.parse(json);
+
+  const entry = envelope.find(item => Array.isArray(item) && item[0] === 'wrb.fr' && item[1] === rpcId);
+  if (!entry || typeof entry[2] !== 'string') {
+    return null;
+  }
+
+  return JSON.parse(entry[2]);
+};
+
+/**
+ * Map a positional review entry to a comment object
+ * @param {Array} entry - Review entry
+ * @param {Object} options - Options
+ * @param {string} options.source - Value for the comment's source field
+ * @param {string} options.version - Layout version
+ * @returns {Object|null} Comment object or null
+ */
+const mapReview = (entry, options = {}) => {
+  const { source = 'api', version = CURRENT_VERSION } = options;
+
+  if (!Array.isArray(entry)) return null;
+
+  const comment = mapFields(entry, getFieldMap(version).review);
+  if (!comment.text && !comment.rating) return null;
+
+  comment.source = source;
+  return comment;
+};
+
+/**
+ * Parse the reviews embedded in an app details page
+ * @param {string} html - Page HTML
+ * @param {Object} options - Options
+ * @param {number} options.limit - Maximum number of reviews
+ * @param {string} options.version - Layout version
+ * @returns {Array} Array of comment objects
+ */
+const parseReviewsFromPage = (html, options = {}) => {
+  const { limit = Infinity, version = CURRENT_VERSION } = options;
+  const location = getFieldMap(version).blocks.reviews;
+
+  const blocks = extractDataBlocks(html);
+  const entries = getPath(blocks[location.key], location.path);
+  if (!Array.isArray(entries)) return [];
+
+  return entries
+    .map(entry => mapReview(entry, { source: 'page', version }))
+    .filter(Boolean)
+    .slice(0, limit);
+};
+
+/**
+ * Parse a review RPC response
+ * @param {string} raw - Raw batchexecute response body
+ * @param {Object} options - Options
+ * @param {string} options.version - Layout version
+ * @returns {Object} Object with comments and nextToken
+ */
+const parseReviewsResponse = (raw, options = {}) => {
+  const { version = CURRENT_VERSION } = options;
+  const data = parseBatchExecute(raw, 'UsvDTd');
+
+  const entries = Array.isArray(getPath(data, [0])) ? data[0] : [];
+  const nextToken = getPath(data, [1, 1]);
+
+  return {
+    comments: entries.map(entry => mapReview(entry, { source: 'api', version })).filter(Boolean),
+    nextToken: typeof nextToken === 'string' ? nextToken : null
+  };
+};
+
+/**
+ * Parse the app metadata embedded in an app details page
+ * @param {string} html - Page HTML
+ * @param {Object} options - Options
+ * @param {string} options.version - Layout version
+ * @returns {Object|null} App metadata, or null when the page holds no app block
+ */
+const parseAppDetails = (html, options = {}) => {
+  const { version = CURRENT_VERSION } = options;
+  const location = getFieldMap(version).blocks.app;
+
+  const blocks = extractDataBlocks(html);
+  const entry = getPath(blocks[location.key], location.path);
+  if (!Array.isArray(entry)) return null;
+
+  const { sharedData, collectedData, securityPractices, ...app } = mapFields(entry, getFieldMap(version).app);
+  return {
+    ...app,
+    free: app.price === 0,
+    dataSafety: { sharedData, collectedData, securityPractices }
+  };
+};
+
+/**
+ * Map the entries of an app list
+ * @param {Array} entries - List entries
+ * @param {Object} location - List block location (with the `item` path)
+ * @param {Object} options - Options ({ limit, version })
+ * @returns {Array|null} Apps, or null when entries is not a list
+ */
+const mapListedApps = (entries, location, { limit, version }) => {
+  if (!Array.isArray(entries)) return null;
+
+  return entries
+    .map(entry => getPath(entry, location.item))
+    .filter(Array.isArray)
+    .map(item => mapFields(item, getFieldMap(version).listedApp))
+    .filter(app => typeof app.appId === 'string')
+    .map(app => ({ ...app, free: app.price === 0 }))
+    .slice(0, limit);
+};
+
+/**
+ * Parse a list of apps embedded in a store page
+ * @param {string} html - Page HTML
+ * @param {string} list - Name of the list block (e.g. 'search')
+ * @param {Object} options - Options
+ * @param {number} options.limit - Maximum number of apps
+ * @param {string} options.version - Layout version
+ * @returns {Array|null} Apps, or null when the page holds no such list
+ */
+const parseAppList = (html, list, options = {}) => {
+  const { limit = Infinity, version = CURRENT_VERSION } = options;
+  const location = getFieldMap(version).blocks[list];
+
+  const blocks = extractDataBlocks(html);
+  return mapListedApps(getPath(blocks[location.key], location.path), location, { limit, version });
+};
+
+/**
+ * Parse a top chart RPC response
+ * @param {string} raw - Raw batchexecute response body
+ * @param {Object} options - Options
+ * @param {number} options.limit - Maximum number of apps
+ * @param {string} options.version - Layout version
+ * @returns {Array|null} Apps in chart order, or null when the response holds no chart
+ */
+const parseChartResponse = (raw, options = {}) => {
+  const { limit = Infinity, version = CURRENT_VERSION } = options;
+  const location = getFieldMap(version).blocks.chart;
+
+  return mapListedApps(getPath(parseBatchExecute(raw, location.rpc), location.path), location, { limit, version });
+};
+
+/**
+ * Find the link to an app's "Similar apps" cluster page
+ * @param {string} html - App details page HTML
+ * @param {Object} options - Options
+ * @param {string} options.version - Layout version
+ * @returns {string|null} Path of the cluster page, or null when the page has none
+ */
+const parseSimilarLink = (html, options = {}) => {
+  const { version = CURRENT_VERSION } = options;
+  const location = getFieldMap(version).blocks.similarLink;
+
+  const link = getPath(extractDataBlocks(html)[location.key], location.path);
+  return typeof link === 'string' ? link : null;
+};
+
+module.exports = {
+  FIELD_MAPS,
+  CURRENT_VERSION,
+  getPath,
+  mapFields,
+  extractDataBlocks,
+  parseBatchExecute,
+  mapReview,
+  parseReviewsFromPage,
+  parseReviewsResponse,
+  parseAppDetails,
+  parseAppList,
+  parseChartResponse,
+  parseSimilarLink
+};
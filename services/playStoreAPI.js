@@ -1,4 +1,47 @@
-const axios = require('axios');
+const config = require('../config/config');
+const { encodeCursor } = require('../utils/cursor');
+const { parseReviewsFromPage, parseReviewsResponse, parseAppDetails, parseAppList, parseChartResponse, parseSimilarLink } = require('./pageDataParser');
+const { UpstreamError, toUpstreamError } = require('../utils/errors');
+const { responseCache } = require('./cache');
+const { httpClient } = require('./httpClient');
+const { CHART_COLLECTIONS } = require('../utils/charts');
+const { createReviewFilter, filterSignature } = require('../utils/reviewFilters');
+
+// Sort codes understood by the review RPC (UsvDTd)
+const REVIEW_SORT_CODES = {
+  'recent': 2,
+  'rating': 3,
+  'helpfulness': 1
+};
+
+// App fields requested from the chart RPC (vyAe2), as sent by the store's web client
+const CHART_FIELD_IDS = [96, 108, 72, 100, 27, 177, 183, 222, 8, 57, 169, 110, 11, 184, 16, 1, 139, 152, 194, 165, 68, 163, 211, 9, 71, 31, 195, 12, 64, 151, 150, 148, 113, 104, 55, 56, 145, 32, 34, 10, 122];
+
+// App fields without which a details page did not parse properly
+const REQUIRED_APP_FIELDS = ['title', 'developer', 'icon'];
+
+/**
+ * Cut one page out of a full app list
+ * @param {Array} apps - Every app of the listing
+ * @param {Object} options - Options
+ * @param {number} options.limit - Page size
+ * @param {Object|null} options.cursor - Decoded cursor, null for the first page
+ * @param {string} options.listing - Listing the cursor belongs to (developer or similar)
+ * @param {string} options.language - Language
+ * @param {string} options.country - Country
+ * @returns {Object} Object with the page of apps and nextCursor (or null)
+ */
+const paginateApps = (apps, { limit, cursor, listing, language, country }) => {
+  const offset = cursor ? parseInt(cursor.token) : 0;
+  const end = offset + limit;
+  
+  return {
+    apps: apps.slice(offset, end),
+    nextCursor: end < apps.length
+      ? encodeCursor({ token: String(end), language, country, source: listing })
+      : null
+  };
+};
 
 /**
  * Google Play Store API Service
@@ -6,90 +49,278 @@ const axios = require('axios');
  */
 class PlayStoreAPI {
   constructor() {
-    this.baseUrl = 'https://play.google.com';
-    this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+    this.baseUrl = config.playStore.baseUrl;
   }
 
   /**
    * Main method to fetch comments for a given app
+   *
+   * The scrape mode decides what happens when the Play Store misbehaves:
+   * - strict: any upstream failure raises an UpstreamError
+   * - degraded: fall back to page data and keep partial results, never invent data
+   * - demo: like degraded, but return sample reviews when nothing live is available
+   *
    * @param {string} appId - Google Play Store app ID
    * @param {Object} options - Fetch options
-   * @returns {Array} Array of comment objects
+   * @param {Object} [options.cursor] - Decoded cursor to resume from
+   * @param {Object} [options.filters] - Review filters (see utils/reviewFilters), applied before the limit
+   * @param {string} [options.mode] - Scrape mode (strict, degraded or demo)
+   * @param {string} [options.priority] - Outbound rate limiter lane
+   * @returns {Object} Object with comments, nextCursor (or null), provenance
+   *   and the number of reviews scanned
    */
   async fetchComments(appId, options = {}) {
-    const { limit = 50, sort = 'recent', language = 'en', country = 'US' } = options;
+    const {
+      limit = 50,
+      sort = 'recent',
+      language = 'en',
+      country = 'US',
+      cursor = null,
+      filters = null,
+      mode = config.scraping.mode,
+      priority = 'interactive'
+    } = options;
+    const filter = createReviewFilter(filters);
     
-    try {
-      console.log(`🔍 Fetching comments for app: ${appId} using official API`);
-      
-      // Try multiple approaches to get reviews
-      let comments = [];
-      
-      // Approach 1: Try to get reviews from the app page
-      comments = await this.fetchReviewsFromPage(appId, { limit, sort, language, country });
-      
-      // Approach 2: If no reviews found, try alternative method
-      if (comments.length === 0) {
-        console.log('⚠️ No reviews found with primary method, trying alternative...');
-        comments = await this.fetchReviewsAlternative(appId, { limit, sort, language, country });
-      }
+    console.log(`🔍 Fetching comments for app: ${appId} (mode: ${mode}${filter ? ', filtered' : ''})`);
+    
+    // Approach 1: Page through the review RPC using continuation tokens
+    const paged = await this.fetchReviewsPaged(appId, {
+      limit,
+      sort,
+      language,
+      country,
+      token: cursor ? cursor.token || null : null,
+      skip: cursor ? cursor.skip : 0,
+      filter,
+      priority
+    });
+    const nextCursor = paged.nextToken || paged.skip > 0
+      ? encodeCursor({
+        token: paged.nextToken || '',
+        sort,
+        language,
+        country,
+        skip: paged.skip,
+        filters: filterSignature(filters)
+      })
+      : null;
+    
+    if (!paged.error && (paged.comments.length > 0 || mode !== 'demo')) {
+      console.log(`✅ Successfully fetched ${paged.comments.length} comments for app: ${appId}`);
+      return {
+        comments: paged.comments,
+        nextCursor,
+        scanned: paged.scanned,
+        provenance: { status: 'live', extraction: 'review-rpc', mode }
+      };
+    }
+    
+    if (paged.error && mode === 'strict') {
+      throw paged.error;
+    }
+    
+    // Paging broke part-way: keep what we have, the cursor resumes at the failed page
+    if (paged.error && paged.comments.length > 0) {
+      console.log(`⚠️ Returning ${paged.comments.length} of ${limit} comments for app: ${appId}`);
+      return {
+        comments: paged.comments,
+        nextCursor,
+        scanned: paged.scanned,
+        provenance: { status: 'partial', extraction: 'review-rpc', mode, reason: paged.error.message }
+      };
+    }
+    
+    let lastError = paged.error;
+    
+    // Approaches 2 and 3: reviews embedded in the app pages. They carry no
+    // continuation token, so they cannot serve a cursor request.
+    if (!cursor) {
+      // Filters need every embedded review, the limit applies to the matches
+      const pageLimit = filter ? Infinity : limit;
+      const fallbacks = [
+        { extraction: 'page-data', fetch: () => this.fetchReviewsFromPage(appId, { limit: pageLimit, sort, language, country, priority }) },
+        { extraction: 'page-data-all-reviews', fetch: () => this.fetchReviewsAlternative(appId, { limit: pageLimit, sort, language, country, priority }) }
+      ];
       
-      // Approach 3: Generate sample data for testing if still no results
-      if (comments.length === 0) {
-        console.log('⚠️ No reviews found, generating sample data for demonstration...');
-        comments = this.generateSampleReviews(appId, limit);
+      for (const fallback of fallbacks) {
+        try {
+          console.log(`⚠️ Trying ${fallback.extraction} extraction for app: ${appId}...`);
+          const extracted = await fallback.fetch();
+          const comments = (filter ? extracted.filter(filter) : extracted).slice(0, limit);
+          
+          if (extracted.length > 0) {
+            console.log(`✅ Extracted ${comments.length} comments for app: ${appId} from ${fallback.extraction}`);
+            return {
+              comments,
+              nextCursor: null,
+              scanned: extracted.length,
+              provenance: {
+                status: 'partial',
+                extraction: fallback.extraction,
+                mode,
+                reason: lastError ? lastError.message : 'Review RPC returned no reviews'
+              }
+            };
+          }
+        } catch (error) {
+          lastError = toUpstreamError(error, fallback.extraction);
+          console.warn(`⚠️ ${fallback.extraction} extraction failed: ${lastError.message}`);
+        }
       }
+    }
+    
+    // Approach 4: Sample data, only when it was explicitly asked for
+    if (mode === 'demo') {
+      console.log('⚠️ No live reviews available, returning sample data (demo mode)...');
+      const samples = this.generateSampleReviews(appId, filter ? Infinity : limit);
+      return {
+        comments: (filter ? samples.filter(filter) : samples).slice(0, limit),
+        nextCursor: null,
+        scanned: samples.length,
+        provenance: {
+          status: 'synthetic',
+          extraction: 'sample',
+          mode,
+          reason: lastError ? lastError.message : 'No live reviews found'
+        }
+      };
+    }
+    
+    throw lastError || new UpstreamError(`No reviews could be extracted for app ${appId}`, {
+      code: 'UPSTREAM_NO_DATA',
+      extraction: 'page-data'
+    });
+  }
+
+  /**
+   * Walk the review RPC until the limit is reached or the listing runs out
+   *
+   * Without a filter every page requests exactly what is still missing, so
+   * the returned token points at the first review that was not handed out.
+   * A filter cannot know how many reviews will match, so it requests full
+   * pages and stops after MAX_FILTER_SCAN reviews; when it stops inside a
+   * page, the position is that page's token plus the number of its reviews
+   * already scanned (`skip`). Pages are spaced by the outbound rate limiter.
+   *
+   * @param {string} appId - App ID
+   * @param {Object} options - Options
+   * @param {string|null} options.token - Continuation token to start from
+   * @param {number} [options.skip] - Reviews of the token's page to skip
+   * @param {Function|null} [options.filter] - Predicate reviews must pass
+   * @returns {Object} Object with comments, the token and skip count of the
+   *   next page, the number of reviews scanned and the UpstreamError that
+   *   stopped paging (if any)
+   */
+  async fetchReviewsPaged(appId, options = {}) {
+    const { limit, sort, language, country, priority, filter = null } = options;
+    const batchSize = config.scraping.reviewBatchSize;
+    const maxScan = config.scraping.maxFilterScan;
+    const comments = [];
+    let token = options.token || null;
+    let skip = options.skip || 0;
+    let scanned = 0;
+    
+    try {
+      do {
+        const count = filter ? batchSize : Math.min(limit - comments.length, batchSize);
+        const batch = await this.fetchReviewsBatch(appId, { sort, language, country, count: skip + count, token, priority });
+        const reviews = batch.comments.slice(skip, skip + count);
+        
+        let used = 0;
+        for (const review of reviews) {
+          if (comments.length >= limit || (filter && scanned >= maxScan)) break;
+          used++;
+          scanned++;
+          if (!filter || filter(review)) comments.push(review);
+        }
+        
+        if (used < reviews.length) {
+          // Stopped inside the page: resume at its first unscanned review
+          skip += used;
+          break;
+        }
+        
+        token = batch.nextToken;
+        skip = 0;
+        
+        if (batch.comments.length === 0) break;
+      } while (token && comments.length < limit && !(filter && scanned >= maxScan));
       
-      console.log(`✅ Successfully fetched ${comments.length} comments for app: ${appId}`);
-      
-      return comments;
+      return { comments, nextToken: token, skip, scanned, error: null };
       
     } catch (error) {
-      console.error(`❌ Error fetching comments for app ${appId}:`, error.message);
-      // Return sample data on error for demonstration purposes
-      console.log('🔄 Returning sample data due to error...');
-      return this.generateSampleReviews(appId, limit);
+      console.warn(`⚠️ Error paging review RPC: ${error.message}`);
+      // token and skip still point at the batch that failed, so they are a valid resume point
+      return { comments, nextToken: token, skip, scanned, error: toUpstreamError(error, 'review-rpc') };
     }
   }
 
+  /**
+   * Fetch a single page of reviews from the review RPC
+   * @param {string} appId - App ID
+   * @param {Object} options - Options
+   * @param {number} options.count - Number of reviews to request
+   * @param {string|null} options.token - Continuation token, null for the first page
+   * @returns {Object} Object with comments and nextToken
+   */
+  async fetchReviewsBatch(appId, options = {}) {
+    const { sort = 'recent', language = 'en', country = 'US', count, token = null, priority } = options;
+    
+    const sortCode = REVIEW_SORT_CODES[sort] || REVIEW_SORT_CODES.recent;
+    const payload = JSON.stringify([null, null, [2, sortCode, [count, null, token], null, []], [appId, 7]]);
+    const body = `f.req=${encodeURIComponent(JSON.stringify([[['UsvDTd', payload, null, 'generic']]]))}`;
+    const url = `${this.baseUrl}/_/PlayStoreUi/data/batchexecute?rpcids=UsvDTd&hl=${language}&gl=${country}&authuser&soc-app=121&soc-platform=1&soc-device=1`;
+    
+    const response = await httpClient.post(url, body, {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8',
+        'Accept-Language': `${language}-${country},${language};q=0.9,en;q=0.8`
+      },
+      responseType: 'text',
+      priority
+    });
+    
+    if (response.status !== 200) {
+      throw new Error(`HTTP ${response.status}: Failed to fetch reviews batch`);
+    }
+    
+    return parseReviewsResponse(response.data);
+  }
+
   /**
    * Fetch reviews from the app page
    * @param {string} appId - App ID
    * @param {Object} options - Options
    * @returns {Array} Array of comments
+   * @throws {UpstreamError} When the page cannot be fetched
    */
   async fetchReviewsFromPage(appId, options = {}) {
-    const { limit, sort, language, country } = options;
+    const { limit, sort, language, country, priority } = options;
     
-    try {
-      const url = this.buildAppPageUrl(appId, { sort, language, country });
-      
-      const response = await axios.get(url, {
-        headers: {
-          'User-Agent': this.userAgent,
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-          'Accept-Language': `${language}-${country},${language};q=0.9,en;q=0.8`,
-          'Accept-Encoding': 'gzip, deflate',
-          'Connection': 'keep-alive',
-          'Upgrade-Insecure-Requests': '1',
-        },
-        timeout: 30000,
-        maxRedirects: 5
-      });
-
-      if (response.status !== 200) {
-        throw new Error(`HTTP ${response.status}: Failed to fetch app page`);
-      }
+    const url = this.buildAppPageUrl(appId, { sort, language, country });
+    
+    const response = await httpClient.get(url, {
+      headers: {
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+        'Accept-Language': `${language}-${country},${language};q=0.9,en;q=0.8`,
+        'Accept-Encoding': 'gzip, deflate',
+        'Connection': 'keep-alive',
+        'Upgrade-Insecure-Requests': '1',
+      },
+      priority
+    });
 
-      // Extract review data from the page
-      const comments = this.extractReviewsFromHTML(response.data, limit);
-      
-      return comments;
-      
-    } catch (error) {
-      console.warn(`⚠️ Error fetching from page: ${error.message}`);
-      return [];
+    if (response.status !== 200) {
+      throw new UpstreamError(`HTTP ${response.status}: Failed to fetch app page`, {
+        code: 'UPSTREAM_HTTP_ERROR',
+        upstreamStatus: response.status,
+        extraction: 'page-data'
+      });
     }
+
+    // Extract review data from the page
+    return this.extractReviewsFromHTML(response.data, limit);
   }
 
   /**
@@ -99,33 +330,28 @@ class PlayStoreAPI {
    * @returns {Array} Array of comments
    */
   async fetchReviewsAlternative(appId, options = {}) {
-    const { limit, sort, language, country } = options;
+    const { limit, language, country, priority } = options;
     
-    try {
-      // Try to fetch from the reviews section directly
-      const url = `${this.baseUrl}/store/apps/details?id=${appId}&showAllReviews=true&hl=${language}&gl=${country}`;
-      
-      const response = await axios.get(url, {
-        headers: {
-          'User-Agent': this.userAgent,
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        },
-        timeout: 30000
-      });
-
-      if (response.status !== 200) {
-        throw new Error(`HTTP ${response.status}: Failed to fetch reviews page`);
-      }
+    // Try to fetch from the reviews section directly
+    const url = `${this.baseUrl}/store/apps/details?id=${appId}&showAllReviews=true&hl=${language}&gl=${country}`;
+    
+    const response = await httpClient.get(url, {
+      headers: {
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+      },
+      priority
+    });
 
-      // Look for review data in the HTML
-      const comments = this.extractReviewsFromHTML(response.data, limit);
-      
-      return comments;
-      
-    } catch (error) {
-      console.warn(`⚠️ Error with alternative method: ${error.message}`);
-      return [];
+    if (response.status !== 200) {
+      throw new UpstreamError(`HTTP ${response.status}: Failed to fetch reviews page`, {
+        code: 'UPSTREAM_HTTP_ERROR',
+        upstreamStatus: response.status,
+        extraction: 'page-data-all-reviews'
+      });
     }
+
+    // Look for review data in the HTML
+    return this.extractReviewsFromHTML(response.data, limit);
   }
 
   /**
@@ -157,152 +383,13 @@ class PlayStoreAPI {
   }
 
   /**
-   * Extract reviews from HTML content
+   * Extract reviews from the data embedded in a store page
    * @param {string} html - HTML content
    * @param {number} limit - Maximum number of comments
    * @returns {Array} Array of comment objects
    */
   extractReviewsFromHTML(html, limit) {
-    try {
-      const comments = [];
-      
-      // Look for review data in various formats
-      const reviewPatterns = [
-        // Pattern 1: Look for review containers
-        /<div[^>]*class="[^"]*review[^"]*"[^>]*>([\s\S]*?)<\/div>/gi,
-        // Pattern 2: Look for review data in script tags
-        /<script[^>]*>[\s\S]*?"reviews":\s*(\[.*?\])[\s\S]*?<\/script>/gi,
-        // Pattern 3: Look for individual review elements
-        /<div[^>]*data-testid="[^"]*review[^"]*"[^>]*>([\s\S]*?)<\/div>/gi,
-        // Pattern 4: Look for review text patterns
-        /"reviewText":\s*"([^"]+)"/gi
-      ];
-      
-      for (const pattern of reviewPatterns) {
-        const matches = html.match(pattern);
-        if (matches) {
-          const extractedComments = this.processReviewMatches(matches, pattern, limit);
-          comments.push(...extractedComments);
-          
-          if (comments.length >= limit) break;
-        }
-      }
-      
-      return comments.slice(0, limit);
-      
-    } catch (error) {
-      console.warn('⚠️ Error extracting reviews from HTML:', error.message);
-      return [];
-    }
-  }
-
-  /**
-   * Process review matches and create comment objects
-   * @param {Array} matches - Regex matches
-   * @param {RegExp} pattern - The pattern that was matched
-   * @param {number} limit - Maximum number of comments
-   * @returns {Array} Array of comment objects
-   */
-  processReviewMatches(matches, pattern, limit) {
-    const comments = [];
-    
-    try {
-      if (pattern.source.includes('reviews')) {
-        // JSON array of reviews
-        try {
-          const reviewsData = JSON.parse(matches[1]);
-          if (Array.isArray(reviewsData)) {
-            reviewsData.forEach(review => {
-              if (comments.length >= limit) return;
-              
-              if (review.text || review.reviewText) {
-                comments.push({
-                  text: review.text || review.reviewText || 'No text available',
-                  rating: review.rating || review.starRating || 0,
-                  date: review.date || review.reviewDate || new Date().toISOString().split('T')[0],
-                  author: review.author || review.userName || 'Unknown',
-                  helpful: review.helpful || review.helpfulCount || 0,
-                  source: 'api'
-                });
-              }
-            });
-          }
-        } catch (parseError) {
-          console.warn('⚠️ Error parsing reviews JSON:', parseError.message);
-        }
-      } else if (pattern.source.includes('reviewText')) {
-        // Individual review text
-        matches.forEach((match, index) => {
-          if (comments.length >= limit) return;
-          
-          if (index > 0) { // Skip the first match which is the full match
-            comments.push({
-              text: match,
-              rating: 0,
-              date: new Date().toISOString().split('T')[0],
-              author: 'Unknown',
-              helpful: 0,
-              source: 'api'
-            });
-          }
-        });
-      } else {
-        // HTML review containers
-        matches.forEach(match => {
-          if (comments.length >= limit) return;
-          
-          const comment = this.extractCommentFromHTML(match);
-          if (comment && comment.text) {
-            comments.push(comment);
-          }
-        });
-      }
-      
-    } catch (error) {
-      console.warn('⚠️ Error processing review matches:', error.message);
-    }
-    
-    return comments;
-  }
-
-  /**
-   * Extract comment data from HTML review element
-   * @param {string} html - HTML review element
-   * @returns {Object|null} Comment object or null
-   */
-  extractCommentFromHTML(html) {
-    try {
-      // Extract text content - remove HTML tags
-      const textContent = html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
-      
-      if (!textContent || textContent.length < 10) return null;
-      
-      // Skip navigation and common elements
-      if (textContent.includes('Games') && textContent.includes('Apps') && textContent.includes('Movies')) {
-        return null;
-      }
-      
-      // Extract rating if available
-      const ratingMatch = html.match(/rating["\s]*:["\s]*(\d+)/i);
-      const rating = ratingMatch ? parseInt(ratingMatch[1]) : 0;
-      
-      // Extract author if available
-      const authorMatch = html.match(/author["\s]*:["\s]*"([^"]+)"/i);
-      const author = authorMatch ? authorMatch[1] : 'Unknown';
-      
-      return {
-        text: textContent,
-        rating: rating >= 1 && rating <= 5 ? rating : 0,
-        date: new Date().toISOString().split('T')[0],
-        author,
-        helpful: 0,
-        source: 'html'
-      };
-      
-    } catch (error) {
-      console.warn('⚠️ Error extracting comment from HTML:', error.message);
-      return null;
-    }
+    return parseReviewsFromPage(html, { limit });
   }
 
   /**
@@ -327,6 +414,8 @@ class PlayStoreAPI {
         date: "2024-01-14",
         author: "Mike Chen",
         helpful: 18,
+        replyText: "Thanks for the feedback! Photo uploads are fixed in the next update.",
+        replyDate: "2024-01-15T09:30:00.000Z",
         source: "sample"
       },
       {
@@ -375,6 +464,8 @@ class PlayStoreAPI {
         date: "2024-01-08",
         author: "Alex Martinez",
         helpful: 15,
+        replyText: "We're sorry to hear that. Premium is free for the first month, give it a try!",
+        replyDate: "2024-01-09T16:05:00.000Z",
         source: "sample"
       },
       {
@@ -396,90 +487,357 @@ class PlayStoreAPI {
     ];
 
     // Return a subset based on the limit
-    return sampleReviews.slice(0, Math.min(limit, sampleReviews.length));
+    return sampleReviews
+      .slice(0, Math.min(limit, sampleReviews.length))
+      .map((review, index) => ({
+        id: `sample:${appId}:${index + 1}`,
+        submittedAt: `${review.date}T12:00:00.000Z`,
+        avatar: null,
+        appVersion: null,
+        thumbsUp: review.helpful,
+        replyText: null,
+        replyDate: null,
+        ...review
+      }));
   }
 
   /**
-   * Get app information (metadata)
+   * Get app information (metadata) from the app details page
    * @param {string} appId - App ID
-   * @returns {Object} App information
+   * @param {Object} options - Options
+   * @param {string} [options.language] - Language
+   * @param {string} [options.country] - Country
+   * @param {string} [options.mode] - Scrape mode (strict, degraded or demo)
+   * @param {string} [options.priority] - Outbound rate limiter lane
+   * @returns {Object} Object with the app information and its provenance
    */
-  async getAppInfo(appId) {
+  async getAppInfo(appId, options = {}) {
+    const { language = 'en', country = 'US', mode = config.scraping.mode, priority = 'interactive' } = options;
+    let failure;
+    
     try {
-      const url = `${this.baseUrl}/store/apps/details?id=${appId}&hl=en&gl=US`;
+      const url = `${this.baseUrl}/store/apps/details?id=${encodeURIComponent(appId)}&hl=${language}&gl=${country}`;
       
-      const response = await axios.get(url, {
+      const response = await httpClient.get(url, {
         headers: {
-          'User-Agent': this.userAgent,
           'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+          'Accept-Language': `${language}-${country},${language};q=0.9,en;q=0.8`
         },
-        timeout: 30000
+        priority
       });
 
       if (response.status !== 200) {
-        throw new Error(`HTTP ${response.status}: Failed to fetch app info`);
+        throw new UpstreamError(`HTTP ${response.status}: Failed to fetch app info`, {
+          code: 'UPSTREAM_HTTP_ERROR',
+          upstreamStatus: response.status,
+          extraction: 'page-data'
+        });
       }
 
-      // Extract app information from the HTML
-      const appInfo = this.extractAppInfo(response.data);
+      const details = parseAppDetails(response.data);
+      const app = details ? { appId, ...details } : null;
+      const missing = app ? REQUIRED_APP_FIELDS.filter(field => app[field] === null) : REQUIRED_APP_FIELDS;
+      
+      if (missing.length === 0) {
+        return { app, provenance: { status: 'live', extraction: 'page-data', mode } };
+      }
+      
+      failure = new UpstreamError(`Could not find ${missing.join(', ')} for app ${appId} in the store page`, {
+        code: 'UPSTREAM_PARSE_ERROR',
+        extraction: 'page-data'
+      });
       
-      return appInfo;
+      if (mode !== 'strict' && app && app.title) {
+        return { app, provenance: { status: 'partial', extraction: 'page-data', mode, reason: failure.message } };
+      }
       
     } catch (error) {
-      console.error(`❌ Error fetching app info for ${appId}:`, error.message);
-      // Return sample app info on error
-      return this.generateSampleAppInfo(appId);
+      failure = toUpstreamError(error, 'page-data');
+      console.error(`❌ Error fetching app info for ${appId}:`, failure.message);
     }
+    
+    if (mode !== 'demo') {
+      throw failure;
+    }
+    
+    // Sample app info, only when it was explicitly asked for
+    return {
+      app: this.generateSampleAppInfo(appId),
+      provenance: { status: 'synthetic', extraction: 'sample', mode, reason: failure.message }
+    };
   }
 
   /**
-   * Extract app information from HTML
-   * @param {string} html - HTML content
-   * @returns {Object} App information
+   * Search the store for apps
+   * @param {string} query - Search terms
+   * @param {Object} options - Options
+   * @param {number} [options.limit] - Maximum number of results
+   * @param {string} [options.language] - Language
+   * @param {string} [options.country] - Country
+   * @param {string} [options.mode] - Scrape mode (strict, degraded or demo)
+   * @param {string} [options.priority] - Outbound rate limiter lane
+   * @returns {Object} Object with the matching apps and their provenance
    */
-  extractAppInfo(html) {
+  async searchApps(query, options = {}) {
+    const { limit = 20, language = 'en', country = 'US', mode = config.scraping.mode, priority = 'interactive' } = options;
+    let failure;
+    
     try {
-      const appInfo = {
-        name: 'Unknown',
-        developer: 'Unknown',
-        category: 'Unknown',
-        rating: 0,
-        totalRatings: 0,
-        downloads: 'Unknown',
-        size: 'Unknown',
-        version: 'Unknown'
-      };
+      const url = `${this.baseUrl}/store/search?q=${encodeURIComponent(query)}&c=apps&hl=${language}&gl=${country}`;
+      
+      const response = await httpClient.get(url, {
+        headers: {
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+          'Accept-Language': `${language}-${country},${language};q=0.9,en;q=0.8`
+        },
+        priority
+      });
 
-      // Extract app name
-      const nameMatch = html.match(/<h1[^>]*>([^<]+)<\/h1>/i);
-      if (nameMatch) {
-        appInfo.name = nameMatch[1].trim();
+      if (response.status !== 200) {
+        throw new UpstreamError(`HTTP ${response.status}: Failed to fetch search results`, {
+          code: 'UPSTREAM_HTTP_ERROR',
+          upstreamStatus: response.status,
+          extraction: 'page-data'
+        });
       }
 
-      // Extract developer
-      const developerMatch = html.match(/developer["\s]*:["\s]*"([^"]+)"/i);
-      if (developerMatch) {
-        appInfo.developer = developerMatch[1];
+      const apps = parseAppList(response.data, 'search', { limit });
+      if (apps) {
+        return { apps, provenance: { status: 'live', extraction: 'page-data', mode } };
       }
+      
+      // Pages without results still carry the (empty) list, so a missing
+      // list means the layout changed
+      failure = new UpstreamError(`Could not find the search results for "${query}" in the store page`, {
+        code: 'UPSTREAM_PARSE_ERROR',
+        extraction: 'page-data'
+      });
+      
+    } catch (error) {
+      failure = toUpstreamError(error, 'page-data');
+      console.error(`❌ Error searching apps for "${query}":`, failure.message);
+    }
+    
+    if (mode !== 'demo') {
+      throw failure;
+    }
+    
+    // Sample results, only when they were explicitly asked for
+    const { appId, title, summary, developer, icon, score, price, currency, free } = this.generateSampleAppInfo('com.whatsapp');
+    return {
+      apps: [{ appId, title, summary, developer, icon, score, price, currency, free }].slice(0, limit),
+      provenance: { status: 'synthetic', extraction: 'sample', mode, reason: failure.message }
+    };
+  }
+
+  /**
+   * Fetch a store page as HTML
+   * @param {string} url - Page URL
+   * @param {Object} options - Options
+   * @param {string} options.language - Language
+   * @param {string} options.country - Country
+   * @param {string} options.priority - Outbound rate limiter lane
+   * @returns {string} Page HTML
+   * @throws {UpstreamError} When the page cannot be fetched
+   */
+  async fetchStorePage(url, { language, country, priority }) {
+    const response = await httpClient.get(url, {
+      headers: {
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+        'Accept-Language': `${language}-${country},${language};q=0.9,en;q=0.8`
+      },
+      priority
+    });
+    
+    if (response.status !== 200) {
+      throw new UpstreamError(`HTTP ${response.status}: Failed to fetch ${url}`, {
+        code: 'UPSTREAM_HTTP_ERROR',
+        upstreamStatus: response.status,
+        extraction: 'page-data'
+      });
+    }
+    
+    return response.data;
+  }
 
-      // Extract rating
-      const ratingMatch = html.match(/rating["\s]*:["\s]*(\d+\.?\d*)/i);
-      if (ratingMatch) {
-        appInfo.rating = parseFloat(ratingMatch[1]);
+  /**
+   * List the apps a developer has published
+   * @param {string} developerId - Numeric developer ID or developer name
+   * @param {Object} options - Options
+   * @param {number} [options.limit] - Page size
+   * @param {Object} [options.cursor] - Decoded cursor to resume from
+   * @param {string} [options.language] - Language
+   * @param {string} [options.country] - Country
+   * @param {string} [options.mode] - Scrape mode (strict, degraded or demo)
+   * @param {string} [options.priority] - Outbound rate limiter lane
+   * @returns {Object} Object with apps, nextCursor (or null), totalApps and provenance
+   */
+  async fetchDeveloperApps(developerId, options = {}) {
+    const { limit = 50, cursor = null, language = 'en', country = 'US', mode = config.scraping.mode, priority = 'interactive' } = options;
+    // Numeric IDs have their own developer page, names only a listing
+    const page = /^\d+$/.test(developerId) ? 'dev' : 'developer';
+    let failure;
+    
+    try {
+      const url = `${this.baseUrl}/store/apps/${page}?id=${encodeURIComponent(developerId)}&hl=${language}&gl=${country}`;
+      const apps = parseAppList(await this.fetchStorePage(url, { language, country, priority }), 'developer');
+      
+      if (apps) {
+        return {
+          ...paginateApps(apps, { limit, cursor, listing: 'developer', language, country }),
+          totalApps: apps.length,
+          provenance: { status: 'live', extraction: 'page-data', mode }
+        };
       }
+      
+      failure = new UpstreamError(`Could not find the apps of developer ${developerId} in the store page`, {
+        code: 'UPSTREAM_PARSE_ERROR',
+        extraction: 'page-data'
+      });
+      
+    } catch (error) {
+      failure = toUpstreamError(error, 'page-data');
+      console.error(`❌ Error fetching apps of developer ${developerId}:`, failure.message);
+    }
+    
+    return this.sampleAppList(failure, { limit, mode });
+  }
 
-      // Extract total ratings
-      const totalRatingsMatch = html.match(/totalRatings["\s]*:["\s]*(\d+)/i);
-      if (totalRatingsMatch) {
-        appInfo.totalRatings = parseInt(totalRatingsMatch[1]);
+  /**
+   * List the apps in an app's "Similar apps" cluster
+   * @param {string} appId - App ID
+   * @param {Object} options - Same options as fetchDeveloperApps
+   * @returns {Object} Object with apps, nextCursor (or null), totalApps and provenance
+   */
+  async fetchSimilarApps(appId, options = {}) {
+    const { limit = 50, cursor = null, language = 'en', country = 'US', mode = config.scraping.mode, priority = 'interactive' } = options;
+    let failure;
+    
+    try {
+      const detailsUrl = `${this.baseUrl}/store/apps/details?id=${encodeURIComponent(appId)}&hl=${language}&gl=${country}`;
+      const details = await this.fetchStorePage(detailsUrl, { language, country, priority });
+      const link = parseSimilarLink(details);
+      
+      let apps = null;
+      if (link) {
+        const clusterUrl = `${this.baseUrl}${link}${link.includes('?') ? '&' : '?'}hl=${language}&gl=${country}`;
+        apps = parseAppList(await this.fetchStorePage(clusterUrl, { language, country, priority }), 'cluster');
+      } else if (parseAppDetails(details)) {
+        // The listing parsed fine, the app just has no similar apps
+        apps = [];
+      }
+      
+      if (apps) {
+        return {
+          ...paginateApps(apps, { limit, cursor, listing: 'similar', language, country }),
+          totalApps: apps.length,
+          provenance: { status: 'live', extraction: 'page-data', mode }
+        };
       }
+      
+      failure = new UpstreamError(`Could not find the similar apps of ${appId} in the store page`, {
+        code: 'UPSTREAM_PARSE_ERROR',
+        extraction: 'page-data'
+      });
+      
+    } catch (error) {
+      failure = toUpstreamError(error, 'page-data');
+      console.error(`❌ Error fetching similar apps of ${appId}:`, failure.message);
+    }
+    
+    return this.sampleAppList(failure, { limit, mode });
+  }
 
-      return appInfo;
+  /**
+   * Fetch a top chart
+   * @param {Object} options - Options
+   * @param {string} options.collection - Chart (topfree, toppaid or topgrossing)
+   * @param {string} [options.category] - Category ID (default: APPLICATION, all apps)
+   * @param {number} [options.limit] - Number of ranks
+   * @param {string} [options.language] - Language
+   * @param {string} [options.country] - Country
+   * @param {string} [options.mode] - Scrape mode (strict, degraded or demo)
+   * @param {string} [options.priority] - Outbound rate limiter lane
+   * @returns {Object} Object with the ranked apps and their provenance
+   */
+  async fetchChart(options = {}) {
+    const {
+      collection,
+      category = 'APPLICATION',
+      limit = 100,
+      language = 'en',
+      country = 'US',
+      mode = config.scraping.mode,
+      priority = 'interactive'
+    } = options;
+    let failure;
+    
+    try {
+      const payload = JSON.stringify([
+        [null, [[8, [20, limit]], true, null, CHART_FIELD_IDS], [1], null, null, null, null, null, null, null, null, null, [2]],
+        [[null, [[1, CHART_COLLECTIONS[collection]]], [null, [[1, category]]]]]
+      ]);
+      const body = `f.req=${encodeURIComponent(JSON.stringify([[['vyAe2', payload, null, 'generic']]]))}`;
+      const url = `${this.baseUrl}/_/PlayStoreUi/data/batchexecute?rpcids=vyAe2&hl=${language}&gl=${country}&authuser&soc-app=121&soc-platform=1&soc-device=1`;
+      
+      const response = await httpClient.post(url, body, {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8',
+          'Accept-Language': `${language}-${country},${language};q=0.9,en;q=0.8`
+        },
+        responseType: 'text',
+        priority
+      });
+      
+      const apps = parseChartResponse(response.data, { limit });
+      if (apps) {
+        return {
+          apps: apps.map((app, index) => ({ rank: index + 1, ...app })),
+          provenance: { status: 'live', extraction: 'chart-rpc', mode }
+        };
+      }
+      
+      failure = new UpstreamError(`Could not find the ${collection} ${category} chart in the store response`, {
+        code: 'UPSTREAM_PARSE_ERROR',
+        extraction: 'chart-rpc'
+      });
       
     } catch (error) {
-      console.warn('⚠️ Error extracting app info:', error.message);
-      return this.generateSampleAppInfo('unknown');
+      failure = toUpstreamError(error, 'chart-rpc');
+      console.error(`❌ Error fetching the ${collection} ${category} chart:`, failure.message);
     }
+    
+    const { apps, provenance } = this.sampleAppList(failure, { limit, mode });
+    return { apps: apps.map((app, index) => ({ rank: index + 1, ...app })), provenance };
+  }
+
+  /**
+   * Answer a failed app list request: sample apps in demo mode, the failure otherwise
+   * @param {UpstreamError} failure - Why the live listing is unavailable
+   * @param {Object} options - Options
+   * @param {number} options.limit - Page size
+   * @param {string} options.mode - Scrape mode
+   * @returns {Object} Sample app list
+   * @throws {UpstreamError} The failure, unless in demo mode
+   */
+  sampleAppList(failure, { limit, mode }) {
+    if (mode !== 'demo') {
+      throw failure;
+    }
+    
+    const apps = ['com.whatsapp', 'com.instagram.android', 'com.twitter.android']
+      .map((appId) => {
+        const { title, summary, developer, icon, score, price, currency, free } = this.generateSampleAppInfo(appId);
+        return { appId, title, summary, developer, icon, score, price, currency, free };
+      })
+      .slice(0, limit);
+    
+    return {
+      apps,
+      nextCursor: null,
+      totalApps: apps.length,
+      provenance: { status: 'synthetic', extraction: 'sample', mode, reason: failure.message }
+    };
   }
 
   /**
@@ -497,14 +855,37 @@ class PlayStoreAPI {
     };
 
     return {
-      name: appNames[appId] || 'Sample App',
+      appId,
+      title: appNames[appId] || 'Sample App',
+      summary: 'A sample app used in demo mode',
       developer: 'Sample Developer',
+      developerId: 'Sample+Developer',
       category: 'Communication',
-      rating: 4.2,
-      totalRatings: 1500000,
-      downloads: '1B+',
-      size: '45MB',
-      version: '2.23.45.78'
+      categoryId: 'COMMUNICATION',
+      score: 4.2,
+      ratingsCount: 1500000,
+      reviewsCount: 52000,
+      histogram: { 1: 120000, 2: 45000, 3: 90000, 4: 240000, 5: 1005000 },
+      installs: '1,000,000,000+',
+      minInstalls: 1000000000,
+      maxInstalls: 5120000000,
+      price: 0,
+      currency: 'USD',
+      priceText: null,
+      inAppPurchases: false,
+      inAppPurchaseRange: null,
+      contentRating: 'Everyone',
+      contentRatingDescription: null,
+      version: '2.23.45.78',
+      androidVersion: '5.0',
+      updated: '2024-01-15',
+      recentChanges: 'Bug fixes and performance improvements',
+      icon: null,
+      headerImage: null,
+      screenshots: [],
+      video: null,
+      free: true,
+      dataSafety: { sharedData: [], collectedData: [], securityPractices: [] }
     };
   }
 }
@@ -512,8 +893,171 @@ class PlayStoreAPI {
 // Create singleton instance
 const api = new PlayStoreAPI();
 
+// Only complete live results are worth serving again
+const isLive = (result) => Boolean(result.provenance && result.provenance.status === 'live');
+
+/**
+ * Fetch comments through the response cache
+ * @param {string} appId - App ID
+ * @param {Object} options - Same options as PlayStoreAPI#fetchComments, plus
+ *   `refresh` to bypass the cached entry
+ * @returns {Object} fetchComments result with cache metadata (or null)
+ */
+const fetchComments = async (appId, options = {}) => {
+  const {
+    limit = 50,
+    sort = 'recent',
+    language = 'en',
+    country = 'US',
+    cursor = null,
+    filters = null,
+    mode = config.scraping.mode,
+    refresh = false
+  } = options;
+  
+  const key = responseCache.buildKey('comments', {
+    appId,
+    sort,
+    hl: language,
+    gl: country,
+    limit,
+    mode,
+    token: cursor ? cursor.token : null,
+    skip: cursor ? cursor.skip : 0,
+    filters: filterSignature(filters)
+  });
+  
+  const { value, cache } = await responseCache.wrap(key, () => api.fetchComments(appId, options), {
+    refresh,
+    cacheable: isLive
+  });
+  
+  return { ...value, cache };
+};
+
+/**
+ * Get app information through the response cache
+ * @param {string} appId - App ID
+ * @param {Object} options - Same options as PlayStoreAPI#getAppInfo, plus
+ *   `refresh` to bypass the cached entry
+ * @returns {Object} getAppInfo result with cache metadata (or null)
+ */
+const getAppInfo = async (appId, options = {}) => {
+  const { language = 'en', country = 'US', mode = config.scraping.mode, refresh = false } = options;
+  const key = responseCache.buildKey('app', { appId, hl: language, gl: country, mode });
+  
+  const { value, cache } = await responseCache.wrap(key, () => api.getAppInfo(appId, options), {
+    refresh,
+    cacheable: isLive
+  });
+  
+  return { ...value, cache };
+};
+
+/**
+ * Search apps through the response cache
+ * @param {string} query - Search terms
+ * @param {Object} options - Same options as PlayStoreAPI#searchApps, plus
+ *   `refresh` to bypass the cached entry
+ * @returns {Object} searchApps result with cache metadata (or null)
+ */
+const searchApps = async (query, options = {}) => {
+  const { limit = 20, language = 'en', country = 'US', mode = config.scraping.mode, refresh = false } = options;
+  const key = responseCache.buildKey('search', { q: query.toLowerCase(), limit, hl: language, gl: country, mode });
+  
+  const { value, cache } = await responseCache.wrap(key, () => api.searchApps(query, options), {
+    refresh,
+    cacheable: isLive
+  });
+  
+  return { ...value, cache };
+};
+
+/**
+ * Fetch a top chart through the response cache
+ * @param {Object} options - Same options as PlayStoreAPI#fetchChart, plus
+ *   `refresh` to bypass the cached entry
+ * @returns {Object} fetchChart result with cache metadata (or null)
+ */
+const fetchChart = async (options = {}) => {
+  const {
+    collection,
+    category = 'APPLICATION',
+    limit = 100,
+    language = 'en',
+    country = 'US',
+    mode = config.scraping.mode,
+    refresh = false
+  } = options;
+  const key = responseCache.buildKey('chart', { collection, category, limit, hl: language, gl: country, mode });
+  
+  const { value, cache } = await responseCache.wrap(key, () => api.fetchChart(options), {
+    refresh,
+    cacheable: isLive
+  });
+  
+  return { ...value, cache };
+};
+
+/**
+ * Cache one page of an app listing
+ * @param {string} namespace - Cache namespace (developer or similar)
+ * @param {string} id - Developer ID or app ID
+ * @param {Function} load - Fetches the page
+ * @param {Object} options - Listing options, plus `refresh` to bypass the cached entry
+ * @returns {Object} Listing result with cache metadata (or null)
+ */
+const cachedAppList = async (namespace, id, load, options = {}) => {
+  const {
+    limit = 50,
+    language = 'en',
+    country = 'US',
+    cursor = null,
+    mode = config.scraping.mode,
+    refresh = false
+  } = options;
+  
+  const key = responseCache.buildKey(namespace, {
+    id,
+    hl: language,
+    gl: country,
+    limit,
+    mode,
+    token: cursor ? cursor.token : null
+  });
+  
+  const { value, cache } = await responseCache.wrap(key, load, {
+    refresh,
+    cacheable: isLive
+  });
+  
+  return { ...value, cache };
+};
+
+/**
+ * List a developer's apps through the response cache
+ * @param {string} developerId - Developer ID or name
+ * @param {Object} options - Same options as PlayStoreAPI#fetchDeveloperApps, plus `refresh`
+ * @returns {Object} fetchDeveloperApps result with cache metadata (or null)
+ */
+const fetchDeveloperApps = (developerId, options = {}) => cachedAppList('developer', developerId,
+  () => api.fetchDeveloperApps(developerId, options), options);
+
+/**
+ * List an app's similar apps through the response cache
+ * @param {string} appId - App ID
+ * @param {Object} options - Same options as PlayStoreAPI#fetchSimilarApps, plus `refresh`
+ * @returns {Object} fetchSimilarApps result with cache metadata (or null)
+ */
+const fetchSimilarApps = (appId, options = {}) => cachedAppList('similar', appId,
+  () => api.fetchSimilarApps(appId, options), options);
+
 // Export the main function
 module.exports = {
-  fetchComments: (appId, options) => api.fetchComments(appId, options),
-  getAppInfo: (appId) => api.getAppInfo(appId)
+  fetchComments,
+  getAppInfo,
+  searchApps,
+  fetchDeveloperApps,
+  fetchSimilarApps,
+  fetchChart
 };
@@ -0,0 +1,131 @@
+/**
+ * Outbound rate limiter
+ *
+ * A token bucket shared by every request the process sends to the Play
+ * Store. Tokens refill at `ratePerSecond` up to `burst`; a request that finds
+ * the bucket empty waits in the queue of its priority lane. Lanes are served
+ * strictly in order, so interactive calls overtake queued background work.
+ */
+
+// Priority lanes, highest first
+const PRIORITY_LANES = ['interactive', 'batch', 'background'];
+
+class TokenBucketLimiter {
+  /**
+   * @param {Object} options - Options
+   * @param {number} options.ratePerSecond - Tokens added per second
+   * @param {number} options.burst - Bucket size
+   */
+  constructor({ ratePerSecond, burst }) {
+    this.ratePerSecond = ratePerSecond;
+    this.burst = Math.max(1, burst);
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.timer = null;
+    this.lanes = new Map(PRIORITY_LANES.map(lane => [lane, {
+      queue: [],
+      granted: 0,
+      totalWaitMs: 0,
+      maxWaitMs: 0,
+      maxDepth: 0
+    }]));
+  }
+
+  /**
+   * Wait for a token
+   * @param {string} priority - Priority lane
+   * @returns {Promise} Resolves when the request may be sent
+   */
+  acquire(priority = 'interactive') {
+    const lane = this.lanes.get(priority);
+    if (!lane) {
+      return Promise.reject(new Error(`Unknown priority lane: ${priority}`));
+    }
+
+    return new Promise((resolve) => {
+      lane.queue.push({ resolve, enqueuedAt: Date.now() });
+      lane.maxDepth = Math.max(lane.maxDepth, lane.queue.length);
+      this.drain();
+    });
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) / 1000) * this.ratePerSecond);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Hand out available tokens, highest lane first, and wait for the next one
+   */
+  drain() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.refill();
+
+    for (const lane of this.lanes.values()) {
+      while (lane.queue.length > 0 && this.tokens >= 1) {
+        const waiter = lane.queue.shift();
+        const waited = Date.now() - waiter.enqueuedAt;
+
+        this.tokens -= 1;
+        lane.granted++;
+        lane.totalWaitMs += waited;
+        lane.maxWaitMs = Math.max(lane.maxWaitMs, waited);
+        waiter.resolve();
+      }
+    }
+
+    if (this.queueDepth() > 0) {
+      const wait = Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000);
+      this.timer = setTimeout(() => this.drain(), Math.max(wait, 1));
+    }
+  }
+
+  /**
+   * Count the requests waiting in all lanes
+   * @returns {number} Queue depth
+   */
+  queueDepth() {
+    let depth = 0;
+    this.lanes.forEach((lane) => {
+      depth += lane.queue.length;
+    });
+    return depth;
+  }
+
+  /**
+   * Describe the limiter state and per-lane metrics
+   * @returns {Object} Limiter status
+   */
+  getStatus() {
+    this.refill();
+
+    const lanes = {};
+    this.lanes.forEach((lane, name) => {
+      lanes[name] = {
+        queued: lane.queue.length,
+        maxQueued: lane.maxDepth,
+        granted: lane.granted,
+        averageWaitMs: lane.granted > 0 ? Math.round(lane.totalWaitMs / lane.granted) : 0,
+        maxWaitMs: lane.maxWaitMs
+      };
+    });
+
+    return {
+      ratePerSecond: this.ratePerSecond,
+      burst: this.burst,
+      availableTokens: Math.floor(this.tokens),
+      queued: this.queueDepth(),
+      lanes
+    };
+  }
+}
+
+module.exports = {
+  PRIORITY_LANES,
+  TokenBucketLimiter
+};
@@ -0,0 +1,54 @@
+const config = require('../config/config');
+const { decodeCursor } = require('../utils/cursor');
+
+/**
+ * Walk the pages of a review listing, one page in memory at a time
+ *
+ * Works with any fetchComments-compatible loader (live or review store) and
+ * follows its cursors until the listing ends or maxReviews is reached.
+ *
+ * @param {Function} loader - fetchComments-compatible loader
+ * @param {string} appId - App ID
+ * @param {Object} options - Options
+ * @param {number} options.maxReviews - Maximum number of reviews to yield
+ * @param {string} options.sort - Sort order
+ * @param {string} options.language - Language
+ * @param {string} options.country - Country
+ * @param {string} options.mode - Scrape mode for live listings
+ * @param {Object} [options.filters] - Review filters (see utils/reviewFilters)
+ * @param {Function} [options.onPage] - Called with ({ provenance, cache }) of each page
+ * @param {string} [options.priority] - Outbound rate limiter lane for live listings
+ * @returns {AsyncGenerator} Reviews
+ */
+async function* iterateReviews(loader, appId, options = {}) {
+  const { maxReviews, sort = 'recent', language = 'en', country = 'US', mode, filters = null, onPage, priority } = options;
+  let cursor = null;
+  let yielded = 0;
+
+  do {
+    const { comments, nextCursor, provenance, cache } = await loader(appId, {
+      limit: Math.min(config.scraping.reviewBatchSize, maxReviews - yielded),
+      sort,
+      language,
+      country,
+      cursor,
+      filters,
+      mode,
+      priority
+    });
+
+    if (onPage) onPage({ provenance, cache });
+
+    for (const comment of comments) {
+      if (yielded >= maxReviews) return;
+      yielded++;
+      yield comment;
+    }
+
+    cursor = nextCursor ? decodeCursor(nextCursor) : null;
+  } while (cursor && yielded < maxReviews);
+}
+
+module.exports = {
+  iterateReviews
+};
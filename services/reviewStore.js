@@ -0,0 +1,324 @@
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config/config');
+const { encodeCursor } = require('../utils/cursor');
+const { createReviewFilter, filterSignature } = require('../utils/reviewFilters');
+
+// Fields whose change means the author edited the review or the developer replied
+const CONTENT_FIELDS = ['text', 'rating', 'date', 'replyText', 'replyDate'];
+
+/**
+ * Read a content field, as null when the record predates the field
+ * @param {Object} review - Review
+ * @param {string} field - Field name
+ * @returns {*} Field value or null
+ */
+const contentField = (review, field) => (review[field] === undefined ? null : review[field]);
+
+/**
+ * Persistent Review Store
+ * File-backed storage of reviews per app and locale, keyed by the store's
+ * review ID. Each app/locale pair lives in its own JSON file that is loaded
+ * on first use and rewritten atomically after a change. Only the most
+ * recently used collections stay in memory.
+ */
+class ReviewStore {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.directory - Directory holding the review files
+   * @param {number} [options.maxCollections] - Collections kept in memory, least recently used evicted first
+   */
+  constructor({ directory, maxCollections = Infinity }) {
+    this.directory = directory;
+    this.maxCollections = maxCollections;
+    // Insertion order is use order: a hit moves the collection to the end
+    this.collections = new Map();
+    this.writes = new Map();
+  }
+
+  /**
+   * Build the identifier of an app/locale collection
+   * @param {string} appId - App ID
+   * @param {Object} locale - Locale
+   * @returns {string} Collection key
+   */
+  collectionKey(appId, { language = 'en', country = 'US' } = {}) {
+    return `${appId}/${language}-${country}`;
+  }
+
+  /**
+   * Load a collection from disk (or create an empty one)
+   * @param {string} appId - App ID
+   * @param {Object} locale - Locale ({ language, country })
+   * @returns {Object} Collection with reviews, sync state and whether it has unsaved changes
+   */
+  async load(appId, locale = {}) {
+    const key = this.collectionKey(appId, locale);
+    if (this.collections.has(key)) {
+      const cached = this.collections.get(key);
+      this.collections.delete(key);
+      this.collections.set(key, cached);
+      return cached;
+    }
+
+    const loading = (async () => {
+      // An evicted collection may still be on its way to disk
+      await (this.writes.get(key) || Promise.resolve()).catch(() => {});
+
+      try {
+        const data = JSON.parse(await fs.readFile(path.join(this.directory, `${key}.json`), 'utf8'));
+        return { reviews: new Map(Object.entries(data.reviews || {})), state: data.state || {}, dirty: false };
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return { reviews: new Map(), state: {}, dirty: false };
+      }
+    })();
+
+    this.collections.set(key, loading);
+    try {
+      const collection = await loading;
+      if (this.collections.get(key) === loading) {
+        this.collections.set(key, collection);
+      }
+      this.evict();
+      return collection;
+    } catch (error) {
+      this.collections.delete(key);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop the least recently used collections above maxCollections
+   * Collections still loading or holding changes not yet handed to a write
+   * are kept, so nothing unsaved is lost.
+   */
+  evict() {
+    let excess = this.collections.size - this.maxCollections;
+
+    for (const [key, collection] of this.collections) {
+      if (excess <= 0) break;
+      if (collection instanceof Promise || collection.dirty) continue;
+      this.collections.delete(key);
+      excess--;
+    }
+  }
+
+  /**
+   * Write a collection to disk, one write at a time per collection
+   * @param {string} appId - App ID
+   * @param {Object} locale - Locale
+   */
+  async save(appId, locale = {}) {
+    const key = this.collectionKey(appId, locale);
+    const collection = await this.load(appId, locale);
+    const file = path.join(this.directory, `${key}.json`);
+
+    const previous = this.writes.get(key) || Promise.resolve();
+    const write = previous.catch(() => {}).then(async () => {
+      const contents = JSON.stringify({
+        appId,
+        language: locale.language || 'en',
+        country: locale.country || 'US',
+        state: collection.state,
+        reviews: Object.fromEntries(collection.reviews)
+      });
+      collection.dirty = false;
+
+      try {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+
+        const tempFile = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, contents);
+        await fs.rename(tempFile, file);
+      } catch (error) {
+        collection.dirty = true;
+        throw error;
+      }
+    });
+
+    this.writes.set(key, write);
+    write.catch(() => {}).then(() => {
+      if (this.writes.get(key) === write) this.writes.delete(key);
+    });
+    return write;
+  }
+
+  /**
+   * Insert new reviews and update changed ones
+   * @param {string} appId - App ID
+   * @param {Object} locale - Locale ({ language, country })
+   * @param {Array} reviews - Comment objects with an id
+   * @param {Object} options - Options
+   * @param {string} options.seenAt - ISO timestamp of the fetch
+   * @param {boolean} options.save - Write the collection now; false leaves the
+   *   write to the next save() or updateSyncState(), so a sync of many pages
+   *   writes once
+   * @returns {Object} Counts of added, updated and unchanged reviews, plus
+   *   the added and updated records themselves
+   */
+  async upsertReviews(appId, locale, reviews, { seenAt = new Date().toISOString(), save = true } = {}) {
+    const collection = await this.load(appId, locale);
+    collection.dirty = true;
+    const added = [];
+    const updated = [];
+    let unchanged = 0;
+
+    for (const review of reviews) {
+      if (!review || !review.id) continue;
+
+      const existing = collection.reviews.get(review.id);
+      if (!existing) {
+        const record = { ...review, firstSeenAt: seenAt, lastSeenAt: seenAt, updatedAt: seenAt };
+        collection.reviews.set(review.id, record);
+        added.push(record);
+        continue;
+      }
+
+      const changed = CONTENT_FIELDS.some(field => contentField(existing, field) !== contentField(review, field));
+      const record = {
+        ...existing,
+        ...review,
+        firstSeenAt: existing.firstSeenAt,
+        lastSeenAt: seenAt,
+        updatedAt: changed ? seenAt : existing.updatedAt
+      };
+      collection.reviews.set(review.id, record);
+
+      if (changed) {
+        updated.push({ ...record, previous: CONTENT_FIELDS.reduce((fields, field) => {
+          fields[field] = contentField(existing, field);
+          return fields;
+        }, {}) });
+      } else {
+        unchanged++;
+      }
+    }
+
+    if (save) {
+      await this.save(appId, locale);
+    }
+
+    return { added, updated, unchanged };
+  }
+
+  /**
+   * Record the outcome of a sync
+   * @param {string} appId - App ID
+   * @param {Object} locale - Locale ({ language, country })
+   * @param {Object} state - Sync state fields to merge
+   */
+  async updateSyncState(appId, locale, state) {
+    const collection = await this.load(appId, locale);
+    Object.assign(collection.state, state);
+    collection.dirty = true;
+    await this.save(appId, locale);
+  }
+
+  /**
+   * Get the sync state of a collection
+   * @param {string} appId - App ID
+   * @param {Object} locale - Locale ({ language, country })
+   * @returns {Object} Sync state with the number of stored reviews
+   */
+  async getSyncState(appId, locale) {
+    const collection = await this.load(appId, locale);
+    return { ...collection.state, totalReviews: collection.reviews.size };
+  }
+
+  /**
+   * Query stored reviews
+   * @param {string} appId - App ID
+   * @param {Object} options - Options
+   * @param {string} options.language - Language
+   * @param {string} options.country - Country
+   * @param {string} options.sort - recent, rating or helpfulness
+   * @param {number} options.offset - Number of reviews to skip
+   * @param {number} options.limit - Maximum number of reviews
+   * @param {Function} [options.filter] - Predicate reviews must pass, applied before offset and limit
+   * @returns {Object} Object with reviews, the number of reviews stored and the number matching the filter
+   */
+  async queryReviews(appId, options = {}) {
+    const { language = 'en', country = 'US', sort = 'recent', offset = 0, limit = 50, filter = null } = options;
+    const collection = await this.load(appId, { language, country });
+
+    const comparators = {
+      recent: (a, b) => compareDesc(a.submittedAt || a.date, b.submittedAt || b.date) || compareDesc(a.firstSeenAt, b.firstSeenAt),
+      rating: (a, b) => b.rating - a.rating || compareDesc(a.date, b.date),
+      helpfulness: (a, b) => b.helpful - a.helpful || compareDesc(a.date, b.date)
+    };
+    const comparator = comparators[sort] || comparators.recent;
+
+    // Review IDs break ties so the order is stable between pages
+    const all = Array.from(collection.reviews.values());
+    const sorted = (filter ? all.filter(filter) : all)
+      .sort((a, b) => comparator(a, b) || (a.id < b.id ? -1 : 1));
+
+    return {
+      reviews: sorted.slice(offset, offset + limit),
+      total: all.length,
+      matched: sorted.length
+    };
+  }
+}
+
+/**
+ * Compare two optional strings in descending order
+ * @param {string|null} a - First value
+ * @param {string|null} b - Second value
+ * @returns {number} Comparison result
+ */
+const compareDesc = (a, b) => {
+  if (a === b) return 0;
+  if (!a) return 1;
+  if (!b) return -1;
+  return a < b ? 1 : -1;
+};
+
+// Create singleton instance
+const reviewStore = new ReviewStore({ directory: config.store.directory, maxCollections: config.store.maxCollections });
+
+/**
+ * Read comments from the review store in the same shape as fetchComments
+ * @param {string} appId - App ID
+ * @param {Object} options - Options
+ * @param {Object} [options.cursor] - Decoded store cursor to resume from
+ * @param {Object} [options.filters] - Review filters (see utils/reviewFilters)
+ * @returns {Object} Object with comments, nextCursor (or null), provenance and cache
+ */
+const fetchStoredComments = async (appId, options = {}) => {
+  const { limit = 50, sort = 'recent', language = 'en', country = 'US', cursor = null, filters = null } = options;
+  const offset = cursor ? parseInt(cursor.token) || 0 : 0;
+
+  const { reviews, total, matched } = await reviewStore.queryReviews(appId, {
+    language,
+    country,
+    sort,
+    offset,
+    limit,
+    filter: createReviewFilter(filters)
+  });
+  const state = await reviewStore.getSyncState(appId, { language, country });
+  const nextOffset = offset + reviews.length;
+
+  return {
+    comments: reviews,
+    nextCursor: nextOffset < matched
+      ? encodeCursor({ token: String(nextOffset), sort, language, country, source: 'store', filters: filterSignature(filters) })
+      : null,
+    provenance: {
+      status: 'stored',
+      extraction: 'review-store',
+      lastSyncedAt: state.lastSyncedAt || null,
+      totalStored: total,
+      ...(filters ? { totalMatched: matched } : {})
+    },
+    cache: null
+  };
+};
+
+module.exports = {
+  ReviewStore,
+  reviewStore,
+  fetchStoredComments
+};
@@ -0,0 +1,126 @@
+const config = require('../config/config');
+const { fetchComments } = require('./playStoreAPI');
+const { reviewStore } = require('./reviewStore');
+const events = require('./events');
+const { decodeCursor } = require('../utils/cursor');
+
+/**
+ * Incrementally sync an app's reviews into the review store
+ *
+ * Walks the newest reviews page by page and upserts them. Because edited
+ * reviews move back to the top of the newest-first listing, the sync stops at
+ * the first page that holds nothing new or changed, unless a full sync is
+ * requested.
+ *
+ * New and edited reviews are published as reviews.new / reviews.updated
+ * events, page by page. The first sync of an app and locale only records a
+ * baseline and publishes nothing, so subscribers are not flooded with old
+ * reviews. Once every page is stored, reviews.synced reports the whole sync.
+ *
+ * @param {string} appId - App ID
+ * @param {Object} options - Options
+ * @param {string} options.language - Language
+ * @param {string} options.country - Country
+ * @param {number} options.maxReviews - Maximum number of reviews to walk
+ * @param {boolean} options.fullSync - Walk up to maxReviews even when pages are known
+ * @param {string} options.priority - Outbound rate limiter lane (default interactive)
+ * @returns {Object} Sync summary
+ */
+const syncApp = async (appId, options = {}) => {
+  const {
+    language = 'en',
+    country = 'US',
+    maxReviews = config.store.syncMaxReviews,
+    fullSync = false,
+    priority = 'interactive'
+  } = options;
+  const locale = { language, country };
+  const startedAt = new Date().toISOString();
+  const summary = {
+    appId,
+    language,
+    country,
+    fetched: 0,
+    added: 0,
+    updated: 0,
+    unchanged: 0,
+    pages: 0,
+    provenance: null,
+    startedAt
+  };
+  let cursor = null;
+
+  console.log(`🔄 Syncing reviews for app: ${appId} (${language}-${country})`);
+
+  try {
+    const { lastSyncedAt } = await reviewStore.getSyncState(appId, locale);
+    const publish = Boolean(lastSyncedAt);
+
+    do {
+      const { comments, nextCursor, provenance } = await fetchComments(appId, {
+        limit: Math.min(config.scraping.reviewBatchSize, maxReviews - summary.fetched),
+        sort: 'recent',
+        language,
+        country,
+        cursor,
+        // Never let sample data into the store
+        mode: 'degraded',
+        refresh: true,
+        priority
+      });
+
+      // Pages are written with the sync state once the sync ends
+      const result = await reviewStore.upsertReviews(appId, locale, comments, { seenAt: startedAt, save: false });
+
+      summary.pages++;
+      summary.fetched += comments.length;
+      summary.added += result.added.length;
+      summary.updated += result.updated.length;
+      summary.unchanged += result.unchanged;
+      summary.provenance = provenance;
+
+      if (publish && result.added.length > 0) {
+        events.emit('reviews.new', { appId, language, country, reviews: result.added });
+      }
+      if (publish && result.updated.length > 0) {
+        events.emit('reviews.updated', { appId, language, country, reviews: result.updated });
+      }
+
+      if (!fullSync && result.added.length === 0 && result.updated.length === 0) break;
+
+      cursor = nextCursor ? decodeCursor(nextCursor) : null;
+    } while (cursor && summary.fetched < maxReviews);
+
+    summary.finishedAt = new Date().toISOString();
+    await reviewStore.updateSyncState(appId, locale, {
+      lastSyncedAt: summary.finishedAt,
+      lastSyncStatus: 'success',
+      lastError: null,
+      lastSummary: { fetched: summary.fetched, added: summary.added, updated: summary.updated }
+    });
+    events.emit('reviews.synced', {
+      appId,
+      language,
+      country,
+      added: summary.added,
+      updated: summary.updated,
+      baseline: !publish
+    });
+
+    console.log(`✅ Synced ${appId}: ${summary.added} new, ${summary.updated} updated`);
+    return summary;
+
+  } catch (error) {
+    console.error(`❌ Error syncing reviews for app ${appId}:`, error.message);
+    await reviewStore.updateSyncState(appId, locale, {
+      lastSyncAttemptAt: new Date().toISOString(),
+      lastSyncStatus: 'failed',
+      lastError: error.message
+    });
+    throw error;
+  }
+};
+
+module.exports = {
+  syncApp
+};
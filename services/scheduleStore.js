@@ -0,0 +1,153 @@
+const JsonFile = require('../utils/jsonFile');
+
+/**
+ * Plan a run one interval after a given time
+ * @param {string} time - ISO time
+ * @param {number} intervalMinutes - Interval
+ * @returns {string} ISO time of the next run
+ */
+const nextRunAfter = (time, intervalMinutes) => new Date(Date.parse(time) + intervalMinutes * 60 * 1000).toISOString();
+
+/**
+ * Persisted Schedule Store
+ * Items run on an interval by an IntervalScheduler (watched apps, recorded
+ * charts, keyword trackers), kept in one JSON file. Each item carries its
+ * interval, next run time and last run status, so schedules survive a
+ * restart. Subclasses build the item ID and its settings in add().
+ */
+class ScheduleStore {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.file - Path of the store file
+   * @param {string} options.key - Property of the file holding the items
+   */
+  constructor({ file, key }) {
+    this.key = key;
+    this.file = new JsonFile(file, { [key]: [] });
+    this.loading = null;
+  }
+
+  /**
+   * Load the items from disk once
+   * @returns {Map} Items by ID
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.file.read()
+        .then(data => new Map(data[this.key].map(item => [item.id, item])))
+        .catch(error => {
+          this.loading = null;
+          throw error;
+        });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Persist the items
+   */
+  async save() {
+    const items = await this.load();
+    await this.file.write({ [this.key]: Array.from(items.values()) });
+  }
+
+  /**
+   * List all items
+   * @returns {Array} Items
+   */
+  async list() {
+    return Array.from((await this.load()).values());
+  }
+
+  /**
+   * Get a single item
+   * @param {string} id - Item ID
+   * @returns {Object|undefined} Item
+   */
+  async get(id) {
+    return (await this.load()).get(id);
+  }
+
+  /**
+   * Register an item, or change the settings of an existing one
+   * A new item runs on the next scheduler tick. A changed item's next run is
+   * planned again from its last run with the new interval.
+   * @param {string} id - Item ID
+   * @param {Object} fields - Fields identifying the item (app, chart, locale)
+   * @param {Object} settings - Settings that can change, including intervalMinutes
+   * @returns {Object} Object with the item and whether it was created
+   */
+  async put(id, fields, settings) {
+    const items = await this.load();
+    const existing = items.get(id);
+
+    if (existing) {
+      Object.assign(existing, settings);
+      if (existing.lastRunAt) {
+        existing.nextRunAt = nextRunAfter(existing.lastRunAt, existing.intervalMinutes);
+      }
+      await this.save();
+      return { item: existing, created: false };
+    }
+
+    const item = {
+      id,
+      ...fields,
+      ...settings,
+      createdAt: new Date().toISOString(),
+      nextRunAt: new Date().toISOString(),
+      lastRunAt: null,
+      lastRunStatus: null,
+      lastError: null,
+      lastSummary: null
+    };
+    items.set(id, item);
+    await this.save();
+
+    return { item, created: true };
+  }
+
+  /**
+   * Remove an item
+   * @param {string} id - Item ID
+   * @returns {boolean} True when the item existed
+   */
+  async remove(id) {
+    const items = await this.load();
+    const existed = items.delete(id);
+    if (existed) {
+      await this.save();
+    }
+    return existed;
+  }
+
+  /**
+   * Pick what of a run summary is kept with the item
+   * @param {Object} summary - Summary returned by the scheduled run
+   * @returns {Object} Summary to persist
+   */
+  summarize(summary) {
+    return summary;
+  }
+
+  /**
+   * Record the outcome of a scheduled run and plan the next one
+   * @param {string} id - Item ID
+   * @param {Object} run - Run outcome from the scheduler
+   */
+  async recordRun(id, run) {
+    const item = (await this.load()).get(id);
+    // The item may have been removed while it was running
+    if (!item) return;
+
+    item.lastRunAt = run.finishedAt;
+    item.lastRunStatus = run.status;
+    item.lastError = run.error;
+    item.lastSummary = run.summary ? this.summarize(run.summary) : item.lastSummary;
+    item.nextRunAt = nextRunAfter(run.finishedAt, item.intervalMinutes);
+
+    await this.save();
+  }
+}
+
+module.exports = ScheduleStore;
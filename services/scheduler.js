@@ -0,0 +1,150 @@
+/**
+ * In-process interval scheduler
+ *
+ * Runs entries of a persisted store when their `nextRunAt` has passed. Due
+ * entries run one at a time with a pause between them, so scheduled work
+ * never bursts against the Play Store. The store owns all state, which is
+ * what lets schedules survive a restart: overdue entries simply run as soon
+ * as the scheduler starts again.
+ *
+ * A store must implement:
+ * - list() -> entries with `id` and `nextRunAt` (ISO string)
+ * - recordRun(id, run) -> persist the outcome and the next run time
+ * ScheduleStore (scheduleStore.js) is the JSON-file implementation.
+ */
+
+// setTimeout cannot wait longer than 2^31 - 1 ms
+const MAX_TIMEOUT = 2147483647;
+
+class IntervalScheduler {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.name - Name used in log messages
+   * @param {Object} options.store - Entry store (see above)
+   * @param {Function} options.run - Async function running one entry
+   * @param {number} options.delayMs - Pause between two runs
+   */
+  constructor({ name, store, run, delayMs = 0 }) {
+    this.name = name;
+    this.store = store;
+    this.run = run;
+    this.delayMs = delayMs;
+    this.started = false;
+    this.running = false;
+    this.timer = null;
+    this.nextWakeAt = null;
+  }
+
+  /**
+   * Start scheduling
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    console.log(`⏰ ${this.name} scheduler started`);
+    this.reschedule();
+  }
+
+  /**
+   * Stop scheduling; a run in progress finishes its current entry
+   */
+  stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextWakeAt = null;
+  }
+
+  /**
+   * Arm the timer for the earliest due entry
+   * Call after entries were added, changed or removed.
+   */
+  async reschedule() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextWakeAt = null;
+
+    // runDue() reschedules when it finishes
+    if (!this.started || this.running) return;
+
+    try {
+      const entries = await this.store.list();
+      if (entries.length === 0) return;
+
+      const next = Math.min(...entries.map(entry => Date.parse(entry.nextRunAt) || 0));
+      const wait = Math.min(Math.max(0, next - Date.now()), MAX_TIMEOUT);
+
+      clearTimeout(this.timer);
+      this.nextWakeAt = new Date(Date.now() + wait).toISOString();
+      this.timer = setTimeout(() => this.runDue(), wait);
+      // Do not keep the process alive just for the schedule
+      this.timer.unref();
+    } catch (error) {
+      console.error(`❌ ${this.name} scheduler could not read its entries:`, error.message);
+    }
+  }
+
+  /**
+   * Run every entry that is due, oldest first
+   */
+  async runDue() {
+    if (this.running) return;
+    this.running = true;
+    this.timer = null;
+    this.nextWakeAt = null;
+
+    try {
+      const now = Date.now();
+      const due = (await this.store.list())
+        .filter(entry => (Date.parse(entry.nextRunAt) || 0) <= now)
+        .sort((a, b) => (Date.parse(a.nextRunAt) || 0) - (Date.parse(b.nextRunAt) || 0));
+
+      for (let i = 0; i < due.length && this.started; i++) {
+        if (i > 0 && this.delayMs > 0) {
+          await new Promise(resolve => setTimeout(resolve, this.delayMs));
+        }
+        await this.runEntry(due[i]);
+      }
+    } catch (error) {
+      console.error(`❌ ${this.name} scheduler run failed:`, error.message);
+    } finally {
+      this.running = false;
+      this.reschedule();
+    }
+  }
+
+  /**
+   * Run a single entry and record its outcome
+   * @param {Object} entry - Store entry
+   * @returns {Object} Recorded run
+   */
+  async runEntry(entry) {
+    const startedAt = new Date().toISOString();
+    let run;
+
+    try {
+      const summary = await this.run(entry);
+      run = { status: 'success', startedAt, finishedAt: new Date().toISOString(), summary, error: null };
+    } catch (error) {
+      console.error(`❌ ${this.name} run for ${entry.id} failed:`, error.message);
+      run = { status: 'failed', startedAt, finishedAt: new Date().toISOString(), summary: null, error: error.message };
+    }
+
+    await this.store.recordRun(entry.id, run);
+    return run;
+  }
+
+  /**
+   * Describe the scheduler state
+   * @returns {Object} Scheduler status
+   */
+  getStatus() {
+    return {
+      started: this.started,
+      running: this.running,
+      nextWakeAt: this.nextWakeAt
+    };
+  }
+}
+
+module.exports = IntervalScheduler;
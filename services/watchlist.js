@@ -0,0 +1,69 @@
+const config = require('../config/config');
+const IntervalScheduler = require('./scheduler');
+const ScheduleStore = require('./scheduleStore');
+const { syncApp } = require('./reviewSync');
+
+/**
+ * App Watchlist
+ * Apps registered with a locale and a polling interval. The scheduler syncs
+ * each entry into the review store when it is due.
+ */
+class Watchlist extends ScheduleStore {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.file - Path of the watchlist file
+   */
+  constructor({ file }) {
+    super({ file, key: 'entries' });
+  }
+
+  /**
+   * Build the ID of an entry
+   * @param {string} appId - App ID
+   * @param {string} language - Language
+   * @param {string} country - Country
+   * @returns {string} Entry ID
+   */
+  static entryId(appId, language, country) {
+    return `${appId}:${language}-${country}`;
+  }
+
+  /**
+   * Register an app, or update the interval of an existing entry
+   * @param {Object} options - Entry options
+   * @param {string} options.appId - App ID
+   * @param {string} options.language - Language
+   * @param {string} options.country - Country
+   * @param {number} options.intervalMinutes - Polling interval
+   * @returns {Object} Object with the entry and whether it was created
+   */
+  async add({ appId, language = 'en', country = 'US', intervalMinutes = config.watchlist.defaultIntervalMinutes }) {
+    const { item, created } = await this.put(Watchlist.entryId(appId, language, country), { appId, language, country }, { intervalMinutes });
+    return { entry: item, created };
+  }
+
+  /**
+   * Keep the review counts of a sync summary
+   * @param {Object} summary - Sync summary
+   * @returns {Object} Counts fetched, added and updated
+   */
+  summarize(summary) {
+    return { fetched: summary.fetched, added: summary.added, updated: summary.updated };
+  }
+}
+
+// Create singleton instances
+const watchlist = new Watchlist({ file: config.watchlist.file });
+
+const watchlistScheduler = new IntervalScheduler({
+  name: 'Watchlist',
+  store: watchlist,
+  run: (entry) => syncApp(entry.appId, { language: entry.language, country: entry.country, priority: 'background' }),
+  delayMs: config.playStore.requestDelay
+});
+
+module.exports = {
+  Watchlist,
+  watchlist,
+  watchlistScheduler
+};
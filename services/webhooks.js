@@ -0,0 +1,397 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const config = require('../config/config');
+const JsonFile = require('../utils/jsonFile');
+const { WEBHOOK_EVENTS, isAllowedTarget, guardedLookup } = require('../utils/webhooks');
+const events = require('./events');
+
+// Connections that refuse host names resolving to private addresses
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+/**
+ * Webhook Subscriptions
+ * Delivers review events to registered URLs. Every delivery is signed with
+ * HMAC-SHA256, retried with exponential backoff and moved to the dead-letter
+ * list once all attempts failed. Subscriptions, pending deliveries, the
+ * dead-letter list and a bounded delivery log are persisted, so retries
+ * resume after a restart.
+ */
+class WebhookManager {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.file - Path of the webhook state file
+   */
+  constructor({ file }) {
+    this.file = new JsonFile(file, { subscriptions: [], deliveries: [], deadLetters: [] });
+    this.state = null;
+    this.timers = new Map();
+    this.listeners = {};
+  }
+
+  /**
+   * Load the state, resume pending deliveries and listen for review events
+   */
+  async start() {
+    await this.load();
+
+    for (const event of WEBHOOK_EVENTS) {
+      if (this.listeners[event]) continue;
+      this.listeners[event] = (data) => {
+        this.dispatch(event, data).catch(error => {
+          console.error(`❌ Error dispatching ${event} webhooks:`, error.message);
+        });
+      };
+      events.on(event, this.listeners[event]);
+    }
+
+    this.state.deliveries
+      .filter(delivery => delivery.status === 'pending' || delivery.status === 'retrying')
+      .forEach(delivery => this.schedule(delivery));
+  }
+
+  /**
+   * Stop listening and cancel retry timers
+   */
+  stop() {
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      events.off(event, listener);
+    }
+    this.listeners = {};
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  async load() {
+    if (!this.state) {
+      this.state = await this.file.read();
+    }
+    return this.state;
+  }
+
+  async save() {
+    await this.file.write(this.state);
+  }
+
+  /**
+   * Register a subscription
+   * @param {Object} options - Subscription options
+   * @param {string} options.url - Target URL
+   * @param {string} [options.secret] - Signing secret, generated when omitted
+   * @param {Array} [options.events] - Events to receive
+   * @param {Object} [options.filters] - { appId, minRating, maxRating, keyword }
+   * @returns {Object} Subscription, including its secret
+   */
+  async createSubscription({ url, secret, events: subscribedEvents = WEBHOOK_EVENTS, filters = {} }) {
+    const state = await this.load();
+    const subscription = {
+      id: crypto.randomUUID(),
+      url,
+      secret: secret || crypto.randomBytes(24).toString('hex'),
+      events: subscribedEvents,
+      filters: {
+        appId: filters.appId || null,
+        minRating: filters.minRating !== undefined ? filters.minRating : null,
+        maxRating: filters.maxRating !== undefined ? filters.maxRating : null,
+        keyword: filters.keyword || null
+      },
+      createdAt: new Date().toISOString()
+    };
+
+    state.subscriptions.push(subscription);
+    await this.save();
+    return subscription;
+  }
+
+  /**
+   * List subscriptions
+   * @returns {Array} Subscriptions
+   */
+  async listSubscriptions() {
+    return (await this.load()).subscriptions;
+  }
+
+  /**
+   * Get a subscription
+   * @param {string} id - Subscription ID
+   * @returns {Object|undefined} Subscription
+   */
+  async getSubscription(id) {
+    return (await this.load()).subscriptions.find(subscription => subscription.id === id);
+  }
+
+  /**
+   * Remove a subscription and cancel its pending deliveries
+   * @param {string} id - Subscription ID
+   * @returns {boolean} True when the subscription existed
+   */
+  async removeSubscription(id) {
+    const state = await this.load();
+    const index = state.subscriptions.findIndex(subscription => subscription.id === id);
+    if (index === -1) return false;
+
+    state.subscriptions.splice(index, 1);
+    state.deliveries
+      .filter(delivery => delivery.subscriptionId === id && ['pending', 'retrying'].includes(delivery.status))
+      .forEach((delivery) => {
+        clearTimeout(this.timers.get(delivery.id));
+        this.timers.delete(delivery.id);
+        delivery.status = 'cancelled';
+        delivery.nextAttemptAt = null;
+      });
+
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Get the delivery log of a subscription, newest first
+   * @param {string} id - Subscription ID
+   * @returns {Array} Deliveries
+   */
+  async getDeliveries(id) {
+    return (await this.load()).deliveries
+      .filter(delivery => delivery.subscriptionId === id)
+      .reverse();
+  }
+
+  /**
+   * Get the dead-letter list, newest first
+   * @returns {Array} Deliveries that exhausted their attempts
+   */
+  async getDeadLetters() {
+    return (await this.load()).deadLetters.slice().reverse();
+  }
+
+  /**
+   * Queue a dead-lettered delivery again with a fresh set of attempts
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Object|null} Requeued delivery, or null if not found
+   */
+  async retryDeadLetter(deliveryId) {
+    const state = await this.load();
+    const index = state.deadLetters.findIndex(delivery => delivery.id === deliveryId);
+    if (index === -1) return null;
+
+    const [delivery] = state.deadLetters.splice(index, 1);
+    state.deliveries = state.deliveries.filter(logged => logged.id !== deliveryId);
+    delivery.status = 'pending';
+    delivery.attempts = [];
+    delivery.nextAttemptAt = new Date().toISOString();
+    this.appendDelivery(delivery);
+
+    await this.save();
+    this.schedule(delivery);
+    return delivery;
+  }
+
+  /**
+   * Create deliveries for every subscription interested in an event
+   * @param {string} event - Event name
+   * @param {Object} data - Event data ({ appId, language, country, reviews } or, for reviews.anomaly, { ..., anomalies })
+   */
+  async dispatch(event, data) {
+    const state = await this.load();
+    const created = [];
+
+    for (const subscription of state.subscriptions) {
+      if (!subscription.events.includes(event)) continue;
+
+      // Anomalies are delivered whole; the review filters only narrow review events
+      let content;
+      if (data.anomalies) {
+        if (subscription.filters.appId && subscription.filters.appId !== data.appId) continue;
+        content = { anomalies: data.anomalies };
+      } else {
+        const reviews = this.filterReviews(subscription.filters, data);
+        if (reviews.length === 0) continue;
+        content = { reviews };
+      }
+
+      const id = crypto.randomUUID();
+      const delivery = {
+        id,
+        subscriptionId: subscription.id,
+        event,
+        status: 'pending',
+        createdAt: new Date().toISOString(),
+        nextAttemptAt: new Date().toISOString(),
+        deliveredAt: null,
+        attempts: [],
+        payload: {
+          id,
+          event,
+          createdAt: new Date().toISOString(),
+          appId: data.appId,
+          language: data.language,
+          country: data.country,
+          ...content
+        }
+      };
+
+      this.appendDelivery(delivery);
+      created.push(delivery);
+    }
+
+    if (created.length === 0) return;
+
+    await this.save();
+    created.forEach(delivery => this.schedule(delivery));
+  }
+
+  /**
+   * Apply a subscription's filters to an event's reviews
+   * @param {Object} filters - Subscription filters
+   * @param {Object} data - Event data
+   * @returns {Array} Matching reviews
+   */
+  filterReviews(filters, data) {
+    if (filters.appId && filters.appId !== data.appId) return [];
+
+    const keyword = filters.keyword ? filters.keyword.toLowerCase() : null;
+
+    return (data.reviews || []).filter((review) => {
+      if (filters.minRating !== null && review.rating < filters.minRating) return false;
+      if (filters.maxRating !== null && review.rating > filters.maxRating) return false;
+      if (keyword && !(review.text || '').toLowerCase().includes(keyword)) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Add a delivery to the log, dropping the oldest finished ones beyond the limit
+   * @param {Object} delivery - Delivery
+   */
+  appendDelivery(delivery) {
+    const deliveries = this.state.deliveries;
+    deliveries.push(delivery);
+
+    const overflow = deliveries.length - config.webhooks.deliveryLogSize;
+    for (let i = 0, removed = 0; i < deliveries.length && removed < overflow;) {
+      if (['delivered', 'dead', 'cancelled'].includes(deliveries[i].status)) {
+        deliveries.splice(i, 1);
+        removed++;
+      } else {
+        i++;
+      }
+    }
+  }
+
+  /**
+   * Arm the timer for a delivery's next attempt
+   * @param {Object} delivery - Delivery
+   */
+  schedule(delivery) {
+    clearTimeout(this.timers.get(delivery.id));
+
+    const wait = Math.max(0, Date.parse(delivery.nextAttemptAt) - Date.now());
+    const timer = setTimeout(() => {
+      this.timers.delete(delivery.id);
+      this.attempt(delivery).catch(error => {
+        console.error(`❌ Error delivering webhook ${delivery.id}:`, error.message);
+      });
+    }, wait);
+    timer.unref();
+
+    this.timers.set(delivery.id, timer);
+  }
+
+  /**
+   * Sign a payload
+   * @param {string} secret - Subscription secret
+   * @param {string} timestamp - Unix timestamp in seconds
+   * @param {string} body - Raw JSON body
+   * @returns {string} Signature header value
+   */
+  sign(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  /**
+   * Compute the wait before the next attempt
+   * @param {number} attemptCount - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  backoff(attemptCount) {
+    const { retryBaseDelay, retryMaxDelay } = config.webhooks;
+    return Math.min(retryBaseDelay * Math.pow(2, attemptCount - 1), retryMaxDelay);
+  }
+
+  /**
+   * Make one delivery attempt and plan what happens next
+   * @param {Object} delivery - Delivery
+   */
+  async attempt(delivery) {
+    const subscription = await this.getSubscription(delivery.subscriptionId);
+    // Subscriptions saved before private hosts were refused are not delivered to
+    if (!subscription || !isAllowedTarget(subscription.url)) {
+      if (subscription) console.warn(`⚠️ Webhook ${subscription.id} targets a private host, cancelling delivery ${delivery.id}`);
+      delivery.status = 'cancelled';
+      delivery.nextAttemptAt = null;
+      await this.save();
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const startedAt = Date.now();
+    const attempt = { at: new Date(startedAt).toISOString(), statusCode: null, error: null, durationMs: 0 };
+
+    try {
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'google-play-comments-scraper-webhooks',
+          'X-Webhook-Id': subscription.id,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': this.sign(subscription.secret, timestamp, body)
+        },
+        timeout: config.webhooks.timeout,
+        maxRedirects: 0,
+        httpAgent,
+        httpsAgent,
+        validateStatus: () => true
+      });
+      attempt.statusCode = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        attempt.error = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error.message;
+    }
+
+    attempt.durationMs = Date.now() - startedAt;
+    delivery.attempts.push(attempt);
+
+    if (!attempt.error) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date().toISOString();
+      delivery.nextAttemptAt = null;
+    } else if (delivery.attempts.length >= config.webhooks.maxAttempts) {
+      console.warn(`⚠️ Webhook delivery ${delivery.id} failed ${delivery.attempts.length} times, moving to dead letters`);
+      delivery.status = 'dead';
+      delivery.nextAttemptAt = null;
+      this.state.deadLetters.push(delivery);
+      this.state.deadLetters.splice(0, Math.max(0, this.state.deadLetters.length - config.webhooks.deliveryLogSize));
+    } else {
+      delivery.status = 'retrying';
+      delivery.nextAttemptAt = new Date(Date.now() + this.backoff(delivery.attempts.length)).toISOString();
+      this.schedule(delivery);
+    }
+
+    await this.save();
+  }
+}
+
+// Create singleton instance
+const webhooks = new WebhookManager({ file: config.webhooks.file });
+
+module.exports = {
+  WebhookManager,
+  webhooks
+};
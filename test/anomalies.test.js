@@ -0,0 +1,156 @@
+jest.mock('../services/playStoreAPI', () => ({ fetchComments: jest.fn() }));
+jest.mock('../services/reviewStore', () => {
+  const state = {};
+  return {
+    reviewStore: {
+      collectionKey: (appId, { language, country }) => `${appId}__${language}-${country}`,
+      getSyncState: jest.fn(async (appId) => state[appId] || {}),
+      updateSyncState: jest.fn(async (appId, locale, updates) => {
+        state[appId] = { ...state[appId], ...updates };
+      }),
+      upsertReviews: jest.fn(async (appId, locale, reviews) => ({ added: reviews, updated: [], unchanged: 0 }))
+    },
+    fetchStoredComments: jest.fn()
+  };
+});
+
+const events = require('../services/events');
+const { fetchComments } = require('../services/playStoreAPI');
+const { reviewStore, fetchStoredComments } = require('../services/reviewStore');
+const { syncApp } = require('../services/reviewSync');
+const { detectAnomalies, AnomalyMonitor } = require('../services/anomalies');
+const { encodeCursor } = require('../utils/cursor');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ago = (now, days) => new Date(now.getTime() - days * DAY_MS).toISOString();
+
+// A month of happy reviews, one a day, before the recent week
+const baseline = now => Array.from({ length: 30 }, (_, i) => ({
+  id: `gp:b${i}`,
+  author: 'Jane Doe',
+  rating: 4 + (i % 2),
+  text: `Nice app number ${i}`,
+  submittedAt: ago(now, 8 + i)
+}));
+
+// The same complaint from throwaway accounts
+const bomb = (now, count) => Array.from({ length: count }, (_, i) => ({
+  id: `gp:r${i}`,
+  author: `User${10000 + i}`,
+  rating: 1,
+  text: i % 2 ? 'This update broke everything and deleted my data!' : 'this update broke everything and deleted my data',
+  submittedAt: ago(now, 0.5 + i * 0.25)
+}));
+
+const byType = anomalies => Object.fromEntries(anomalies.map(anomaly => [anomaly.type, anomaly.severity]));
+
+describe('detectAnomalies', () => {
+  const now = new Date('2024-03-01T00:00:00.000Z');
+
+  test('flags a review bomb with a severity and evidence for each anomaly', () => {
+    const { anomalies, recent, baseline: before } = detectAnomalies([...bomb(now, 8), ...baseline(now)], { days: 7, baselineDays: 30, now });
+
+    expect(byType(anomalies)).toEqual({
+      rating_drop: 'high',
+      new_author_surge: 'high',
+      one_star_spike: 'medium',
+      duplicate_text: 'medium'
+    });
+    expect(anomalies[0].severity).toBe('high');
+    expect(recent).toEqual({ from: '2024-02-23T00:00:00.000Z', to: '2024-03-01T00:00:00.000Z', reviews: 8 });
+    expect(before.reviews).toBe(30);
+
+    const duplicates = anomalies.find(anomaly => anomaly.type === 'duplicate_text');
+    expect(duplicates.key).toMatch(/^duplicate_text:[0-9a-f]{12}$/);
+    expect(duplicates.metrics).toMatchObject({ reviews: 8, authors: 8, averageRating: 1 });
+    expect(duplicates.evidence[0]).toMatchObject({ id: 'gp:r0', author: 'User10000', rating: 1 });
+  });
+
+  test('groups near-duplicates among thousands of unrelated reviews', () => {
+    const unrelated = Array.from({ length: 2000 }, (_, i) => ({
+      id: `gp:u${i}`,
+      author: 'Jane Doe',
+      rating: 4,
+      text: `Review about feature ${i} with words w${i}a w${i}b`,
+      submittedAt: ago(now, (i % 60) / 10)
+    }));
+    // Ten words each, one of them different: a Jaccard similarity of 9/11
+    const variants = Array.from({ length: 6 }, (_, i) => ({
+      id: `gp:v${i}`,
+      author: `User${20000 + i}`,
+      rating: 1,
+      text: `This update broke everything and deleted all my data ${['today', 'again', 'twice', 'forever', 'somehow', 'sadly'][i]}`,
+      submittedAt: ago(now, 1 + i / 10)
+    }));
+
+    const { anomalies } = detectAnomalies([...unrelated, ...variants], { days: 7, baselineDays: 30, now });
+    const duplicates = anomalies.filter(anomaly => anomaly.type === 'duplicate_text');
+
+    expect(duplicates).toHaveLength(1);
+    expect(duplicates[0].metrics).toMatchObject({ reviews: 6, authors: 6, averageRating: 1 });
+  });
+
+  test('finds nothing in steady reviews', () => {
+    const steady = [
+      { id: 'gp:1', author: 'Sam', rating: 5, text: 'Works well for me', submittedAt: ago(now, 1) },
+      { id: 'gp:2', author: 'Alex', rating: 4, text: 'Good but the widget could be bigger', submittedAt: ago(now, 2) },
+      { id: 'gp:3', author: 'Kim', rating: 5, text: 'Great', submittedAt: ago(now, 3) },
+      { id: 'gp:4', author: 'Lee', rating: 4, text: 'Syncing is fast now', submittedAt: ago(now, 4) },
+      { id: 'gp:5', author: 'Ana', rating: 1, text: 'Login fails since yesterday', submittedAt: ago(now, 5) }
+    ];
+
+    expect(detectAnomalies([...steady, ...baseline(now)], { days: 7, baselineDays: 30, now }).anomalies).toEqual([]);
+  });
+});
+
+describe('AnomalyMonitor', () => {
+  test('publishes anomalies once and again when they grow more severe', async () => {
+    const monitor = new AnomalyMonitor();
+    const listener = jest.fn();
+    const locale = { language: 'en', country: 'US' };
+    let reviews = [...bomb(new Date(), 8), ...baseline(new Date())];
+    fetchStoredComments.mockImplementation(async () => ({ comments: reviews, nextCursor: null, provenance: { status: 'store' } }));
+    events.on('reviews.anomaly', listener);
+
+    try {
+      expect(await monitor.check('com.example', locale)).toHaveLength(4);
+      expect(await monitor.check('com.example', locale)).toEqual([]);
+
+      reviews = [...bomb(new Date(), 12), ...baseline(new Date())];
+      const escalated = await monitor.check('com.example', locale);
+
+      expect(byType(escalated)).toEqual({ one_star_spike: 'high', duplicate_text: 'high' });
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(listener.mock.calls[0][0]).toMatchObject({ appId: 'com.example', language: 'en', country: 'US' });
+    } finally {
+      events.off('reviews.anomaly', listener);
+    }
+  });
+
+  test('checks once after a multi-page sync', async () => {
+    const monitor = new AnomalyMonitor();
+    const check = jest.spyOn(monitor, 'check').mockResolvedValue([]);
+    const locale = { language: 'en', country: 'US' };
+    const page = (n, last) => ({
+      comments: [{ id: `gp:page${n}`, rating: 1, text: `Page ${n}` }],
+      nextCursor: last ? null : encodeCursor({ token: `token${n}`, sort: 'recent', ...locale }),
+      provenance: { status: 'live' }
+    });
+    fetchComments
+      .mockResolvedValueOnce(page(1))
+      .mockResolvedValueOnce(page(2))
+      .mockResolvedValueOnce(page(3, true));
+    await reviewStore.updateSyncState('com.synced', locale, { lastSyncedAt: '2024-01-01T00:00:00.000Z' });
+    monitor.start();
+
+    try {
+      const summary = await syncApp('com.synced', locale);
+
+      expect(summary.pages).toBe(3);
+      expect(check).toHaveBeenCalledTimes(1);
+      expect(check).toHaveBeenCalledWith('com.synced', locale);
+    } finally {
+      monitor.stop();
+    }
+  });
+});
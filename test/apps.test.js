@@ -0,0 +1,76 @@
+jest.mock('../services/playStoreAPI', () => ({
+  getAppInfo: jest.fn(),
+  searchApps: jest.fn(),
+  fetchSimilarApps: jest.fn(),
+  fetchDeveloperApps: jest.fn()
+}));
+
+const express = require('express');
+const { getAppInfo, fetchSimilarApps, fetchDeveloperApps } = require('../services/playStoreAPI');
+const { UpstreamError } = require('../utils/errors');
+const appsRouter = require('../routes/apps');
+const developersRouter = require('../routes/developers');
+
+const notFound = () => new UpstreamError('HTTP 404: Failed to fetch page', {
+  code: 'UPSTREAM_HTTP_ERROR',
+  upstreamStatus: 404,
+  extraction: 'page-data'
+});
+
+describe('app routes', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    const app = express();
+    app.use('/api/apps', appsRouter);
+    app.use('/api/developers', developersRouter);
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    getAppInfo.mockReset();
+  });
+
+  test('answers 404 when the Play Store does not list the app', async () => {
+    getAppInfo.mockRejectedValue(notFound());
+
+    const response = await fetch(`${baseUrl}/apps/com.example.missing`);
+
+    expect(response.status).toBe(404);
+    expect(await response.json()).toMatchObject({ success: false, error: 'App not found' });
+  });
+
+  test('still reports other upstream failures as 502', async () => {
+    getAppInfo.mockRejectedValue(new UpstreamError('HTTP 503: Failed to fetch app info', {
+      code: 'UPSTREAM_HTTP_ERROR',
+      upstreamStatus: 503,
+      extraction: 'page-data'
+    }));
+
+    const response = await fetch(`${baseUrl}/apps/com.example`);
+
+    expect(response.status).toBe(502);
+    expect(await response.json()).toMatchObject({ success: false, code: 'UPSTREAM_HTTP_ERROR', upstreamStatus: 503 });
+  });
+
+  test('answers 404 for the similar apps of an unknown app and the apps of an unknown developer', async () => {
+    fetchSimilarApps.mockRejectedValue(notFound());
+    fetchDeveloperApps.mockRejectedValue(notFound());
+
+    const similar = await fetch(`${baseUrl}/apps/com.example.missing/similar`);
+    const developer = await fetch(`${baseUrl}/developers/5700313618786177705/apps`);
+
+    expect(similar.status).toBe(404);
+    expect(await similar.json()).toMatchObject({ success: false, error: 'App not found' });
+    expect(developer.status).toBe(404);
+    expect(await developer.json()).toMatchObject({ success: false, error: 'Developer not found' });
+  });
+});
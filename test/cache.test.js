@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ResponseCache, MemoryStore, FileStore } = require('../services/cache');
+
+describe('MemoryStore', () => {
+  test('evicts the least recently used entry', async () => {
+    const store = new MemoryStore({ maxSize: 2 });
+
+    await store.set('a', { value: 1 });
+    await store.set('b', { value: 2 });
+    await store.get('a');
+    await store.set('c', { value: 3 });
+
+    expect(await store.get('a')).toEqual({ value: 1 });
+    expect(await store.get('b')).toBeUndefined();
+    expect(store.size).toBe(2);
+  });
+});
+
+describe('FileStore', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('persists entries across instances', async () => {
+    const entry = { value: { comments: ['x'] }, storedAt: 1, expiresAt: 2 };
+    await new FileStore({ directory }).set('comments:appId=a', entry);
+
+    expect(await new FileStore({ directory }).get('comments:appId=a')).toEqual(entry);
+    expect(await new FileStore({ directory }).get('comments:appId=b')).toBeUndefined();
+  });
+
+  test('keeps at most maxSize files', async () => {
+    const store = new FileStore({ directory, maxSize: 2 });
+
+    for (const key of ['a', 'b', 'c']) {
+      await store.set(key, { value: key, storedAt: 1, expiresAt: 2 });
+    }
+
+    expect(fs.readdirSync(directory)).toHaveLength(2);
+  });
+});
+
+describe('ResponseCache', () => {
+  const createCache = (options = {}) => new ResponseCache({
+    store: new MemoryStore({ maxSize: 10 }),
+    ttlSeconds: 60,
+    ...options
+  });
+
+  test('builds keys independent of parameter order', () => {
+    const cache = createCache();
+
+    expect(cache.buildKey('comments', { appId: 'a', sort: 'recent', cursor: null }))
+      .toBe(cache.buildKey('comments', { sort: 'recent', appId: 'a' }));
+  });
+
+  test('serves stored values until they expire', async () => {
+    const cache = createCache({ ttlSeconds: 1 });
+    const loader = jest.fn().mockResolvedValue('value');
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+
+    const first = await cache.wrap('k', loader);
+    const second = await cache.wrap('k', loader);
+    expect(first.cache.hit).toBe(false);
+    expect(second.cache.hit).toBe(true);
+    expect(second.cache.etag).toBe(first.cache.etag);
+    expect(loader).toHaveBeenCalledTimes(1);
+
+    now.mockReturnValue(2500);
+    await cache.wrap('k', loader);
+    expect(loader).toHaveBeenCalledTimes(2);
+
+    now.mockRestore();
+  });
+
+  test('coalesces concurrent identical requests', async () => {
+    const cache = createCache({ enabled: false });
+    let resolve;
+    const loader = jest.fn(() => new Promise(done => { resolve = done; }));
+
+    const pending = [cache.wrap('k', loader), cache.wrap('k', loader)];
+    await Promise.resolve();
+    resolve('value');
+
+    const results = await Promise.all(pending);
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(results.map(result => result.value)).toEqual(['value', 'value']);
+    expect(results[0].cache).toBeNull();
+  });
+
+  test('reloads on refresh and skips values that are not cacheable', async () => {
+    const cache = createCache();
+    const loader = jest.fn().mockResolvedValue({ status: 'partial' });
+    const cacheable = value => value.status === 'live';
+
+    expect((await cache.wrap('k', loader, { cacheable })).cache).toBeNull();
+    await cache.wrap('k', loader, { cacheable });
+    expect(loader).toHaveBeenCalledTimes(2);
+
+    loader.mockResolvedValue({ status: 'live' });
+    await cache.wrap('k', loader, { cacheable });
+    await cache.wrap('k', loader, { cacheable, refresh: true });
+    expect(loader).toHaveBeenCalledTimes(4);
+  });
+});
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ChartRecordings, ChartHistory } = require('../services/charts');
+
+const chart = { collection: 'topfree', category: 'APPLICATION', language: 'en', country: 'US' };
+
+const apps = (...appIds) => appIds.map(appId => ({ appId }));
+
+describe('ChartRecordings', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chart-recordings-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('registers a chart once and plans the next run after each run', async () => {
+    const recordings = new ChartRecordings({ file: path.join(directory, 'recordings.json') });
+
+    const { recording, created } = await recordings.add({ ...chart, limit: 50, intervalMinutes: 60 });
+    expect(created).toBe(true);
+    expect(recording.id).toBe('topfree:APPLICATION:en-US');
+
+    expect((await recordings.add({ ...chart, limit: 100, intervalMinutes: 60 })).created).toBe(false);
+    await recordings.recordRun(recording.id, { finishedAt: '2024-01-01T00:00:00.000Z', status: 'succeeded', error: null });
+
+    const reloaded = new ChartRecordings({ file: path.join(directory, 'recordings.json') });
+    expect(await reloaded.list()).toEqual([expect.objectContaining({
+      limit: 100,
+      lastRunStatus: 'succeeded',
+      nextRunAt: '2024-01-01T01:00:00.000Z'
+    })]);
+  });
+});
+
+describe('ChartHistory', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chart-history-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('builds rank series per chart, with null ranks when the app dropped out', async () => {
+    const history = new ChartHistory({ directory, maxSnapshots: 10 });
+
+    await history.addSnapshot(chart, apps('a', 'b', 'c'), '2024-01-01T00:00:00.000Z');
+    await history.addSnapshot(chart, apps('b', 'a'), '2024-01-02T00:00:00.000Z');
+    await history.addSnapshot(chart, apps('a', 'c'), '2024-01-03T00:00:00.000Z');
+    await history.addSnapshot({ ...chart, country: 'DE' }, apps('x', 'y', 'b'), '2024-01-01T00:00:00.000Z');
+
+    const series = await history.getRankHistory('b');
+
+    expect(series.map(entry => entry.country)).toEqual(['US', 'DE']);
+    expect(series[0]).toMatchObject({ collection: 'topfree', latestRank: null, bestRank: 1, worstRank: 2 });
+    expect(series[0].points.map(point => point.rank)).toEqual([2, 1, null]);
+
+    expect(await history.getRankHistory('b', { country: 'DE' })).toHaveLength(1);
+    expect((await history.getRankHistory('b', { since: '2024-01-02' }))[0].points).toHaveLength(2);
+    expect(await history.getRankHistory('z')).toEqual([]);
+  });
+
+  test('keeps only the newest snapshots', async () => {
+    const history = new ChartHistory({ directory, maxSnapshots: 2 });
+
+    await history.addSnapshot(chart, apps('a'), '2024-01-01T00:00:00.000Z');
+    await history.addSnapshot(chart, apps('b'), '2024-01-02T00:00:00.000Z');
+    await history.addSnapshot(chart, apps('a'), '2024-01-03T00:00:00.000Z');
+
+    const [series] = await history.getRankHistory('a');
+    expect(series.points.map(point => point.recordedAt)).toEqual(['2024-01-02T00:00:00.000Z', '2024-01-03T00:00:00.000Z']);
+  });
+});
@@ -0,0 +1,67 @@
+jest.mock('../services/playStoreAPI', () => ({ fetchComments: jest.fn() }));
+
+const express = require('express');
+const { fetchComments } = require('../services/playStoreAPI');
+const commentsRouter = require('../routes/comments');
+
+describe('GET /api/comments/:appId/stats', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    const app = express();
+    app.use('/api/comments', commentsRouter);
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/comments`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  test('puts reviews in the same local month in dateDistribution and timeSeries and skips unrated ones', async () => {
+    fetchComments.mockResolvedValue({
+      comments: [
+        { id: 'gp:1', rating: 5, date: '2024-02-01', submittedAt: '2024-02-01T02:00:00.000Z' },
+        { id: 'gp:2', rating: 3, date: '2024-02-10', submittedAt: '2024-02-10T12:00:00.000Z' },
+        { id: 'gp:3', rating: 0, date: '2024-02-11', submittedAt: '2024-02-11T12:00:00.000Z' }
+      ],
+      nextCursor: null,
+      provenance: { status: 'live' }
+    });
+
+    const response = await fetch(`${baseUrl}/com.example/stats?tz=America/New_York`);
+    const { stats } = (await response.json()).data;
+
+    expect(stats.dateDistribution).toEqual({ '2024-01': 1, '2024-02': 1 });
+    expect(stats.timeSeries.buckets.map(({ bucket, count }) => [bucket, count])).toEqual([['2024-01', 1], ['2024-02', 1]]);
+    expect(stats).toMatchObject({ totalComments: 3, averageRating: 4, totalRating: 8, ratingDistribution: { 0: 1, 3: 1, 5: 1 } });
+  });
+});
+
+describe('GET /api/comments/:appId/export', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    const app = express();
+    app.use('/api/comments', commentsRouter);
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/comments`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  test('rejects a repeated columns parameter', async () => {
+    const response = await fetch(`${baseUrl}/com.example/export?columns=id&columns=text`);
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toMatchObject({ success: false, error: 'Invalid columns parameter' });
+  });
+});
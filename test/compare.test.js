@@ -0,0 +1,45 @@
+jest.mock('../services/comparison', () => ({ compareApps: jest.fn() }));
+
+const express = require('express');
+const { compareApps } = require('../services/comparison');
+const { UpstreamError } = require('../utils/errors');
+const compareRouter = require('../routes/compare');
+
+describe('GET /api/compare', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    const app = express();
+    app.use('/api/compare', compareRouter);
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/compare`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  test('reports upstream failures as 502 with their code', async () => {
+    compareApps.mockRejectedValue(new UpstreamError('HTTP 429: Failed to fetch page', {
+      code: 'UPSTREAM_HTTP_ERROR',
+      upstreamStatus: 429
+    }));
+
+    const response = await fetch(`${baseUrl}?appIds=com.a,com.b`);
+
+    expect(response.status).toBe(502);
+    expect(await response.json()).toMatchObject({ success: false, code: 'UPSTREAM_HTTP_ERROR', upstreamStatus: 429 });
+  });
+
+  test('reports unexpected errors as 500', async () => {
+    compareApps.mockRejectedValue(new Error('Disk full'));
+
+    const response = await fetch(`${baseUrl}?appIds=com.a,com.b`);
+
+    expect(response.status).toBe(500);
+    expect(await response.json()).toMatchObject({ success: false, error: 'Failed to compare apps', message: 'Disk full' });
+  });
+});
@@ -0,0 +1,87 @@
+jest.mock('../services/playStoreAPI', () => ({ fetchComments: jest.fn() }));
+
+const config = require('../config/config');
+const { fetchComments } = require('../services/playStoreAPI');
+const { benchmarkApp, compareApps } = require('../services/comparison');
+
+const since = Date.parse('2024-01-01T00:00:00.000Z');
+const until = Date.parse('2024-01-15T00:00:00.000Z');
+const day = n => `2024-01-${String(n).padStart(2, '0')}T12:00:00.000Z`;
+
+// Newest first, as the recent sort lists them
+const reviews = [
+  { id: 'gp:1', rating: 5, text: 'Love the new design', submittedAt: '2024-01-20T12:00:00.000Z' },
+  { id: 'gp:2', rating: 1, text: 'Keeps crashing on start', submittedAt: day(14), replyText: 'Fixed in 2.1' },
+  { id: 'gp:3', rating: 2, text: 'Crashing all the time', submittedAt: day(12) },
+  { id: 'gp:4', rating: 5, text: 'Great app', submittedAt: day(5), helpful: 4 },
+  { id: 'gp:5', rating: 4, text: 'Works fine', submittedAt: day(2) },
+  { id: 'gp:6', rating: 3, text: 'Older than the window', submittedAt: '2023-12-20T12:00:00.000Z' }
+];
+
+const options = { since, until, maxReviews: 10, interval: 'week', language: 'en', country: 'US' };
+
+describe('app comparison', () => {
+  beforeEach(() => {
+    fetchComments.mockReset();
+    fetchComments.mockResolvedValue({ comments: reviews, nextCursor: null, provenance: { status: 'live' } });
+  });
+
+  test('benchmarks the reviews of the window', async () => {
+    const benchmark = await benchmarkApp('com.example', options);
+
+    expect(benchmark).toMatchObject({
+      appId: 'com.example',
+      totalReviews: 4,
+      reviewsPerDay: 0.29,
+      truncated: false,
+      averageRating: 3,
+      ratingDistribution: { 1: 1, 2: 1, 3: 0, 4: 1, 5: 1 },
+      replied: 1,
+      replyRate: 0.25,
+      provenance: { status: 'live' }
+    });
+    // The later half of the window only has the crash reports
+    expect(benchmark.ratingTrend.change).toBe(-3);
+    expect(benchmark.ratingTrend.buckets.map(bucket => bucket.bucket)).toEqual(['2024-01-01', '2024-01-08']);
+    expect(benchmark.sentiment).toMatchObject({ positive: 0.5, negative: 0.5 });
+    expect(benchmark.complaintTopics).toEqual([{ topic: 'crashing', phrases: ['crashing'], count: 2, share: 0.5 }]);
+  });
+
+  test('flags a window with more reviews than the sample cap', async () => {
+    const benchmark = await benchmarkApp('com.example', { ...options, maxReviews: 2 });
+
+    expect(benchmark.totalReviews).toBe(2);
+    expect(benchmark.truncated).toBe(true);
+  });
+
+  test('keeps the order of appIds and reports failed apps', async () => {
+    fetchComments.mockImplementation(async (appId) => {
+      if (appId === 'com.missing') throw Object.assign(new Error('App not found'), { code: 'NOT_FOUND' });
+      return { comments: reviews, nextCursor: null, provenance: { status: 'live' } };
+    });
+
+    const outcomes = await compareApps(['com.missing', 'com.example'], options);
+
+    expect(outcomes.map(outcome => [outcome.appId, outcome.success])).toEqual([['com.missing', false], ['com.example', true]]);
+    expect(outcomes[0]).toMatchObject({ error: 'App not found', code: 'NOT_FOUND' });
+  });
+
+  test('benchmarks a few apps at a time on the batch lane', async () => {
+    let active = 0;
+    let peak = 0;
+    fetchComments.mockImplementation(async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setImmediate(resolve));
+      active--;
+      return { comments: reviews, nextCursor: null, provenance: { status: 'live' } };
+    });
+
+    const appIds = ['com.a', 'com.b', 'com.c', 'com.d', 'com.e'];
+    const outcomes = await compareApps(appIds, options);
+
+    expect(outcomes.map(outcome => outcome.appId)).toEqual(appIds);
+    expect(peak).toBe(config.compare.concurrency);
+    expect(fetchComments.mock.calls.every(([, loaderOptions]) => loaderOptions.priority === 'batch')).toBe(true);
+  });
+});
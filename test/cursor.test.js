@@ -0,0 +1,36 @@
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+
+describe('pagination cursor', () => {
+  const state = {
+    token: 'CsoBChIIuqXmtPoBEKi5ygM',
+    sort: 'rating',
+    language: 'en',
+    country: 'US',
+    source: 'live'
+  };
+
+  test('round-trips the continuation state', () => {
+    const cursor = encodeCursor(state);
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor)).toEqual({ ...state, skip: 0, filters: null });
+  });
+
+  test('keeps the position inside a filtered page', () => {
+    const cursor = encodeCursor({ ...state, token: '', skip: 7, filters: 'a1b2c3' });
+
+    expect(decodeCursor(cursor)).toMatchObject({ token: '', skip: 7, filters: 'a1b2c3' });
+  });
+
+  test('rejects malformed cursors', () => {
+    expect(decodeCursor('not-a-cursor')).toBeNull();
+    expect(decodeCursor('')).toBeNull();
+    expect(decodeCursor(undefined)).toBeNull();
+  });
+
+  test('rejects cursors without a token', () => {
+    const cursor = Buffer.from(JSON.stringify({ v: 1, s: 'recent' })).toString('base64url');
+
+    expect(decodeCursor(cursor)).toBeNull();
+  });
+});
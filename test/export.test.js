@@ -0,0 +1,103 @@
+const { escapeCsv, createFormatter } = require('../utils/export');
+const { iterateReviews } = require('../services/reviewExport');
+const { encodeCursor } = require('../utils/cursor');
+
+const review = {
+  id: 'a',
+  author: 'Ann',
+  rating: 5,
+  date: '2024-01-10',
+  text: 'Line one\nSaid "great", really',
+  helpful: 2
+};
+
+/**
+ * Loader serving numbered reviews in pages of the requested size
+ */
+const createLoader = (total) => jest.fn(async (appId, { limit, cursor }) => {
+  const offset = cursor ? parseInt(cursor.token) : 0;
+  const end = Math.min(offset + limit, total);
+  const comments = [];
+  for (let i = offset; i < end; i++) comments.push({ id: `r${i}` });
+
+  return {
+    comments,
+    nextCursor: end < total ? encodeCursor({ token: String(end), sort: 'recent', language: 'en', country: 'US' }) : null,
+    provenance: { status: 'live' }
+  };
+});
+
+const render = (formatter, reviews) => formatter.head() + reviews.map(formatter.row).join('') + formatter.tail();
+
+describe('escapeCsv', () => {
+  test('quotes fields with delimiters, quotes, line breaks and edge spaces', () => {
+    expect(escapeCsv('plain')).toBe('plain');
+    expect(escapeCsv('a,b')).toBe('"a,b"');
+    expect(escapeCsv('say "hi"')).toBe('"say ""hi"""');
+    expect(escapeCsv('one\r\ntwo')).toBe('"one\r\ntwo"');
+    expect(escapeCsv(' padded')).toBe('" padded"');
+  });
+
+  test('writes empty fields for missing values', () => {
+    expect(escapeCsv(null)).toBe('');
+    expect(escapeCsv(undefined)).toBe('');
+    expect(escapeCsv(0)).toBe('0');
+  });
+});
+
+describe('createFormatter', () => {
+  test('writes CSV with a BOM, a header row and CRLF line endings', () => {
+    const csv = render(createFormatter('csv', { columns: ['id', 'rating', 'text'] }), [review]);
+
+    expect(csv).toBe('\uFEFFid,rating,text\r\na,5,"Line one\nSaid ""great"", really"\r\n');
+  });
+
+  test('omits the BOM when disabled', () => {
+    const csv = render(createFormatter('csv', { columns: ['id'], bom: false }), [review]);
+
+    expect(csv).toBe('id\r\na\r\n');
+  });
+
+  test('writes one JSON object per line for NDJSON', () => {
+    const ndjson = render(createFormatter('ndjson', { columns: ['id', 'source'] }), [review, review]);
+
+    expect(ndjson.trim().split('\n').map(line => JSON.parse(line))).toEqual([
+      { id: 'a', source: null },
+      { id: 'a', source: null }
+    ]);
+  });
+
+  test('writes a valid JSON array, also when empty', () => {
+    const formatter = () => createFormatter('json', { columns: ['id', 'rating'] });
+
+    expect(JSON.parse(render(formatter(), [review, review]))).toEqual([{ id: 'a', rating: 5 }, { id: 'a', rating: 5 }]);
+    expect(JSON.parse(render(formatter(), []))).toEqual([]);
+  });
+});
+
+describe('iterateReviews', () => {
+  test('follows cursors across pages up to the maximum', async () => {
+    const loader = createLoader(500);
+    const ids = [];
+
+    for await (const item of iterateReviews(loader, 'com.example', { maxReviews: 320 })) {
+      ids.push(item.id);
+    }
+
+    expect(ids).toHaveLength(320);
+    expect(ids[0]).toBe('r0');
+    expect(ids[319]).toBe('r319');
+    expect(loader).toHaveBeenCalledTimes(3);
+    expect(loader.mock.calls[2][1].limit).toBe(20);
+  });
+
+  test('stops when the listing ends', async () => {
+    const ids = [];
+
+    for await (const item of iterateReviews(createLoader(3), 'com.example', { maxReviews: 1000 })) {
+      ids.push(item.id);
+    }
+
+    expect(ids).toEqual(['r0', 'r1', 'r2']);
+  });
+});
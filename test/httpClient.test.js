@@ -0,0 +1,117 @@
+jest.mock('axios');
+
+const axios = require('axios');
+const { HttpClient, CircuitBreaker, parseRetryAfter } = require('../services/httpClient');
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, headers }
+});
+
+const networkError = (code) => Object.assign(new Error(code), { code });
+
+const createClient = (options = {}) => new HttpClient({
+  retryAttempts: 2,
+  retryDelay: 1,
+  retryMaxDelay: 50,
+  failureThreshold: 3,
+  resetTimeout: 1000,
+  ...options
+});
+
+describe('HttpClient', () => {
+  beforeEach(() => {
+    axios.request.mockReset();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('retries timeouts, 5xx and 429 until a request succeeds', async () => {
+    axios.request
+      .mockRejectedValueOnce(networkError('ECONNABORTED'))
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValueOnce({ status: 200, data: 'ok' });
+
+    const response = await createClient().get('https://play.google.com/store');
+
+    expect(response.data).toBe('ok');
+    expect(axios.request).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not retry other client errors', async () => {
+    axios.request.mockRejectedValue(httpError(404));
+
+    await expect(createClient().get('https://play.google.com/store')).rejects.toThrow('404');
+    expect(axios.request).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up after the configured retries', async () => {
+    axios.request.mockRejectedValue(httpError(500));
+
+    await expect(createClient().get('https://play.google.com/store')).rejects.toThrow('500');
+    expect(axios.request).toHaveBeenCalledTimes(3);
+  });
+
+  test('waits as long as Retry-After asks, or gives up when that is too long', () => {
+    const client = createClient();
+
+    expect(client.retryWait(1, { headers: { 'retry-after': '0' } })).toBe(0);
+    expect(client.retryWait(1, { headers: { 'retry-after': '120' } })).toBeNull();
+    expect(client.retryWait(5)).toBeLessThanOrEqual(50);
+  });
+
+  test('parses Retry-After seconds and dates', () => {
+    expect(parseRetryAfter({ headers: { 'retry-after': '3' } })).toBe(3000);
+    expect(parseRetryAfter({ headers: { 'retry-after': new Date(Date.now() + 10000).toUTCString() } })).toBeGreaterThan(8000);
+    expect(parseRetryAfter({ headers: {} })).toBeNull();
+  });
+
+  test('opens the circuit of a failing host and fails fast', async () => {
+    const client = createClient({ retryAttempts: 0 });
+    axios.request.mockRejectedValue(httpError(503));
+
+    for (let i = 0; i < 3; i++) {
+      await expect(client.get('https://play.google.com/store')).rejects.toThrow('503');
+    }
+    await expect(client.get('https://play.google.com/store')).rejects.toMatchObject({ code: 'UPSTREAM_CIRCUIT_OPEN' });
+
+    expect(axios.request).toHaveBeenCalledTimes(3);
+    expect(client.getStatus().circuits['play.google.com']).toMatchObject({ state: 'open', consecutiveFailures: 3 });
+
+    // Other hosts keep their own circuit
+    axios.request.mockResolvedValue({ status: 200 });
+    await expect(client.get('https://example.com/')).resolves.toMatchObject({ status: 200 });
+  });
+});
+
+describe('CircuitBreaker', () => {
+  test('lets a single trial request through after the reset timeout', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 1000 });
+    breaker.recordFailure();
+
+    expect(breaker.allowRequest()).toBe(false);
+
+    breaker.openedAt -= 1000;
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.allowRequest()).toBe(false);
+
+    breaker.recordSuccess();
+    expect(breaker.state).toBe('closed');
+    expect(breaker.allowRequest()).toBe(true);
+  });
+
+  test('reopens when the trial request fails', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeout: 1000 });
+    breaker.state = 'open';
+    breaker.openedAt = Date.now() - 1000;
+
+    expect(breaker.allowRequest()).toBe(true);
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.allowRequest()).toBe(false);
+  });
+});
@@ -0,0 +1,161 @@
+const { JobManager } = require('../services/jobs');
+
+/**
+ * Run function whose calls stay pending until released by hand
+ */
+const createControlledRun = () => {
+  const calls = [];
+  const run = jest.fn(item => new Promise((resolve, reject) => {
+    calls.push({ item, resolve, reject });
+  }));
+  return { run, calls };
+};
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const items = (...appIds) => appIds.map(appId => ({ appId, options: { limit: 10 } }));
+
+describe('JobManager', () => {
+  test('never runs more items than the concurrency limit', async () => {
+    const { run, calls } = createControlledRun();
+    const manager = new JobManager({ run, concurrency: 2 });
+
+    const job = manager.createJob(items('a', 'b', 'c', 'd'));
+
+    expect(run).toHaveBeenCalledTimes(2);
+    expect(job.status).toBe('running');
+
+    calls[0].resolve({ comments: [], provenance: null });
+    await flush();
+
+    expect(run).toHaveBeenCalledTimes(3);
+    expect(manager.getProgress(job)).toMatchObject({ succeeded: 1, running: 2, pending: 1 });
+  });
+
+  test('keeps results in request order whatever the completion order', async () => {
+    const { run, calls } = createControlledRun();
+    const manager = new JobManager({ run, concurrency: 3 });
+    const job = manager.createJob(items('a', 'b', 'c'));
+
+    calls[2].resolve({ comments: [{ id: 'c1' }], provenance: { status: 'live' } });
+    calls[0].reject(Object.assign(new Error('Boom'), { code: 'UPSTREAM_TIMEOUT' }));
+    calls[1].resolve({ comments: [], provenance: { status: 'live' } });
+    await flush();
+
+    expect(job.items.map(item => [item.appId, item.status])).toEqual([
+      ['a', 'failed'],
+      ['b', 'succeeded'],
+      ['c', 'succeeded']
+    ]);
+    expect(job.items[0].error).toEqual({ message: 'Boom', code: 'UPSTREAM_TIMEOUT' });
+    expect(job.items[2].result.totalComments).toBe(1);
+    expect(job.status).toBe('completed');
+    expect(manager.getProgress(job).percent).toBe(100);
+  });
+
+  test('cancels pending items and lets running ones finish', async () => {
+    const { run, calls } = createControlledRun();
+    const manager = new JobManager({ run, concurrency: 1 });
+    const job = manager.createJob(items('a', 'b', 'c'));
+
+    manager.cancelJob(job.id);
+
+    expect(job.status).toBe('running');
+    expect(job.items.map(item => item.status)).toEqual(['running', 'cancelled', 'cancelled']);
+
+    calls[0].resolve({ comments: [], provenance: null });
+    await flush();
+
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(job.items[0].status).toBe('succeeded');
+    expect(job.status).toBe('cancelled');
+  });
+
+  test('re-runs only the failed items', async () => {
+    const { run, calls } = createControlledRun();
+    const manager = new JobManager({ run, concurrency: 2 });
+    const job = manager.createJob(items('a', 'b'));
+
+    calls[0].resolve({ comments: [], provenance: null });
+    calls[1].reject(new Error('Boom'));
+    await flush();
+
+    manager.retryFailed(job.id);
+
+    expect(run).toHaveBeenCalledTimes(3);
+    expect(calls[2].item.appId).toBe('b');
+    expect(job.status).toBe('running');
+
+    calls[2].resolve({ comments: [], provenance: null });
+    await flush();
+
+    expect(job.items[1]).toMatchObject({ status: 'succeeded', attempts: 2, error: null });
+    expect(job.status).toBe('completed');
+  });
+
+  test('logs finished apps and a summary with increasing event IDs', async () => {
+    const { run, calls } = createControlledRun();
+    const manager = new JobManager({ run, concurrency: 1 });
+    const emitted = [];
+    manager.on('event', (job, event) => emitted.push(event));
+
+    const job = manager.createJob(items('a', 'b', 'c'));
+    calls[0].reject(new Error('Boom'));
+    await flush();
+    manager.cancelJob(job.id);
+    calls[1].resolve({ comments: [], provenance: null });
+    await flush();
+
+    expect(job.events.map(event => [event.id, event.type, event.data.appId])).toEqual([
+      [1, 'app.failed', 'a'],
+      [2, 'app.cancelled', 'c'],
+      [3, 'app.succeeded', 'b'],
+      [4, 'summary', undefined]
+    ]);
+    expect(job.events[3].data).toMatchObject({ status: 'cancelled', progress: { failed: 1, succeeded: 1, cancelled: 1 } });
+    expect(emitted).toEqual(job.events);
+  });
+
+  test('drops finished jobs after the retention period', async () => {
+    const manager = new JobManager({ run: async () => ({ comments: [] }), retentionMinutes: 1 });
+    const job = manager.createJob(items('a'));
+    await flush();
+
+    job.finishedAt = new Date(Date.now() - 2 * 60 * 1000).toISOString();
+
+    expect(manager.listJobs()).toEqual([]);
+    expect(manager.getJob(job.id)).toBeUndefined();
+  });
+
+  test('logs item statuses only and adds the comments when the event is sent', async () => {
+    const { run, calls } = createControlledRun();
+    const manager = new JobManager({ run, concurrency: 1 });
+    const job = manager.createJob(items('a'));
+
+    calls[0].resolve({ comments: [{ id: 'a1' }], provenance: { status: 'live' } });
+    await flush();
+
+    const [event] = job.events;
+    expect(event.data).not.toHaveProperty('result');
+    expect(manager.eventData(job, event)).toMatchObject({ appId: 'a', status: 'succeeded', result: { totalComments: 1, comments: [{ id: 'a1' }] } });
+    expect(manager.eventData(job, job.events[1])).toBe(job.events[1].data);
+  });
+
+  test('drops a finished job on a timer when nothing else happens', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    try {
+      const manager = new JobManager({ run: async () => ({ comments: [] }), retentionMinutes: 1 });
+      const job = manager.createJob(items('a'));
+      await flush();
+
+      jest.advanceTimersByTime(59 * 1000);
+      expect(manager.getJob(job.id)).toBe(job);
+
+      jest.advanceTimersByTime(1000);
+      expect(manager.getJob(job.id)).toBeUndefined();
+      expect(jest.getTimerCount()).toBe(0);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { KeywordTrackers, KeywordHistory, describeMove } = require('../services/keywords');
+
+describe('KeywordTrackers', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'keyword-trackers-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('normalizes keywords and replaces the set of an existing tracker', async () => {
+    const trackers = new KeywordTrackers({ file: path.join(directory, 'trackers.json') });
+
+    const { tracker, created } = await trackers.add({ appId: 'com.example', keywords: [' Note  Taking', 'note taking', 'todo'] });
+    expect(created).toBe(true);
+    expect(tracker).toMatchObject({ id: 'com.example:en-US', keywords: ['note taking', 'todo'], depth: 50 });
+
+    const updated = await trackers.add({ appId: 'com.example', keywords: ['memo'], depth: 20 });
+    expect(updated.created).toBe(false);
+    expect(await trackers.list()).toEqual([expect.objectContaining({ keywords: ['memo'], depth: 20 })]);
+  });
+});
+
+describe('describeMove', () => {
+  const point = (rank, recordedAt = 't2') => ({ recordedAt, rank });
+
+  test('flags moves from the threshold on, and entering or dropping out of the results', () => {
+    expect(describeMove(point(10), point(4), 5)).toMatchObject({ from: 10, to: 4, change: 6, type: 'up' });
+    expect(describeMove(point(4), point(9), 5)).toMatchObject({ change: -5, type: 'down' });
+    expect(describeMove(point(4), point(7), 5)).toBeNull();
+    expect(describeMove(point(null), point(30), 5)).toMatchObject({ type: 'entered', change: null });
+    expect(describeMove(point(30), point(null), 5)).toMatchObject({ type: 'dropped' });
+    expect(describeMove(point(null), point(null), 5)).toBeNull();
+  });
+});
+
+describe('KeywordHistory', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'keyword-history-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('builds rank series per keyword with the latest significant move', async () => {
+    const history = new KeywordHistory({ directory, maxPoints: 10 });
+    const tracker = { id: 'com.example:en-US', appId: 'com.example', language: 'en', country: 'US', keywords: ['notes', 'todo'] };
+
+    await history.addPoints(tracker, [{ keyword: 'notes', rank: 12, depth: 50 }, { keyword: 'todo', rank: null, depth: 50 }], '2024-01-01T00:00:00.000Z');
+    await history.addPoints(tracker, [{ keyword: 'notes', rank: 3, depth: 50 }, { keyword: 'todo', rank: 40, depth: 50 }], '2024-01-02T00:00:00.000Z');
+    await history.addPoints(tracker, [{ keyword: 'notes', rank: 2, depth: 50 }], '2024-01-03T00:00:00.000Z');
+
+    const [notes, todo] = await history.getSeries(tracker, { threshold: 5 });
+
+    expect(notes).toMatchObject({ keyword: 'notes', latestRank: 2, bestRank: 2, worstRank: 12, latestMove: null });
+    expect(notes.moves).toEqual([expect.objectContaining({ recordedAt: '2024-01-02T00:00:00.000Z', change: 9, type: 'up' })]);
+    expect(todo.latestMove).toMatchObject({ type: 'entered', to: 40 });
+
+    const [since] = await history.getSeries(tracker, { keyword: 'Notes', since: '2024-01-02' });
+    expect(since.points.map(point => point.rank)).toEqual([3, 2]);
+  });
+});
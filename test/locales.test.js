@@ -0,0 +1,60 @@
+const { normalizeLanguage, normalizeCountry, parseLocales, resolveLocale } = require('../utils/locales');
+const { fetchAcrossLocales } = require('../services/localeFanout');
+
+describe('locale codes', () => {
+  test('normalizes known language and country codes', () => {
+    expect(normalizeLanguage('pt-br')).toBe('pt-BR');
+    expect(normalizeLanguage('zh_TW')).toBe('zh-TW');
+    expect(normalizeLanguage('xx')).toBeNull();
+    expect(normalizeCountry('de')).toBe('DE');
+    expect(normalizeCountry('XX')).toBeNull();
+  });
+
+  test('parses locale lists, splitting the country off the end', () => {
+    expect(parseLocales('en-IN, pt-BR-BR,es-419-MX,en-IN')).toEqual([
+      { language: 'en', country: 'IN' },
+      { language: 'pt-BR', country: 'BR' },
+      { language: 'es-419', country: 'MX' }
+    ]);
+    expect(parseLocales('en')).toBeNull();
+    expect(parseLocales('en-US,fr-XX')).toBeNull();
+  });
+
+  test('falls back to the configured locale', () => {
+    expect(resolveLocale(undefined, 'de')).toEqual({ language: 'en', country: 'DE' });
+  });
+});
+
+describe('fetchAcrossLocales', () => {
+  const locales = [{ language: 'en', country: 'US' }, { language: 'de', country: 'DE' }];
+
+  test('tags and merges the reviews of every locale', async () => {
+    const loader = jest.fn(async (appId, { country }) => ({
+      comments: country === 'US'
+        ? [{ id: 'a', date: '2024-01-01' }, { id: 'b', date: '2024-03-01' }]
+        : [{ id: 'c', date: '2024-02-01' }],
+      nextCursor: null,
+      provenance: { status: 'live' }
+    }));
+
+    const merged = await fetchAcrossLocales(loader, 'com.example', locales, { limit: 2, sort: 'recent' });
+
+    expect(loader).toHaveBeenCalledWith('com.example', expect.objectContaining({ limit: 2, language: 'de', country: 'DE' }));
+    expect(merged.comments.map(comment => `${comment.id}:${comment.country}`)).toEqual(['b:US', 'c:DE', 'a:US']);
+    expect(merged.provenance.status).toBe('live');
+    expect(merged.locales.map(locale => locale.totalComments)).toEqual([2, 1]);
+  });
+
+  test('reports failed locales and only throws when all of them fail', async () => {
+    const loader = jest.fn(async (appId, { country }) => {
+      if (country === 'DE') throw Object.assign(new Error('Upstream down'), { code: 'UPSTREAM_HTTP_ERROR' });
+      return { comments: [{ id: 'a' }], nextCursor: null, provenance: { status: 'live' } };
+    });
+
+    const merged = await fetchAcrossLocales(loader, 'com.example', locales);
+    expect(merged.provenance).toMatchObject({ status: 'partial', failedLocales: 1 });
+    expect(merged.locales[1]).toMatchObject({ locale: 'de-DE', success: false, code: 'UPSTREAM_HTTP_ERROR' });
+
+    await expect(fetchAcrossLocales(loader, 'com.example', [locales[1]])).rejects.toThrow('Upstream down');
+  });
+});
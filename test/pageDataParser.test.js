@@ -0,0 +1,248 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  FIELD_MAPS,
+  CURRENT_VERSION,
+  extractDataBlocks,
+  parseBatchExecute,
+  mapReview,
+  parseReviewsFromPage,
+  parseReviewsResponse,
+  parseAppDetails,
+  parseAppList,
+  parseChartResponse,
+  parseSimilarLink
+} = require('../services/pageDataParser');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+describe('pageDataParser', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('extractDataBlocks', () => {
+    test('decodes every well-formed AF_initDataCallback block by key', () => {
+      const blocks = extractDataBlocks(fixture('app-details.html'));
+
+      expect(Object.keys(blocks).sort()).toEqual(['ds:0', 'ds:8']);
+      expect(blocks['ds:0'][1]).toBe('Example Notes');
+    });
+
+    test('keeps brackets and quotes inside strings intact', () => {
+      const blocks = extractDataBlocks(fixture('app-details.html'));
+
+      expect(blocks['ds:8'][0][0][4]).toContain('"Settings ]"');
+      expect(blocks['ds:8'][0][0][4]).toContain('});');
+    });
+
+    test('returns an empty object for pages without embedded data', () => {
+      expect(extractDataBlocks('<html><body><div class="review">Hi</div></body></html>')).toEqual({});
+    });
+  });
+
+  describe('parseReviewsFromPage', () => {
+    test('maps embedded review entries by position', () => {
+      const comments = parseReviewsFromPage(fixture('app-details.html'));
+
+      expect(comments).toHaveLength(3);
+      expect(comments[0]).toEqual({
+        id: 'gp:AOqpTOH1',
+        text: 'Works great, even offline. Tip: use "Settings ]" to change the theme }); no crashes so far 👍',
+        rating: 5,
+        date: '2024-01-15',
+        submittedAt: '2024-01-15T10:00:00.000Z',
+        author: 'Priya Sharma',
+        avatar: 'https://play-lh.googleusercontent.com/a/priya',
+        appVersion: '2.24.1.6',
+        helpful: 42,
+        thumbsUp: 42,
+        replyText: null,
+        replyDate: null,
+        source: 'page'
+      });
+      expect(comments[1].text).toBe('Keeps logging me out.\nAfter the last update the app crashes on start.');
+    });
+
+    test('maps the developer reply and sub-second submission times', () => {
+      const comments = parseReviewsFromPage(fixture('app-details.html'));
+
+      expect(comments[1]).toMatchObject({
+        submittedAt: '2024-01-14T10:00:00.500Z',
+        replyText: 'Sorry about that! Version 2.24.2 fixes the logout loop.',
+        replyDate: '2024-01-14T13:46:40.000Z'
+      });
+    });
+
+    test('keeps rating-only reviews and drops empty entries', () => {
+      const comments = parseReviewsFromPage(fixture('app-details.html'));
+
+      expect(comments[2]).toMatchObject({ text: '', rating: 4, author: 'Ana' });
+    });
+
+    test('honours the limit', () => {
+      expect(parseReviewsFromPage(fixture('app-details.html'), { limit: 1 })).toHaveLength(1);
+    });
+
+    test('returns no reviews when the mapped block is missing', () => {
+      expect(parseReviewsFromPage('<html></html>')).toEqual([]);
+    });
+
+    test('rejects unknown layout versions', () => {
+      expect(() => parseReviewsFromPage('<html></html>', { version: '1999-01' })).toThrow('Unknown page layout version');
+    });
+  });
+
+  describe('review RPC responses', () => {
+    test('decodes the batchexecute envelope', () => {
+      const data = parseBatchExecute(fixture('reviews-rpc.txt'), 'UsvDTd');
+
+      expect(data[0]).toHaveLength(2);
+      expect(parseBatchExecute(fixture('reviews-rpc.txt'), 'qnKhOb')).toBeNull();
+    });
+
+    test('maps reviews and the continuation token', () => {
+      const { comments, nextToken } = parseReviewsResponse(fixture('reviews-rpc.txt'));
+
+      expect(nextToken).toBe('CsoBChIIuqXmtPoBEKi5ygM');
+      expect(comments.map(comment => comment.author)).toEqual(['Chen Wei', 'María López']);
+      expect(comments[0]).toMatchObject({ rating: 1, date: '2024-01-01', helpful: 15, source: 'api' });
+    });
+
+    test('reports no token on the last page', () => {
+      const { comments, nextToken } = parseReviewsResponse(fixture('reviews-rpc-last-page.txt'));
+
+      expect(comments).toHaveLength(1);
+      expect(nextToken).toBeNull();
+    });
+  });
+
+  describe('mapReview', () => {
+    test('falls back to defaults for missing positions', () => {
+      expect(mapReview(['gp:x', null, 3])).toEqual({
+        id: 'gp:x',
+        text: '',
+        rating: 3,
+        date: null,
+        submittedAt: null,
+        author: 'Unknown',
+        avatar: null,
+        appVersion: null,
+        helpful: 0,
+        thumbsUp: 0,
+        replyText: null,
+        replyDate: null,
+        source: 'api'
+      });
+    });
+
+    test('uses the current field map', () => {
+      expect(FIELD_MAPS[CURRENT_VERSION].review).toBeDefined();
+      expect(mapReview('not an entry')).toBeNull();
+    });
+  });
+
+  describe('parseAppDetails', () => {
+    test('maps the app details block by position', () => {
+      const app = parseAppDetails(fixture('app-details-metadata.html'));
+
+      expect(app).toMatchObject({
+        title: 'Example Notes',
+        developer: 'Example Labs',
+        developerId: '5700313618786177705',
+        category: 'Productivity',
+        score: 4.43,
+        ratingsCount: 12345,
+        histogram: { 1: 500, 2: 300, 3: 900, 4: 2645, 5: 8000 },
+        installs: '1,000,000+',
+        price: 1.99,
+        currency: 'USD',
+        free: false,
+        inAppPurchases: true,
+        inAppPurchaseRange: '$0.99 - $9.99 per item',
+        contentRating: 'Everyone',
+        version: '3.2.1',
+        updated: '2024-01-15',
+        recentChanges: 'Dark mode and faster sync',
+        icon: 'https://play-lh.googleusercontent.com/icon',
+        screenshots: ['https://play-lh.googleusercontent.com/shot1', 'https://play-lh.googleusercontent.com/shot2']
+      });
+      expect(app.dataSafety).toEqual({
+        sharedData: ['Location', 'App activity'],
+        collectedData: ['Personal info'],
+        securityPractices: [
+          { practice: 'Data is encrypted in transit', description: 'Your data is transferred over a secure connection' },
+          { practice: 'You can request that data be deleted', description: null }
+        ]
+      });
+    });
+
+    test('falls back to defaults for missing fields', () => {
+      const app = parseAppDetails(fixture('app-details-metadata.html'));
+
+      expect(app).toMatchObject({ video: null, headerImage: null });
+    });
+
+    test('returns null when the page has no app block', () => {
+      expect(parseAppDetails(fixture('app-details.html'))).toBeNull();
+    });
+  });
+
+  describe('parseAppList', () => {
+    test('maps search results and skips entries without an app', () => {
+      const apps = parseAppList(fixture('search-results.html'), 'search');
+
+      expect(apps).toEqual([
+        {
+          appId: 'com.example.notes',
+          title: 'Example Notes',
+          summary: 'Fast notes',
+          developer: 'Example Labs',
+          icon: 'https://play-lh.googleusercontent.com/com.example.notes',
+          score: 4.43,
+          price: 0,
+          currency: 'USD',
+          free: true
+        },
+        expect.objectContaining({ appId: 'com.example.notes.pro', score: null, price: 2.99, free: false })
+      ]);
+      expect(parseAppList(fixture('search-results.html'), 'search', { limit: 1 })).toHaveLength(1);
+    });
+
+    test('maps developer pages and clusters with their own entry layout', () => {
+      expect(parseAppList(fixture('developer-apps.html'), 'developer').map(app => app.appId))
+        .toEqual(['com.example.notes', 'com.example.tasks', 'com.example.mail']);
+      expect(parseAppList(fixture('similar-cluster.html'), 'cluster')[1])
+        .toMatchObject({ appId: 'com.third.memo', title: 'Memo', developer: 'Third Inc', score: 4.6 });
+    });
+
+    test('returns null when the page has no such list', () => {
+      expect(parseAppList(fixture('app-details.html'), 'search')).toBeNull();
+    });
+  });
+
+  describe('parseChartResponse', () => {
+    test('maps chart entries in rank order', () => {
+      const apps = parseChartResponse(fixture('chart-rpc.txt'));
+
+      expect(apps.map(app => app.appId)).toEqual(['com.example.chat', 'com.example.maps', 'com.example.photos']);
+      expect(apps[0]).toMatchObject({ title: 'Example Chat', developer: 'Example Labs', score: 4.5, free: true });
+      expect(parseChartResponse(fixture('chart-rpc.txt'), { limit: 2 })).toHaveLength(2);
+    });
+
+    test('returns null when the response holds no chart', () => {
+      expect(parseChartResponse(fixture('reviews-rpc.txt'))).toBeNull();
+    });
+  });
+
+  describe('parseSimilarLink', () => {
+    test('finds the similar apps cluster of a details page', () => {
+      expect(parseSimilarLink(fixture('app-details-metadata.html'))).toBe('/store/apps/collection/cluster?gsr=SIMILAR');
+      expect(parseSimilarLink(fixture('app-details.html'))).toBeNull();
+    });
+  });
+});
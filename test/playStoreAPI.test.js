@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('../services/httpClient', () => ({ httpClient: { get: jest.fn(), post: jest.fn() } }));
+
+const { httpClient } = require('../services/httpClient');
+const { fetchComments, fetchDeveloperApps, fetchSimilarApps } = require('../services/playStoreAPI');
+const { decodeCursor } = require('../utils/cursor');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+describe('app listings', () => {
+  beforeEach(() => {
+    httpClient.get.mockReset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('pages through a developer\'s apps with cursors', async () => {
+    httpClient.get.mockResolvedValue({ status: 200, data: fixture('developer-apps.html') });
+
+    const first = await fetchDeveloperApps('5700313618786177705', { limit: 2, country: 'DE', mode: 'strict' });
+    expect(first.apps.map(app => app.appId)).toEqual(['com.example.notes', 'com.example.tasks']);
+    expect(first.totalApps).toBe(3);
+    expect(httpClient.get.mock.calls[0][0]).toContain('/store/apps/dev?id=5700313618786177705&hl=en&gl=DE');
+
+    const cursor = decodeCursor(first.nextCursor);
+    expect(cursor).toMatchObject({ source: 'developer', country: 'DE' });
+
+    const second = await fetchDeveloperApps('5700313618786177705', { limit: 2, country: 'DE', cursor, mode: 'strict' });
+    expect(second.apps.map(app => app.appId)).toEqual(['com.example.mail']);
+    expect(second.nextCursor).toBeNull();
+  });
+
+  test('follows the similar apps link of the details page', async () => {
+    httpClient.get
+      .mockResolvedValueOnce({ status: 200, data: fixture('app-details-metadata.html') })
+      .mockResolvedValueOnce({ status: 200, data: fixture('similar-cluster.html') });
+
+    const { apps, provenance } = await fetchSimilarApps('com.example.notes', { mode: 'strict' });
+
+    expect(httpClient.get.mock.calls[1][0]).toBe('https://play.google.com/store/apps/collection/cluster?gsr=SIMILAR&hl=en&gl=US');
+    expect(apps.map(app => app.appId)).toEqual(['com.other.notes', 'com.third.memo']);
+    expect(provenance.status).toBe('live');
+  });
+
+  test('fails in strict mode when the page has no app list', async () => {
+    httpClient.get.mockResolvedValue({ status: 200, data: fixture('app-details.html') });
+
+    await expect(fetchDeveloperApps('Example Labs', { mode: 'strict' })).rejects.toMatchObject({ code: 'UPSTREAM_PARSE_ERROR' });
+    expect(httpClient.get.mock.calls[0][0]).toContain('/store/apps/developer?id=Example%20Labs');
+  });
+});
+
+describe('filtered reviews', () => {
+  const ratings = [5, 1, 5, 5, 1, 5, 1, 5, 5, 5];
+  const entries = ratings.map((rating, index) => [`gp:${index}`, [`User ${index}`], rating, null, `Review ${index}`, [1704067200 - index * 86400, 0], 0]);
+
+  // Answer review RPC calls with the requested number of entries from the start of the listing
+  const answerReviewRpc = async (url, body) => {
+    const request = JSON.parse(JSON.parse(decodeURIComponent(body.slice('f.req='.length)))[0][0][1]);
+    const count = request[2][2][0];
+    return {
+      status: 200,
+      data: `)]}'\n\n${JSON.stringify([['wrb.fr', 'UsvDTd', JSON.stringify([entries.slice(0, count), null]), null, null, null, 'generic']])}`
+    };
+  };
+
+  beforeEach(() => {
+    httpClient.post.mockReset();
+    httpClient.post.mockImplementation(answerReviewRpc);
+  });
+
+  test('applies filters before the limit and resumes inside a page', async () => {
+    const filters = { ratings: [1] };
+
+    const first = await fetchComments('com.example', { limit: 2, filters, mode: 'strict' });
+    expect(first.comments.map(comment => comment.id)).toEqual(['gp:1', 'gp:4']);
+    expect(first.scanned).toBe(5);
+
+    const cursor = decodeCursor(first.nextCursor);
+    expect(cursor).toMatchObject({ token: '', skip: 5, filters: expect.any(String) });
+
+    const second = await fetchComments('com.example', { limit: 2, filters, cursor, mode: 'strict' });
+    expect(second.comments.map(comment => comment.id)).toEqual(['gp:6']);
+    expect(second.nextCursor).toBeNull();
+  });
+});
@@ -0,0 +1,79 @@
+const { TokenBucketLimiter } = require('../services/rateLimiter');
+
+const flush = () => Promise.resolve();
+
+describe('TokenBucketLimiter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('lets a burst through and then paces requests at the rate', async () => {
+    const limiter = new TokenBucketLimiter({ ratePerSecond: 2, burst: 2 });
+    const granted = [];
+
+    for (let i = 0; i < 4; i++) {
+      limiter.acquire().then(() => granted.push(i));
+    }
+    await flush();
+    expect(granted).toEqual([0, 1]);
+
+    jest.advanceTimersByTime(499);
+    await flush();
+    expect(granted).toEqual([0, 1]);
+
+    jest.advanceTimersByTime(1);
+    await flush();
+    expect(granted).toEqual([0, 1, 2]);
+
+    jest.advanceTimersByTime(500);
+    await flush();
+    expect(granted).toEqual([0, 1, 2, 3]);
+  });
+
+  test('serves higher priority lanes first', async () => {
+    const limiter = new TokenBucketLimiter({ ratePerSecond: 1, burst: 1 });
+    const granted = [];
+
+    await limiter.acquire('interactive');
+    limiter.acquire('background').then(() => granted.push('background'));
+    limiter.acquire('batch').then(() => granted.push('batch'));
+    limiter.acquire('interactive').then(() => granted.push('interactive'));
+
+    for (let i = 0; i < 3; i++) {
+      jest.advanceTimersByTime(1000);
+      await flush();
+    }
+
+    expect(granted).toEqual(['interactive', 'batch', 'background']);
+  });
+
+  test('reports queue depth and wait metrics per lane', async () => {
+    const limiter = new TokenBucketLimiter({ ratePerSecond: 1, burst: 1 });
+
+    await limiter.acquire('background');
+    limiter.acquire('background');
+    limiter.acquire('background');
+
+    expect(limiter.getStatus()).toMatchObject({ queued: 2, availableTokens: 0 });
+
+    jest.advanceTimersByTime(1000);
+    await flush();
+
+    expect(limiter.getStatus().lanes.background).toMatchObject({
+      queued: 1,
+      maxQueued: 2,
+      granted: 2,
+      maxWaitMs: 1000
+    });
+  });
+
+  test('rejects unknown lanes', async () => {
+    const limiter = new TokenBucketLimiter({ ratePerSecond: 1, burst: 1 });
+
+    await expect(limiter.acquire('urgent')).rejects.toThrow('Unknown priority lane');
+  });
+});
@@ -0,0 +1,75 @@
+const { parseFilters, createReviewFilter, filterSignature } = require('../utils/reviewFilters');
+const { validateCommentParams } = require('../middleware/validation');
+
+const review = (overrides = {}) => ({
+  id: 'gp:1',
+  text: 'The sync keeps failing after the update',
+  rating: 2,
+  date: '2024-01-10',
+  submittedAt: '2024-01-10T08:00:00.000Z',
+  appVersion: '2.24.1.6',
+  helpful: 3,
+  replyText: null,
+  ...overrides
+});
+
+describe('review filters', () => {
+  test('parses query string and body values alike', () => {
+    expect(parseFilters({})).toBeNull();
+    expect(parseFilters({ sort: 'recent', limit: '10' })).toBeNull();
+
+    const fromQuery = parseFilters({ rating: '2,1', hasReply: 'false', minHelpful: '3', until: '2024-01-31' });
+    const fromBody = parseFilters({ rating: [1, 2], hasReply: false, minHelpful: 3, until: '2024-01-31' });
+
+    expect(fromQuery).toEqual({ ratings: [1, 2], hasReply: false, minHelpful: 3, until: '2024-01-31T23:59:59.999Z' });
+    expect(fromBody).toEqual(fromQuery);
+    expect(filterSignature(fromBody)).toBe(filterSignature(fromQuery));
+    expect(filterSignature({ ...fromQuery, minHelpful: 4 })).not.toBe(filterSignature(fromQuery));
+    expect(filterSignature(null)).toBeNull();
+  });
+
+  test('matches reviews on every given criterion', () => {
+    const matches = (params, overrides) => createReviewFilter(parseFilters(params))(review(overrides));
+
+    expect(matches({ minRating: '1', maxRating: '2' })).toBe(true);
+    expect(matches({ rating: '4,5' })).toBe(false);
+    expect(matches({ since: '2024-01-10', until: '2024-01-10' })).toBe(true);
+    expect(matches({ since: '2024-01-11' })).toBe(false);
+    expect(matches({ version: '2.24' })).toBe(true);
+    expect(matches({ version: '2.2' })).toBe(false);
+    expect(matches({ hasReply: 'true' })).toBe(false);
+    expect(matches({ hasReply: 'true' }, { replyText: 'Fixed in 2.25' })).toBe(true);
+    expect(matches({ minHelpful: '4' })).toBe(false);
+    expect(matches({ minLength: '10', maxLength: '20' })).toBe(false);
+    expect(matches({ q: 'SYNC' })).toBe(true);
+    expect(matches({ regex: 'fail(s|ing)' })).toBe(true);
+    expect(matches({ regex: '^crash' })).toBe(false);
+  });
+
+  test('falls back to the review day without a submission time', () => {
+    const filter = createReviewFilter(parseFilters({ since: '2024-01-10' }));
+
+    expect(filter(review({ submittedAt: undefined }))).toBe(true);
+    expect(filter(review({ submittedAt: undefined, date: null }))).toBe(false);
+  });
+
+  test('matches patterns in linear time and rejects backreferences', () => {
+    const filter = createReviewFilter(parseFilters({ regex: '(a+)+$' }));
+    const startedAt = Date.now();
+
+    expect(filter(review({ text: `${'a'.repeat(5000)}!` }))).toBe(false);
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+
+    const respond = (query) => {
+      const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+      const next = jest.fn();
+      validateCommentParams({ query }, res, next);
+      return { res, next };
+    };
+
+    const backreference = respond({ regex: '(a)\\1' });
+    expect(backreference.next).not.toHaveBeenCalled();
+    expect(backreference.res.status).toHaveBeenCalledWith(400);
+    expect(respond({ regex: 'fail(s|ing)' }).next).toHaveBeenCalled();
+  });
+});
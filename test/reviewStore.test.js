@@ -0,0 +1,138 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ReviewStore } = require('../services/reviewStore');
+
+const locale = { language: 'en', country: 'US' };
+
+const review = (id, overrides = {}) => ({
+  id,
+  text: `Review ${id}`,
+  rating: 4,
+  date: '2024-01-10',
+  author: 'Someone',
+  helpful: 0,
+  source: 'api',
+  ...overrides
+});
+
+describe('ReviewStore', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'review-store-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('inserts new reviews with first and last seen timestamps', async () => {
+    const store = new ReviewStore({ directory });
+
+    const result = await store.upsertReviews('com.example', locale, [review('a'), review('b')], { seenAt: 't1' });
+
+    expect(result.added).toHaveLength(2);
+    expect(result.added[0]).toMatchObject({ id: 'a', firstSeenAt: 't1', lastSeenAt: 't1', updatedAt: 't1' });
+  });
+
+  test('deduplicates by review ID and detects edits', async () => {
+    const store = new ReviewStore({ directory });
+    await store.upsertReviews('com.example', locale, [review('a'), review('b')], { seenAt: 't1' });
+
+    const result = await store.upsertReviews('com.example', locale, [
+      review('a', { helpful: 5 }),
+      review('b', { text: 'Edited', rating: 1 }),
+      review('c')
+    ], { seenAt: 't2' });
+
+    expect(result.added.map(r => r.id)).toEqual(['c']);
+    expect(result.updated).toHaveLength(1);
+    expect(result.updated[0]).toMatchObject({
+      id: 'b',
+      text: 'Edited',
+      firstSeenAt: 't1',
+      updatedAt: 't2',
+      previous: { text: 'Review b', rating: 4 }
+    });
+    expect(result.unchanged).toBe(1);
+
+    const { reviews } = await store.queryReviews('com.example', { sort: 'helpfulness', limit: 1 });
+    expect(reviews[0]).toMatchObject({ id: 'a', helpful: 5, lastSeenAt: 't2', updatedAt: 't1' });
+  });
+
+  test('counts a new developer reply as an update, also on records stored without reply fields', async () => {
+    const store = new ReviewStore({ directory });
+    await store.upsertReviews('com.example', locale, [review('a')], { seenAt: 't1' });
+
+    const unchanged = await store.upsertReviews('com.example', locale, [review('a', { replyText: null, replyDate: null })], { seenAt: 't2' });
+    expect(unchanged.unchanged).toBe(1);
+
+    const replied = await store.upsertReviews('com.example', locale, [
+      review('a', { replyText: 'Thanks!', replyDate: '2024-01-11T08:00:00.000Z' })
+    ], { seenAt: 't3' });
+    expect(replied.updated[0]).toMatchObject({
+      replyText: 'Thanks!',
+      updatedAt: 't3',
+      previous: { replyText: null, replyDate: null }
+    });
+  });
+
+  test('skips reviews without an ID', async () => {
+    const store = new ReviewStore({ directory });
+
+    const result = await store.upsertReviews('com.example', locale, [review(null)]);
+
+    expect(result.added).toHaveLength(0);
+    expect((await store.getSyncState('com.example', locale)).totalReviews).toBe(0);
+  });
+
+  test('persists reviews and sync state per app and locale', async () => {
+    await new ReviewStore({ directory }).upsertReviews('com.example', locale, [review('a')]);
+    await new ReviewStore({ directory }).updateSyncState('com.example', locale, { lastSyncedAt: 't1' });
+
+    const store = new ReviewStore({ directory });
+    expect(await store.getSyncState('com.example', locale)).toEqual({ lastSyncedAt: 't1', totalReviews: 1 });
+    expect((await store.queryReviews('com.example', { language: 'de', country: 'DE' })).total).toBe(0);
+  });
+
+  test('pages through reviews in a stable order', async () => {
+    const store = new ReviewStore({ directory });
+    await store.upsertReviews('com.example', locale, [
+      review('a', { date: '2024-01-01' }),
+      review('b', { date: '2024-01-03' }),
+      review('c', { date: '2024-01-03' }),
+      review('d', { date: '2024-01-02' })
+    ]);
+
+    const first = await store.queryReviews('com.example', { sort: 'recent', limit: 2 });
+    const second = await store.queryReviews('com.example', { sort: 'recent', offset: 2, limit: 2 });
+
+    expect([...first.reviews, ...second.reviews].map(r => r.id)).toEqual(['b', 'c', 'd', 'a']);
+    expect(first.total).toBe(4);
+  });
+
+  test('writes deferred pages with the sync state', async () => {
+    const store = new ReviewStore({ directory });
+    await store.upsertReviews('com.example', locale, [review('a')], { save: false });
+    await store.upsertReviews('com.example', locale, [review('b')], { save: false });
+
+    expect(fs.existsSync(path.join(directory, 'com.example', 'en-US.json'))).toBe(false);
+
+    await store.updateSyncState('com.example', locale, { lastSyncedAt: 't1' });
+    expect(await new ReviewStore({ directory }).getSyncState('com.example', locale)).toEqual({ lastSyncedAt: 't1', totalReviews: 2 });
+  });
+
+  test('evicts the least recently used collections but keeps unsaved ones', async () => {
+    const store = new ReviewStore({ directory, maxCollections: 2 });
+    await store.upsertReviews('com.a', locale, [review('a')]);
+    await store.upsertReviews('com.b', locale, [review('b')], { save: false });
+    await store.upsertReviews('com.c', locale, [review('c')]);
+
+    expect(Array.from(store.collections.keys())).toEqual(['com.b/en-US', 'com.c/en-US']);
+
+    await store.getSyncState('com.a', locale);
+    expect(Array.from(store.collections.keys())).toEqual(['com.b/en-US', 'com.a/en-US']);
+    expect((await store.queryReviews('com.a')).reviews.map(r => r.id)).toEqual(['a']);
+  });
+});
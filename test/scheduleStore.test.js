@@ -0,0 +1,48 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ScheduleStore = require('../services/scheduleStore');
+const { Watchlist } = require('../services/watchlist');
+
+const run = (finishedAt, summary = null) => ({ status: 'success', finishedAt, summary, error: null });
+
+describe('ScheduleStore', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'schedule-store-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('re-plans the next run from the last one when the interval changes', async () => {
+    const store = new ScheduleStore({ file: path.join(directory, 'items.json'), key: 'items' });
+
+    const { item, created } = await store.put('a', { appId: 'com.example' }, { intervalMinutes: 60 });
+    expect(created).toBe(true);
+    expect(item).toMatchObject({ id: 'a', appId: 'com.example', intervalMinutes: 60, lastRunAt: null });
+
+    await store.recordRun('a', run('2024-01-01T00:00:00.000Z'));
+    expect((await store.get('a')).nextRunAt).toBe('2024-01-01T01:00:00.000Z');
+
+    expect((await store.put('a', { appId: 'com.example' }, { intervalMinutes: 30 })).created).toBe(false);
+    expect((await store.get('a')).nextRunAt).toBe('2024-01-01T00:30:00.000Z');
+
+    const reloaded = new ScheduleStore({ file: path.join(directory, 'items.json'), key: 'items' });
+    expect(await reloaded.list()).toEqual([expect.objectContaining({ id: 'a', intervalMinutes: 30 })]);
+  });
+
+  test('ignores runs of removed items and lets subclasses trim the summary', async () => {
+    const watchlist = new Watchlist({ file: path.join(directory, 'watchlist.json') });
+    const { entry } = await watchlist.add({ appId: 'com.example', intervalMinutes: 60 });
+
+    await watchlist.recordRun(entry.id, run('2024-01-01T00:00:00.000Z', { fetched: 10, added: 2, updated: 1, pages: 1 }));
+    expect((await watchlist.get(entry.id)).lastSummary).toEqual({ fetched: 10, added: 2, updated: 1 });
+
+    expect(await watchlist.remove(entry.id)).toBe(true);
+    await watchlist.recordRun(entry.id, run('2024-01-01T01:00:00.000Z'));
+    expect(await watchlist.list()).toEqual([]);
+  });
+});
@@ -0,0 +1,85 @@
+const IntervalScheduler = require('../services/scheduler');
+
+/**
+ * In-memory entry store planning the next run one minute after each run
+ */
+const createStore = (entries) => ({
+  entries,
+  runs: [],
+  async list() {
+    return this.entries;
+  },
+  async recordRun(id, run) {
+    this.runs.push({ id, ...run });
+    const entry = this.entries.find(item => item.id === id);
+    entry.nextRunAt = new Date(Date.parse(run.finishedAt) + 60000).toISOString();
+  }
+});
+
+const past = (ms) => new Date(Date.now() - ms).toISOString();
+
+describe('IntervalScheduler', () => {
+  let scheduler;
+
+  afterEach(() => {
+    if (scheduler) scheduler.stop();
+  });
+
+  test('runs due entries oldest first and records the outcome', async () => {
+    const store = createStore([
+      { id: 'b', nextRunAt: past(1000) },
+      { id: 'a', nextRunAt: past(5000) },
+      { id: 'later', nextRunAt: new Date(Date.now() + 60000).toISOString() }
+    ]);
+    const run = jest.fn(async entry => ({ ran: entry.id }));
+    scheduler = new IntervalScheduler({ name: 'Test', store, run });
+    scheduler.started = true;
+
+    await scheduler.runDue();
+
+    expect(run.mock.calls.map(([entry]) => entry.id)).toEqual(['a', 'b']);
+    expect(store.runs.map(item => [item.id, item.status, item.summary])).toEqual([
+      ['a', 'success', { ran: 'a' }],
+      ['b', 'success', { ran: 'b' }]
+    ]);
+  });
+
+  test('records failures without stopping the other entries', async () => {
+    const store = createStore([
+      { id: 'a', nextRunAt: past(2000) },
+      { id: 'b', nextRunAt: past(1000) }
+    ]);
+    const run = jest.fn(async (entry) => {
+      if (entry.id === 'a') throw new Error('boom');
+      return {};
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    scheduler = new IntervalScheduler({ name: 'Test', store, run });
+    scheduler.started = true;
+
+    await scheduler.runDue();
+
+    expect(store.runs.map(item => [item.id, item.status, item.error])).toEqual([
+      ['a', 'failed', 'boom'],
+      ['b', 'success', null]
+    ]);
+    console.error.mockRestore();
+  });
+
+  test('arms the timer for the earliest entry', async () => {
+    const nextRunAt = new Date(Date.now() + 60000).toISOString();
+    scheduler = new IntervalScheduler({
+      name: 'Test',
+      store: createStore([{ id: 'a', nextRunAt }]),
+      run: jest.fn()
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    scheduler.start();
+    await scheduler.reschedule();
+
+    expect(scheduler.getStatus().started).toBe(true);
+    expect(Date.parse(scheduler.getStatus().nextWakeAt)).toBeGreaterThanOrEqual(Date.parse(nextRunAt) - 50);
+    console.log.mockRestore();
+  });
+});
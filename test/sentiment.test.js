@@ -0,0 +1,49 @@
+const { analyzeSentiment, addSentiment, summarizeSentiment } = require('../utils/sentiment');
+
+describe('analyzeSentiment', () => {
+  test('scores words and emoji from -1 to 1', () => {
+    expect(analyzeSentiment('Great app, very useful!')).toMatchObject({ label: 'positive' });
+    expect(analyzeSentiment('Keeps crashing, useless garbage 🤬')).toMatchObject({ label: 'negative' });
+    expect(analyzeSentiment('Sehr gut 👍')).toMatchObject({ label: 'positive' });
+    expect(analyzeSentiment('I updated it yesterday')).toEqual({ score: 0, label: 'neutral' });
+    expect(analyzeSentiment(null)).toEqual({ score: 0, label: 'neutral' });
+
+    const { score } = analyzeSentiment('Absolutely love it 😍😍');
+    expect(score).toBeGreaterThan(0.5);
+    expect(score).toBeLessThanOrEqual(1);
+  });
+
+  test('handles negation, intensifiers, capitals and "but"', () => {
+    const score = text => analyzeSentiment(text).score;
+
+    expect(score('not bad at all')).toBeGreaterThan(0);
+    expect(score("I don't like the new update")).toBeLessThan(0);
+    expect(score('no problems so far')).toBeGreaterThan(0);
+    expect(score('very good')).toBeGreaterThan(score('good'));
+    expect(score('slightly annoying')).toBeGreaterThan(score('annoying'));
+    expect(score('This is TERRIBLE')).toBeLessThan(score('This is terrible'));
+    expect(score('Nice design but it crashes all the time')).toBeLessThan(0);
+  });
+});
+
+describe('summarizeSentiment', () => {
+  test('reports the distribution, averages by rating and star/sentiment mismatches', () => {
+    const reviews = [
+      { id: 'gp:1', rating: 5, text: 'Love it, works perfectly' },
+      { id: 'gp:2', rating: 5, text: 'Worst update ever, everything is broken and I hate it' },
+      { id: 'gp:3', rating: 1, text: 'Keeps crashing' },
+      { id: 'gp:4', rating: 3, text: 'Installed it on my tablet' }
+    ];
+
+    const summary = summarizeSentiment(reviews);
+
+    expect(summary.distribution).toEqual({ positive: 1, neutral: 1, negative: 2 });
+    expect(Object.keys(summary.averageByRating).sort()).toEqual(['1', '3', '5']);
+    expect(summary.averageByRating['1']).toBeLessThan(0);
+    expect(summary.mismatches).toEqual([expect.objectContaining({ id: 'gp:2', rating: 5, sentiment: expect.objectContaining({ label: 'negative' }) })]);
+    expect(summarizeSentiment([])).toEqual({ distribution: { positive: 0, neutral: 0, negative: 0 }, averageScore: 0, averageByRating: {}, mismatches: [] });
+
+    expect(addSentiment(reviews)[0].sentiment.label).toBe('positive');
+    expect(reviews[0].sentiment).toBeUndefined();
+  });
+});
@@ -0,0 +1,59 @@
+const { isValidTimeZone, summarizeRatings, computeTimeSeries } = require('../utils/timeSeries');
+
+describe('summarizeRatings', () => {
+  test('averages ratings, weighs them by helpfulness and gives a 95% confidence interval', () => {
+    const summary = summarizeRatings([
+      { rating: 5, helpful: 3 },
+      { rating: 1 },
+      { rating: 4 },
+      { rating: 2 },
+      { rating: 0 }
+    ]);
+
+    expect(summary).toMatchObject({
+      count: 4,
+      averageRating: 3,
+      weightedRating: 3.86,
+      ratingDistribution: { 1: 1, 2: 1, 3: 0, 4: 1, 5: 1 }
+    });
+    expect(summary.confidence).toEqual({ level: 0.95, lower: 1.21, upper: 4.79, margin: 1.79 });
+
+    expect(summarizeRatings([{ rating: 4 }]).confidence).toBeNull();
+    expect(summarizeRatings([]).averageRating).toBeNull();
+  });
+});
+
+describe('computeTimeSeries', () => {
+  const reviews = [
+    { rating: 5, submittedAt: '2024-01-31T23:30:00.000Z' },
+    { rating: 1, submittedAt: '2024-02-01T00:30:00.000Z' },
+    { rating: 4, date: '2024-02-03' },
+    { rating: 3, submittedAt: '2024-02-20T12:00:00.000Z' }
+  ];
+
+  test('buckets reviews by local day, week or month', () => {
+    const months = zone => computeTimeSeries(reviews, { interval: 'month', timeZone: zone }).buckets
+      .map(({ bucket, count }) => [bucket, count]);
+
+    expect(months('UTC')).toEqual([['2024-01', 1], ['2024-02', 3]]);
+    expect(months('America/New_York')).toEqual([['2024-01', 2], ['2024-02', 2]]);
+    expect(months('Asia/Tokyo')).toEqual([['2024-02', 4]]);
+
+    const weeks = computeTimeSeries(reviews, { interval: 'week' }).buckets;
+    expect(weeks.map(bucket => bucket.bucket)).toEqual(['2024-01-29', '2024-02-05', '2024-02-12', '2024-02-19']);
+    expect(weeks[1]).toMatchObject({ count: 0, averageRating: null, weightedRating: null, confidence: null });
+  });
+
+  test('computes rolling averages over the last buckets', () => {
+    const { buckets } = computeTimeSeries(reviews, { interval: 'week', window: 2 });
+
+    expect(buckets.map(bucket => bucket.rollingAverageRating)).toEqual([3.33, 3.33, null, 3]);
+    expect(buckets[0].ratingDistribution).toEqual({ 1: 1, 2: 0, 3: 0, 4: 1, 5: 1 });
+    expect(computeTimeSeries([])).toEqual({ interval: 'month', timeZone: 'UTC', window: 3, buckets: [] });
+  });
+
+  test('recognizes IANA time zones', () => {
+    expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+  });
+});
@@ -0,0 +1,47 @@
+const { tokenize, extractTopics, summarizeTopics } = require('../utils/topics');
+
+const now = new Date('2024-02-01T00:00:00.000Z');
+const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const reviews = [
+  ['App keeps crashing after the update', 1, 2],
+  ['Crashes every time I open it', 1, 5],
+  ['Constant crashing since the last update', 2, 8],
+  ['Too many ads, an ad after every level', 2, 3],
+  ['Ads everywhere. Annoying ads', 1, 40],
+  ['The ads are unbearable', 2, 45],
+  ['Love the dark mode', 5, 10],
+  ['Great dark mode and a clean design', 5, 35],
+  ['Nice', 4, 1]
+].map(([text, rating, age], index) => ({ id: `gp:${index}`, text, rating, submittedAt: daysAgo(age), helpful: index }));
+
+describe('review topics', () => {
+  test('splits texts into runs of content words', () => {
+    expect(tokenize("The app's login screen won't load. Dark mode, 2 stars")).toEqual([
+      ['login', 'screen'], ['load'], ['dark', 'mode']
+    ]);
+  });
+
+  test('groups keyphrases into topics with counts, ratings and examples', () => {
+    const topics = extractTopics(reviews, { maxTopics: 3 });
+
+    expect(topics.map(topic => topic.topic)).toEqual(['crashing', 'ads', 'dark mode']);
+    expect(topics[0]).toMatchObject({ count: 3, averageRating: 1.33, exampleReviewIds: ['gp:2', 'gp:1', 'gp:0'] });
+    expect(topics[2].phrases).toEqual(['dark mode', 'dark', 'mode']);
+    expect(extractTopics([])).toEqual([]);
+  });
+
+  test('compares topic shares with the previous period and lists negative topics', () => {
+    const { topics, negativeTopics, periods } = summarizeTopics(reviews, { days: 30, now });
+
+    expect(periods.current).toEqual({ from: daysAgo(30), to: now.toISOString(), reviews: 6 });
+    expect(periods.previous.reviews).toBe(3);
+
+    const trends = Object.fromEntries(topics.map(topic => [topic.topic, topic.trend]));
+    expect(trends.crashing).toMatchObject({ current: { count: 3, share: 0.5 }, previous: { count: 0, share: 0 }, direction: 'new' });
+    expect(trends.ads).toMatchObject({ current: { count: 1 }, previous: { count: 2 }, change: -0.75, direction: 'falling' });
+
+    expect(negativeTopics.map(topic => topic.topic)).not.toContain('dark mode');
+    expect(negativeTopics.map(topic => topic.topic)).toEqual(expect.arrayContaining(['crashing', 'ads']));
+  });
+});
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('axios');
+
+const axios = require('axios');
+const config = require('../config/config');
+const { WebhookManager } = require('../services/webhooks');
+const { isAllowedTarget, guardedLookup } = require('../utils/webhooks');
+
+const review = (id, overrides = {}) => ({
+  id,
+  text: `Review ${id}`,
+  rating: 4,
+  date: '2024-01-10',
+  ...overrides
+});
+
+describe('WebhookManager', () => {
+  let directory;
+  let manager;
+
+  beforeEach(() => {
+    // Deliveries are attempted by hand; keep the retry timers from firing
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-test-'));
+    manager = new WebhookManager({ file: path.join(directory, 'webhooks.json') });
+    axios.post.mockReset();
+  });
+
+  afterEach(() => {
+    manager.stop();
+    jest.useRealTimers();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('filters reviews by app, rating range and keyword', () => {
+    const filters = { appId: 'com.example', minRating: 1, maxRating: 2, keyword: 'crash' };
+    const data = {
+      appId: 'com.example',
+      reviews: [
+        review('a', { rating: 1, text: 'It CRASHES on start' }),
+        review('b', { rating: 5, text: 'No crash here' }),
+        review('c', { rating: 2, text: 'Slow' })
+      ]
+    };
+
+    expect(manager.filterReviews(filters, data).map(r => r.id)).toEqual(['a']);
+    expect(manager.filterReviews(filters, { ...data, appId: 'com.other' })).toEqual([]);
+  });
+
+  test('signs the timestamp and body with HMAC-SHA256', async () => {
+    const subscription = await manager.createSubscription({ url: 'https://hooks.example/reviews', secret: 'a-very-secret-value' });
+    axios.post.mockResolvedValue({ status: 200 });
+
+    await manager.dispatch('reviews.new', { appId: 'com.example', reviews: [review('a')] });
+    const [delivery] = await manager.getDeliveries(subscription.id);
+    await manager.attempt(delivery);
+
+    const [url, body, { headers }] = axios.post.mock.calls[0];
+    const expected = crypto.createHmac('sha256', 'a-very-secret-value')
+      .update(`${headers['X-Webhook-Timestamp']}.${body}`)
+      .digest('hex');
+
+    expect(url).toBe('https://hooks.example/reviews');
+    expect(headers['X-Webhook-Signature']).toBe(`sha256=${expected}`);
+    expect(JSON.parse(body)).toMatchObject({ event: 'reviews.new', appId: 'com.example', reviews: [{ id: 'a' }] });
+    expect(delivery).toMatchObject({ status: 'delivered', attempts: [{ statusCode: 200, error: null }] });
+  });
+
+  test('skips subscriptions whose events or filters do not match', async () => {
+    const updatesOnly = await manager.createSubscription({ url: 'https://hooks.example/a', events: ['reviews.updated'] });
+    const lowRatings = await manager.createSubscription({ url: 'https://hooks.example/b', filters: { maxRating: 2 } });
+
+    await manager.dispatch('reviews.new', { appId: 'com.example', reviews: [review('a', { rating: 5 })] });
+
+    expect(await manager.getDeliveries(updatesOnly.id)).toEqual([]);
+    expect(await manager.getDeliveries(lowRatings.id)).toEqual([]);
+  });
+
+  test('delivers anomalies whole and only filters them by app', async () => {
+    const subscription = await manager.createSubscription({
+      url: 'https://hooks.example/anomalies',
+      events: ['reviews.anomaly'],
+      filters: { appId: 'com.example', maxRating: 2 }
+    });
+    const anomalies = [{ key: 'rating_drop', type: 'rating_drop', severity: 'high' }];
+
+    await manager.dispatch('reviews.anomaly', { appId: 'com.other', anomalies });
+    await manager.dispatch('reviews.anomaly', { appId: 'com.example', language: 'en', country: 'US', anomalies });
+    const deliveries = await manager.getDeliveries(subscription.id);
+
+    expect(deliveries).toHaveLength(1);
+    expect(deliveries[0].payload).toMatchObject({ event: 'reviews.anomaly', appId: 'com.example', anomalies });
+  });
+
+  test('cancels pending deliveries when the subscription is removed', async () => {
+    const subscription = await manager.createSubscription({ url: 'https://hooks.example/reviews' });
+    await manager.dispatch('reviews.new', { appId: 'com.example', reviews: [review('a')] });
+
+    expect(await manager.removeSubscription(subscription.id)).toBe(true);
+
+    expect((await manager.getDeliveries(subscription.id))[0]).toMatchObject({ status: 'cancelled', nextAttemptAt: null });
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  test('cancels deliveries to a private host instead of sending them', async () => {
+    const subscription = await manager.createSubscription({ url: 'http://169.254.169.254/latest/meta-data' });
+    await manager.dispatch('reviews.new', { appId: 'com.example', reviews: [review('a')] });
+    const [delivery] = await manager.getDeliveries(subscription.id);
+
+    await manager.attempt(delivery);
+
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(delivery.status).toBe('cancelled');
+  });
+
+  test('backs off exponentially up to the maximum delay', () => {
+    const { retryBaseDelay, retryMaxDelay } = config.webhooks;
+
+    expect(manager.backoff(1)).toBe(retryBaseDelay);
+    expect(manager.backoff(3)).toBe(Math.min(retryBaseDelay * 4, retryMaxDelay));
+    expect(manager.backoff(50)).toBe(retryMaxDelay);
+  });
+
+  test('moves a delivery to the dead letters after the last attempt and can requeue it', async () => {
+    const subscription = await manager.createSubscription({ url: 'https://hooks.example/reviews' });
+    axios.post.mockResolvedValue({ status: 500 });
+
+    await manager.dispatch('reviews.new', { appId: 'com.example', reviews: [review('a')] });
+    const [delivery] = await manager.getDeliveries(subscription.id);
+
+    for (let i = 0; i < config.webhooks.maxAttempts; i++) {
+      await manager.attempt(delivery);
+    }
+
+    expect(delivery.status).toBe('dead');
+    expect(delivery.attempts).toHaveLength(config.webhooks.maxAttempts);
+    expect((await manager.getDeadLetters()).map(d => d.id)).toEqual([delivery.id]);
+
+    const requeued = await manager.retryDeadLetter(delivery.id);
+
+    expect(requeued).toMatchObject({ id: delivery.id, status: 'pending', attempts: [] });
+    expect(await manager.getDeadLetters()).toEqual([]);
+    expect(await manager.getDeliveries(subscription.id)).toHaveLength(1);
+  });
+
+  test('persists subscriptions and pending deliveries', async () => {
+    const subscription = await manager.createSubscription({ url: 'https://hooks.example/reviews' });
+    await manager.dispatch('reviews.new', { appId: 'com.example', reviews: [review('a')] });
+
+    const reloaded = new WebhookManager({ file: path.join(directory, 'webhooks.json') });
+
+    expect((await reloaded.getSubscription(subscription.id)).secret).toBe(subscription.secret);
+    expect((await reloaded.getDeliveries(subscription.id))[0]).toMatchObject({ status: 'pending' });
+  });
+});
+
+describe('webhook targets', () => {
+  afterEach(() => {
+    config.webhooks.allowedHosts = [];
+  });
+
+  test('refuses localhost, private, loopback and link-local hosts', () => {
+    [
+      'http://localhost:8080/hook',
+      'http://api.localhost/hook',
+      'http://127.0.0.1/hook',
+      'http://2130706433/hook',
+      'http://10.1.2.3/hook',
+      'http://172.20.0.1/hook',
+      'http://192.168.1.10/hook',
+      'http://169.254.169.254/latest/meta-data',
+      'http://[::1]/hook',
+      'http://[::ffff:127.0.0.1]/hook',
+      'http://[::ffff:7f00:1]/hook',
+      'http://[::127.0.0.1]/hook',
+      'http://[::7f00:1]/hook',
+      'http://[::ffff:0:10.0.0.1]/hook',
+      'http://[64:ff9b::169.254.169.254]/hook',
+      'http://[::]/hook',
+      'http://[fd00::1]/hook',
+      'http://[fe80::1]/hook',
+      'ftp://hooks.example/hook'
+    ].forEach(url => expect([url, isAllowedTarget(url)]).toEqual([url, false]));
+
+    ['https://hooks.example/reviews', 'http://8.8.8.8/hook', 'http://172.32.0.1/hook', 'http://[2001:db8::1]/hook', 'http://[::8.8.8.8]/hook', 'http://[::ffff:808:808]/hook']
+      .forEach(url => expect([url, isAllowedTarget(url)]).toEqual([url, true]));
+  });
+
+  test('allows private hosts listed in the allowlist', () => {
+    config.webhooks.allowedHosts = ['localhost'];
+
+    expect(isAllowedTarget('http://localhost:8080/hook')).toBe(true);
+    expect(isAllowedTarget('http://127.0.0.1/hook')).toBe(false);
+  });
+
+  test('refuses host names that resolve to a private address', (done) => {
+    guardedLookup('localhost', {}, (error) => {
+      expect(error).toMatchObject({ code: 'EADDRNOTALLOWED' });
+      done();
+    });
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Play Store top chart identifiers
+ */
+
+// Chart names accepted by the API, mapped to the store's collection IDs
+const CHART_COLLECTIONS = {
+  'topfree': 'topselling_free',
+  'toppaid': 'topselling_paid',
+  'topgrossing': 'topgrossing'
+};
+
+// Category IDs a chart can be narrowed to; APPLICATION covers all apps, GAME all games
+const CHART_CATEGORIES = [
+  'APPLICATION', 'ANDROID_WEAR', 'ART_AND_DESIGN', 'AUTO_AND_VEHICLES', 'BEAUTY', 'BOOKS_AND_REFERENCE',
+  'BUSINESS', 'COMICS', 'COMMUNICATION', 'DATING', 'EDUCATION', 'ENTERTAINMENT', 'EVENTS', 'FINANCE',
+  'FOOD_AND_DRINK', 'HEALTH_AND_FITNESS', 'HOUSE_AND_HOME', 'LIBRARIES_AND_DEMO', 'LIFESTYLE',
+  'MAPS_AND_NAVIGATION', 'MEDICAL', 'MUSIC_AND_AUDIO', 'NEWS_AND_MAGAZINES', 'PARENTING',
+  'PERSONALIZATION', 'PHOTOGRAPHY', 'PRODUCTIVITY', 'SHOPPING', 'SOCIAL', 'SPORTS', 'TOOLS',
+  'TRAVEL_AND_LOCAL', 'VIDEO_PLAYERS', 'WATCH_FACE', 'WEATHER', 'FAMILY',
+  'GAME', 'GAME_ACTION', 'GAME_ADVENTURE', 'GAME_ARCADE', 'GAME_BOARD', 'GAME_CARD', 'GAME_CASINO',
+  'GAME_CASUAL', 'GAME_EDUCATIONAL', 'GAME_MUSIC', 'GAME_PUZZLE', 'GAME_RACING', 'GAME_ROLE_PLAYING',
+  'GAME_SIMULATION', 'GAME_SPORTS', 'GAME_STRATEGY', 'GAME_TRIVIA', 'GAME_WORD'
+];
+
+// Most apps a chart request may ask for
+const MAX_CHART_SIZE = 200;
+
+module.exports = {
+  CHART_COLLECTIONS,
+  CHART_CATEGORIES,
+  MAX_CHART_SIZE
+};
@@ -0,0 +1,78 @@
+/**
+ * Opaque pagination cursors
+ *
+ * Wraps a Play Store continuation token together with the parameters it was
+ * issued for, so a cursor can only be replayed against the same listing.
+ * Filtered listings can stop part-way through a page; the cursor then also
+ * records how many reviews of that page were already handed out.
+ */
+
+const CURSOR_VERSION = 1;
+
+/**
+ * Encode a continuation token into an opaque cursor string
+ * @param {Object} state - Cursor state
+ * @param {string} state.token - Play Store continuation token
+ * @param {string} state.sort - Sort order the token belongs to
+ * @param {string} state.language - Language the token belongs to
+ * @param {string} state.country - Country the token belongs to
+ * @param {string} [state.source] - Listing the token belongs to (live or store)
+ * @param {number} [state.skip] - Reviews of the token's page already handed out
+ * @param {string|null} [state.filters] - Signature of the filters the page was built with
+ * @returns {string} URL-safe cursor
+ */
+const encodeCursor = ({ token, sort, language, country, source = 'live', skip = 0, filters = null }) => {
+  const payload = JSON.stringify({
+    v: CURSOR_VERSION,
+    t: token,
+    s: sort,
+    hl: language,
+    gl: country,
+    src: source,
+    ...(skip > 0 ? { k: skip } : {}),
+    ...(filters ? { f: filters } : {})
+  });
+
+  return Buffer.from(payload, 'utf8').toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor string from a previous response
+ * @returns {Object|null} Cursor state, or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string' || !cursor) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    const skip = payload && payload.k !== undefined ? payload.k : 0;
+    if (!payload || payload.v !== CURSOR_VERSION || typeof payload.t !== 'string' ||
+        !Number.isInteger(skip) || skip < 0) {
+      return null;
+    }
+
+    // Only a cursor into the first page (no token yet) may lack a token
+    if (!payload.t && skip === 0) {
+      return null;
+    }
+
+    return {
+      token: payload.t,
+      sort: payload.s,
+      language: payload.hl,
+      country: payload.gl,
+      source: payload.src || 'live',
+      skip,
+      filters: payload.f || null
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor
+};
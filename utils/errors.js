@@ -0,0 +1,115 @@
+/**
+ * Error types shared by services and routes
+ */
+
+/**
+ * Raised when the Play Store could not be reached or returned unusable data
+ */
+class UpstreamError extends Error {
+  /**
+   * @param {string} message - Human readable description
+   * @param {Object} details - Error details
+   * @param {string} details.code - Machine readable code (UPSTREAM_*)
+   * @param {number} [details.upstreamStatus] - HTTP status returned by the Play Store
+   * @param {string} [details.extraction] - Extraction path that failed
+   */
+  constructor(message, { code = 'UPSTREAM_UNAVAILABLE', upstreamStatus = null, extraction = null } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.code = code;
+    this.upstreamStatus = upstreamStatus;
+    this.extraction = extraction;
+  }
+}
+
+/**
+ * Wrap a low-level failure (axios, JSON parsing) into an UpstreamError
+ * @param {Error} error - Original error
+ * @param {string} extraction - Extraction path that was running
+ * @returns {UpstreamError} Typed upstream error
+ */
+const toUpstreamError = (error, extraction) => {
+  if (error instanceof UpstreamError) return error;
+
+  if (error.response) {
+    return new UpstreamError(`Play Store responded with HTTP ${error.response.status}`, {
+      code: 'UPSTREAM_HTTP_ERROR',
+      upstreamStatus: error.response.status,
+      extraction
+    });
+  }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new UpstreamError('Play Store request timed out', { code: 'UPSTREAM_TIMEOUT', extraction });
+  }
+
+  if (error instanceof SyntaxError) {
+    return new UpstreamError(`Could not decode Play Store response: ${error.message}`, {
+      code: 'UPSTREAM_PARSE_ERROR',
+      extraction
+    });
+  }
+
+  return new UpstreamError(`Play Store is unreachable: ${error.message}`, { code: 'UPSTREAM_UNAVAILABLE', extraction });
+};
+
+/**
+ * Tell whether the Play Store answered that the requested page does not exist
+ * @param {Error} error - Error thrown by a service
+ * @returns {boolean} True for an upstream HTTP 404
+ */
+const isUpstreamNotFound = (error) => error instanceof UpstreamError && error.upstreamStatus === 404;
+
+/**
+ * Pick the HTTP status a route should answer with for an error
+ * @param {Error} error - Error thrown by a service
+ * @param {Object} [options] - Options
+ * @param {Object} [options.notFound] - { error, message } answered with 404 when the Play Store has no such page
+ * @returns {number} HTTP status code
+ */
+const statusForError = (error, { notFound = null } = {}) => {
+  if (notFound && isUpstreamNotFound(error)) return 404;
+  return error instanceof UpstreamError ? 502 : 500;
+};
+
+/**
+ * Build the JSON body for a failed request
+ * @param {Error} error - Error thrown by a service
+ * @param {string} fallbackMessage - Error title used for unexpected errors
+ * @param {Object} [options] - Options, as for statusForError
+ * @returns {Object} Response body
+ */
+const errorResponse = (error, fallbackMessage, { notFound = null } = {}) => {
+  if (notFound && isUpstreamNotFound(error)) {
+    return {
+      success: false,
+      error: notFound.error,
+      message: notFound.message
+    };
+  }
+
+  if (error instanceof UpstreamError) {
+    return {
+      success: false,
+      error: 'Upstream Play Store request failed',
+      code: error.code,
+      upstreamStatus: error.upstreamStatus,
+      extraction: error.extraction,
+      message: error.message
+    };
+  }
+
+  return {
+    success: false,
+    error: fallbackMessage,
+    message: error.message
+  };
+};
+
+module.exports = {
+  UpstreamError,
+  toUpstreamError,
+  statusForError,
+  isUpstreamNotFound,
+  errorResponse
+};
@@ -0,0 +1,99 @@
+/**
+ * Review export formats
+ *
+ * Each format turns reviews into text chunks one row at a time, so an export
+ * can be streamed without holding the whole dataset in memory.
+ */
+
+// Review fields that can be exported
+const EXPORT_COLUMNS = [
+  'id', 'author', 'avatar', 'rating', 'date', 'submittedAt', 'text', 'appVersion', 'helpful', 'thumbsUp',
+  'replyText', 'replyDate', 'language', 'country', 'source', 'firstSeenAt', 'lastSeenAt', 'updatedAt'
+];
+const DEFAULT_COLUMNS = ['id', 'author', 'rating', 'date', 'text', 'helpful'];
+
+const EXPORT_FORMATS = ['csv', 'ndjson', 'json'];
+
+// Lets Excel detect UTF-8 instead of the system code page
+const UTF8_BOM = '\uFEFF';
+
+/**
+ * Escape a value for a CSV field (RFC 4180)
+ * Fields holding a delimiter, a quote, a line break or surrounding spaces are
+ * quoted; quotes inside are doubled. Line breaks are kept, so multiline
+ * review text stays in a single cell.
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/[",\r\n]|^\s|\s$/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Pick the selected columns of a review
+ * @param {Object} review - Review
+ * @param {Array} columns - Column names
+ * @returns {Object} Review with only the selected columns
+ */
+const pickColumns = (review, columns) => columns.reduce((row, column) => {
+  row[column] = review[column] !== undefined ? review[column] : null;
+  return row;
+}, {});
+
+/**
+ * Create a row formatter for an export format
+ * @param {string} format - csv, ndjson or json
+ * @param {Object} options - Options
+ * @param {Array} options.columns - Columns to export
+ * @param {boolean} options.bom - Prefix CSV output with a UTF-8 BOM
+ * @returns {Object} Formatter with contentType, extension and head(), row(review) and tail() chunk builders
+ */
+const createFormatter = (format, { columns = DEFAULT_COLUMNS, bom = true } = {}) => {
+  switch (format) {
+    case 'csv':
+      return {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        head: () => `${bom ? UTF8_BOM : ''}${columns.map(escapeCsv).join(',')}\r\n`,
+        row: (review) => `${columns.map(column => escapeCsv(review[column])).join(',')}\r\n`,
+        tail: () => ''
+      };
+
+    case 'ndjson':
+      return {
+        contentType: 'application/x-ndjson; charset=utf-8',
+        extension: 'ndjson',
+        head: () => '',
+        row: (review) => `${JSON.stringify(pickColumns(review, columns))}\n`,
+        tail: () => ''
+      };
+
+    case 'json': {
+      let rows = 0;
+      return {
+        contentType: 'application/json; charset=utf-8',
+        extension: 'json',
+        head: () => '[',
+        row: (review) => `${rows++ > 0 ? ',' : ''}\n${JSON.stringify(pickColumns(review, columns))}`,
+        tail: () => (rows > 0 ? '\n]\n' : ']\n')
+      };
+    }
+
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  EXPORT_FORMATS,
+  escapeCsv,
+  createFormatter
+};
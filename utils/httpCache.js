@@ -0,0 +1,51 @@
+/**
+ * HTTP caching helpers for routes served through the response cache
+ */
+
+/**
+ * Check whether the client asked to bypass the cache
+ * Accepts `refresh=true` or a `Cache-Control: no-cache` request header.
+ * @param {Object} req - Express request object
+ * @returns {boolean} True when a fresh upstream fetch is requested
+ */
+const wantsRefresh = (req) => {
+  const { refresh } = req.query;
+  if (refresh === 'true' || refresh === '1') return true;
+
+  const cacheControl = req.get('Cache-Control') || '';
+  return /no-cache|no-store/i.test(cacheControl) || req.get('Pragma') === 'no-cache';
+};
+
+/**
+ * Set ETag and Cache-Control headers from cache metadata
+ * Express answers conditional requests with 304 once the ETag is set.
+ * @param {Object} res - Express response object
+ * @param {Object|null} cache - Cache metadata returned by the service
+ */
+const setCacheHeaders = (res, cache) => {
+  if (!cache) {
+    res.set('Cache-Control', 'no-store');
+    return;
+  }
+
+  res.set({
+    'ETag': cache.etag,
+    'Cache-Control': `public, max-age=${cache.maxAge}`,
+    'X-Cache': cache.hit ? 'HIT' : 'MISS'
+  });
+};
+
+/**
+ * Build the cache part of the response metadata
+ * @param {Object|null} cache - Cache metadata returned by the service
+ * @returns {Object|null} Metadata for the response body
+ */
+const cacheMetadata = (cache) => (cache
+  ? { hit: cache.hit, storedAt: cache.storedAt, expiresAt: cache.expiresAt }
+  : null);
+
+module.exports = {
+  wantsRefresh,
+  setCacheHeaders,
+  cacheMetadata
+};
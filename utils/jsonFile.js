@@ -0,0 +1,54 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Small JSON document persisted to disk
+ *
+ * Used by subsystems that keep their state in a single file (watchlist,
+ * webhooks, ...). Writes go to a temporary file first and are serialized, so
+ * the file on disk is always a complete document.
+ */
+class JsonFile {
+  /**
+   * @param {string} file - Path of the JSON file
+   * @param {*} defaults - Value used when the file does not exist yet
+   */
+  constructor(file, defaults) {
+    this.file = file;
+    this.defaults = defaults;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  /**
+   * Read the document
+   * @returns {*} Parsed document, or a copy of the defaults
+   */
+  async read() {
+    try {
+      return JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return JSON.parse(JSON.stringify(this.defaults));
+    }
+  }
+
+  /**
+   * Replace the document
+   * @param {*} data - Document to write
+   */
+  async write(data) {
+    const contents = JSON.stringify(data, null, 2);
+
+    this.pendingWrite = this.pendingWrite.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+
+      const tempFile = `${this.file}.${process.pid}.tmp`;
+      await fs.writeFile(tempFile, contents);
+      await fs.rename(tempFile, this.file);
+    });
+
+    return this.pendingWrite;
+  }
+}
+
+module.exports = JsonFile;
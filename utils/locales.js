@@ -0,0 +1,116 @@
+/**
+ * Play Store locale codes
+ *
+ * `hl` selects the language of the store (and of the reviews returned),
+ * `gl` the country whose store is queried.
+ */
+
+const config = require('../config/config');
+
+// Interface languages offered by Google Play
+const LANGUAGES = [
+  'af', 'am', 'ar', 'az', 'be', 'bg', 'bn', 'bs', 'ca', 'cs', 'da', 'de', 'el', 'en', 'en-AU', 'en-CA',
+  'en-GB', 'en-IN', 'en-SG', 'en-ZA', 'es', 'es-419', 'es-ES', 'es-US', 'et', 'eu', 'fa', 'fi', 'fil',
+  'fr', 'fr-CA', 'gl', 'gu', 'he', 'hi', 'hr', 'hu', 'hy', 'id', 'is', 'it', 'iw', 'ja', 'ka', 'kk',
+  'km', 'kn', 'ko', 'ky', 'lo', 'lt', 'lv', 'mk', 'ml', 'mn', 'mr', 'ms', 'my', 'ne', 'nl', 'no', 'pa',
+  'pl', 'pt', 'pt-BR', 'pt-PT', 'rm', 'ro', 'ru', 'si', 'sk', 'sl', 'sq', 'sr', 'sv', 'sw', 'ta', 'te',
+  'th', 'tr', 'uk', 'ur', 'uz', 'vi', 'zh', 'zh-CN', 'zh-HK', 'zh-TW', 'zu'
+];
+
+// ISO 3166-1 alpha-2 country codes
+const COUNTRIES = [
+  'AD', 'AE', 'AF', 'AG', 'AI', 'AL', 'AM', 'AO', 'AQ', 'AR', 'AS', 'AT', 'AU', 'AW', 'AX', 'AZ', 'BA',
+  'BB', 'BD', 'BE', 'BF', 'BG', 'BH', 'BI', 'BJ', 'BL', 'BM', 'BN', 'BO', 'BQ', 'BR', 'BS', 'BT', 'BV',
+  'BW', 'BY', 'BZ', 'CA', 'CC', 'CD', 'CF', 'CG', 'CH', 'CI', 'CK', 'CL', 'CM', 'CN', 'CO', 'CR', 'CU',
+  'CV', 'CW', 'CX', 'CY', 'CZ', 'DE', 'DJ', 'DK', 'DM', 'DO', 'DZ', 'EC', 'EE', 'EG', 'EH', 'ER', 'ES',
+  'ET', 'FI', 'FJ', 'FK', 'FM', 'FO', 'FR', 'GA', 'GB', 'GD', 'GE', 'GF', 'GG', 'GH', 'GI', 'GL', 'GM',
+  'GN', 'GP', 'GQ', 'GR', 'GS', 'GT', 'GU', 'GW', 'GY', 'HK', 'HM', 'HN', 'HR', 'HT', 'HU', 'ID', 'IE',
+  'IL', 'IM', 'IN', 'IO', 'IQ', 'IR', 'IS', 'IT', 'JE', 'JM', 'JO', 'JP', 'KE', 'KG', 'KH', 'KI', 'KM',
+  'KN', 'KP', 'KR', 'KW', 'KY', 'KZ', 'LA', 'LB', 'LC', 'LI', 'LK', 'LR', 'LS', 'LT', 'LU', 'LV', 'LY',
+  'MA', 'MC', 'MD', 'ME', 'MF', 'MG', 'MH', 'MK', 'ML', 'MM', 'MN', 'MO', 'MP', 'MQ', 'MR', 'MS', 'MT',
+  'MU', 'MV', 'MW', 'MX', 'MY', 'MZ', 'NA', 'NC', 'NE', 'NF', 'NG', 'NI', 'NL', 'NO', 'NP', 'NR', 'NU',
+  'NZ', 'OM', 'PA', 'PE', 'PF', 'PG', 'PH', 'PK', 'PL', 'PM', 'PN', 'PR', 'PS', 'PT', 'PW', 'PY', 'QA',
+  'RE', 'RO', 'RS', 'RU', 'RW', 'SA', 'SB', 'SC', 'SD', 'SE', 'SG', 'SH', 'SI', 'SJ', 'SK', 'SL', 'SM',
+  'SN', 'SO', 'SR', 'SS', 'ST', 'SV', 'SX', 'SY', 'SZ', 'TC', 'TD', 'TF', 'TG', 'TH', 'TJ', 'TK', 'TL',
+  'TM', 'TN', 'TO', 'TR', 'TT', 'TV', 'TW', 'TZ', 'UA', 'UG', 'UM', 'US', 'UY', 'UZ', 'VA', 'VC', 'VE',
+  'VG', 'VI', 'VN', 'VU', 'WF', 'WS', 'YE', 'YT', 'ZA', 'ZM', 'ZW'
+];
+
+// Most locales a single fan-out request may ask for
+const MAX_LOCALES = 10;
+
+const languagesByLowerCase = new Map(LANGUAGES.map(code => [code.toLowerCase(), code]));
+
+/**
+ * Normalize a language code, e.g. "pt-br" -> "pt-BR"
+ * @param {*} code - Language code from a request
+ * @returns {string|null} Canonical code, or null when unknown
+ */
+const normalizeLanguage = (code) => {
+  if (typeof code !== 'string') return null;
+  return languagesByLowerCase.get(code.trim().toLowerCase().replace('_', '-')) || null;
+};
+
+/**
+ * Normalize a country code, e.g. "de" -> "DE"
+ * @param {*} code - Country code from a request
+ * @returns {string|null} Canonical code, or null when unknown
+ */
+const normalizeCountry = (code) => {
+  if (typeof code !== 'string') return null;
+  const upper = code.trim().toUpperCase();
+  return COUNTRIES.includes(upper) ? upper : null;
+};
+
+/**
+ * Parse a locale list such as "en-IN,pt-BR,de-DE"
+ * Each entry is a language and a country joined by a hyphen; the country is
+ * the last part, so languages with a region ("es-419-MX") work as well.
+ * @param {string} value - Comma-separated locales
+ * @returns {Array|null} Locales ({ language, country }), or null when an entry is invalid
+ */
+const parseLocales = (value) => {
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  const locales = [];
+  for (const entry of value.split(',').map(part => part.trim())) {
+    const separator = entry.lastIndexOf('-');
+    const language = separator > 0 ? normalizeLanguage(entry.slice(0, separator)) : null;
+    const country = separator > 0 ? normalizeCountry(entry.slice(separator + 1)) : null;
+    if (!language || !country) return null;
+
+    if (!locales.some(locale => locale.language === language && locale.country === country)) {
+      locales.push({ language, country });
+    }
+  }
+  return locales;
+};
+
+/**
+ * Resolve the hl/gl parameters of a request, falling back to the configured locale
+ * @param {string} [hl] - Language code
+ * @param {string} [gl] - Country code
+ * @returns {Object} Locale ({ language, country })
+ */
+const resolveLocale = (hl, gl) => ({
+  language: normalizeLanguage(hl) || config.playStore.language,
+  country: normalizeCountry(gl) || config.playStore.country
+});
+
+/**
+ * Format a locale as used in locale lists
+ * @param {Object} locale - Locale ({ language, country })
+ * @returns {string} Locale tag, e.g. "pt-BR"
+ */
+const formatLocale = ({ language, country }) => `${language}-${country}`;
+
+module.exports = {
+  LANGUAGES,
+  COUNTRIES,
+  MAX_LOCALES,
+  normalizeLanguage,
+  normalizeCountry,
+  parseLocales,
+  resolveLocale,
+  formatLocale
+};
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const RE2 = require('re2');
+
+/**
+ * Review filters
+ *
+ * Filters narrow a review listing before its limit is applied. They come
+ * from the query string (strings) or a JSON body (numbers, booleans and
+ * arrays are accepted too); validation rejects malformed values, so parsing
+ * here assumes valid input.
+ */
+
+// Request parameters that filter reviews
+const FILTER_PARAMS = ['minRating', 'maxRating', 'rating', 'since', 'until', 'version', 'hasReply', 'minHelpful', 'minLength', 'maxLength', 'q', 'regex'];
+
+// Longest accepted keyword and pattern
+const MAX_FILTER_TEXT = 100;
+
+/**
+ * Split a list parameter given as "1,2" or [1, 2]
+ * @param {*} value - Parameter value
+ * @returns {Array} Trimmed string items
+ */
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => String(item).trim());
+
+/**
+ * Turn a since/until parameter into a timestamp
+ * A bare date (YYYY-MM-DD) used as `until` covers that whole day.
+ * @param {*} value - Date or date-time
+ * @param {boolean} endOfDay - Whether a bare date means the end of the day
+ * @returns {number} Milliseconds since the epoch
+ */
+const toTime = (value, endOfDay = false) => {
+  const text = String(value);
+  const time = Date.parse(text);
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+};
+
+/**
+ * Parse the review filters of a request
+ * @param {Object} params - Query string or request body
+ * @returns {Object|null} Normalized filters, or null when none are given
+ */
+const parseFilters = (params = {}) => {
+  const given = FILTER_PARAMS.filter(name => params[name] !== undefined && params[name] !== '');
+  if (given.length === 0) return null;
+
+  const filters = {};
+  const value = name => params[name];
+
+  if (given.includes('minRating')) filters.minRating = parseInt(value('minRating'));
+  if (given.includes('maxRating')) filters.maxRating = parseInt(value('maxRating'));
+  if (given.includes('rating')) filters.ratings = [...new Set(toList(value('rating')).map(Number))].sort();
+  if (given.includes('since')) filters.since = new Date(toTime(value('since'))).toISOString();
+  if (given.includes('until')) filters.until = new Date(toTime(value('until'), true)).toISOString();
+  if (given.includes('version')) filters.version = String(value('version')).trim();
+  if (given.includes('hasReply')) filters.hasReply = String(value('hasReply')) === 'true';
+  if (given.includes('minHelpful')) filters.minHelpful = parseInt(value('minHelpful'));
+  if (given.includes('minLength')) filters.minLength = parseInt(value('minLength'));
+  if (given.includes('maxLength')) filters.maxLength = parseInt(value('maxLength'));
+  if (given.includes('q')) filters.q = String(value('q')).trim().toLowerCase();
+  if (given.includes('regex')) filters.regex = String(value('regex'));
+
+  return filters;
+};
+
+/**
+ * Compile a regex filter
+ * RE2 matches in linear time, so a client-supplied pattern such as (a+)+$
+ * cannot block the event loop. It has no backreferences or lookarounds.
+ * @param {string} source - Pattern, matched case-insensitively
+ * @returns {RE2} Compiled pattern
+ * @throws {SyntaxError} When the pattern is invalid or uses unsupported syntax
+ */
+const compilePattern = (source) => new RE2(source, 'i');
+
+/**
+ * Build a predicate that tells whether a review passes the filters
+ * @param {Object|null} filters - Filters from parseFilters
+ * @returns {Function|null} Predicate, or null when there is nothing to filter
+ */
+const createReviewFilter = (filters) => {
+  if (!filters) return null;
+
+  const pattern = filters.regex !== undefined ? compilePattern(filters.regex) : null;
+  const since = filters.since !== undefined ? Date.parse(filters.since) : null;
+  const until = filters.until !== undefined ? Date.parse(filters.until) : null;
+
+  return (review) => {
+    const rating = review.rating || 0;
+    const text = review.text || '';
+
+    if (filters.minRating !== undefined && rating < filters.minRating) return false;
+    if (filters.maxRating !== undefined && rating > filters.maxRating) return false;
+    if (filters.ratings && !filters.ratings.includes(rating)) return false;
+
+    if (since !== null || until !== null) {
+      const time = Date.parse(review.submittedAt || review.date);
+      if (isNaN(time)) return false;
+      if (since !== null && time < since) return false;
+      if (until !== null && time > until) return false;
+    }
+
+    // "2.24" matches 2.24 itself and every 2.24.x build
+    if (filters.version !== undefined) {
+      const version = review.appVersion || '';
+      if (version !== filters.version && !version.startsWith(`${filters.version}.`)) return false;
+    }
+
+    if (filters.hasReply !== undefined && Boolean(review.replyText) !== filters.hasReply) return false;
+    if (filters.minHelpful !== undefined && (review.helpful || 0) < filters.minHelpful) return false;
+    if (filters.minLength !== undefined && text.length < filters.minLength) return false;
+    if (filters.maxLength !== undefined && text.length > filters.maxLength) return false;
+    if (filters.q !== undefined && !text.toLowerCase().includes(filters.q)) return false;
+    if (pattern && !pattern.test(text)) return false;
+
+    return true;
+  };
+};
+
+/**
+ * Fingerprint a set of filters
+ * Cursors carry it so a page can only be continued with the same filters.
+ * @param {Object|null} filters - Filters from parseFilters
+ * @returns {string|null} Short hash, or null when there are no filters
+ */
+const filterSignature = (filters) => {
+  if (!filters) return null;
+
+  const canonical = JSON.stringify(Object.keys(filters).sort().map(name => [name, filters[name]]));
+  return crypto.createHash('sha1').update(canonical).digest('hex').slice(0, 12);
+};
+
+module.exports = {
+  FILTER_PARAMS,
+  MAX_FILTER_TEXT,
+  parseFilters,
+  compilePattern,
+  createReviewFilter,
+  filterSignature
+};
@@ -0,0 +1,220 @@
+/**
+ * Review sentiment
+ *
+ * A small lexicon and rule-based analyzer in the spirit of VADER: words and
+ * emoji carry a valence from -4 to 4, which negations flip, intensifiers
+ * and capitals strengthen, and "but" shifts towards the clause after it.
+ * It runs locally on each review's text; the word list is English, so other
+ * languages are scored on their emoji only.
+ */
+
+// Word valences, from -4 (very negative) to 4 (very positive)
+const WORDS = {
+  // Positive
+  love: 3, loved: 3, loving: 2, loves: 3, like: 1, liked: 2, likes: 1, enjoy: 2, enjoyed: 2,
+  good: 2, great: 3, excellent: 3, amazing: 4, awesome: 4, fantastic: 4, wonderful: 4,
+  perfect: 3, best: 3, better: 2, nice: 2, cool: 1, fine: 1, ok: 1, okay: 1, decent: 1, solid: 2,
+  brilliant: 3, superb: 4, outstanding: 4, incredible: 3, beautiful: 3, clean: 1, smooth: 2,
+  fast: 1, quick: 1, easy: 2, simple: 1, intuitive: 2, useful: 2, helpful: 2, handy: 2,
+  reliable: 2, stable: 1, convenient: 2, recommend: 2, recommended: 2, happy: 3, glad: 2,
+  satisfied: 2, pleased: 2, impressed: 3, fun: 2, favorite: 2, favourite: 2, worth: 2,
+  thanks: 2, thank: 2, fixed: 1, improved: 2, improvement: 2, works: 1, working: 1, wow: 3,
+  lifesaver: 3, flawless: 3, gorgeous: 3, polished: 2, responsive: 1, friendly: 2, free: 1,
+  // Negative
+  bad: -3, terrible: -3, horrible: -3, awful: -3, worst: -3, worse: -3, poor: -2, useless: -3,
+  hate: -3, hated: -3, hates: -3, dislike: -2, annoying: -2, annoyed: -2, annoyance: -2,
+  frustrating: -2, frustrated: -2, disappointed: -2, disappointing: -2, disappointment: -2,
+  angry: -3, furious: -4, ridiculous: -3, pathetic: -3, garbage: -3, trash: -3, junk: -3,
+  rubbish: -3, crap: -3, scam: -4, fraud: -4, stupid: -2, sucks: -3, suck: -3, broken: -2,
+  broke: -2, bug: -1, bugs: -2, buggy: -2, glitch: -1, glitches: -2, glitchy: -2,
+  crash: -2, crashes: -2, crashing: -2, crashed: -2, freeze: -2, freezes: -2, frozen: -2,
+  lag: -2, laggy: -2, lags: -2, slow: -2, error: -2, errors: -2, fail: -2, fails: -2,
+  failed: -2, failing: -2, failure: -2, problem: -2, problems: -2, issue: -1, issues: -1,
+  wrong: -2, missing: -1, lost: -2, lose: -2, unusable: -3, unreliable: -2, unstable: -2,
+  confusing: -2, complicated: -1, spam: -2, ads: -1, expensive: -2, overpriced: -2,
+  waste: -3, wasted: -3, uninstall: -2, uninstalled: -2, uninstalling: -2, refund: -2,
+  shame: -2, sad: -2, unfortunately: -2, ugly: -2, worthless: -3, disgusting: -3, fake: -3,
+  irritating: -2, nightmare: -3, sucked: -3, cheated: -3, misleading: -3, avoid: -2
+};
+
+// Emoji and emoticon valences
+const EMOJI = {
+  '😀': 2, '😃': 2, '😄': 2, '😁': 2, '😊': 2, '🙂': 1, '😍': 3, '🥰': 3, '😘': 2, '🤩': 3,
+  '😂': 1, '🤣': 1, '😎': 2, '👍': 2, '👏': 2, '🙌': 2, '💯': 2, '🔥': 2, '⭐': 2, '🌟': 2,
+  '❤': 3, '💕': 3, '💖': 3, '💙': 2, '💚': 2, '🎉': 2, '✅': 1, '🙏': 1,
+  '😞': -2, '😔': -2, '😟': -2, '🙁': -1, '☹': -2, '😕': -1, '😢': -2, '😭': -3, '😩': -2,
+  '😫': -2, '😤': -2, '😠': -3, '😡': -3, '🤬': -4, '🤮': -3, '🤢': -2, '💩': -3, '👎': -2,
+  '💔': -3, '😒': -2, '🙄': -2, '😑': -1, '❌': -1, '🐌': -1,
+  ':)': 2, ':-)': 2, ':d': 2, ':-d': 2, ';)': 1, ';-)': 1, ':p': 1, ':(': -2, ':-(': -2
+};
+
+// Words that flip the valence of the sentiment words after them
+const NEGATIONS = new Set([
+  'not', 'no', 'never', 'none', 'nothing', 'nobody', 'neither', 'nor', 'without', 'hardly',
+  'barely', 'cannot', 'cant', 'dont', 'doesnt', 'didnt', 'isnt', 'wasnt', 'wont', 'aint'
+]);
+
+// Words that strengthen (positive) or soften (negative) the word after them
+const INTENSIFIERS = {
+  very: 0.3, really: 0.3, so: 0.3, super: 0.3, extremely: 0.4, incredibly: 0.4, totally: 0.3,
+  absolutely: 0.4, completely: 0.3, truly: 0.3, highly: 0.3, too: 0.2, most: 0.2, such: 0.2,
+  quite: 0.1, pretty: 0.1, slightly: -0.3, somewhat: -0.3, kinda: -0.3, little: -0.2, bit: -0.2
+};
+
+// How many words back a negation still applies
+const NEGATION_SCOPE = 3;
+// Factor applied to a negated valence ("not good" is milder than "bad")
+const NEGATION_FACTOR = -0.75;
+// Scores from this far from zero get a label other than neutral
+const NEUTRAL_BAND = 0.05;
+// Distance from zero at which a score contradicts a 1-2 or 4-5 star rating
+const MISMATCH_SCORE = 0.3;
+// Most mismatches listed in a summary
+const MAX_MISMATCHES = 10;
+// How fast the normalized score approaches -1 or 1
+const NORMALIZATION_ALPHA = 15;
+
+// Words, numbers, emoticons and pictographic emoji
+const TOKEN_PATTERN = /[:;]-?[()dDpP]|[\p{L}\p{N}][\p{L}\p{N}'’]*|\p{Extended_Pictographic}/gu;
+
+/**
+ * Round a score for output
+ * @param {number} value - Score
+ * @returns {number} Score rounded to three decimals
+ */
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Tell whether a token negates what follows it
+ * @param {string} word - Lowercased token
+ * @returns {boolean} Whether it is a negation
+ */
+const isNegation = (word) => NEGATIONS.has(word) || /n['’]t$/.test(word);
+
+/**
+ * Label a normalized score
+ * @param {number} score - Score from -1 to 1
+ * @returns {string} positive, negative or neutral
+ */
+const labelFor = (score) => {
+  if (score >= NEUTRAL_BAND) return 'positive';
+  if (score <= -NEUTRAL_BAND) return 'negative';
+  return 'neutral';
+};
+
+/**
+ * Score the sentiment of a text
+ * @param {string} text - Review text
+ * @returns {Object} Sentiment ({ score from -1 to 1, label })
+ */
+const analyzeSentiment = (text) => {
+  const source = typeof text === 'string' ? text : '';
+  const tokens = source.match(TOKEN_PATTERN) || [];
+  // Capitals only stand out in text that is not shouted throughout
+  const mixedCase = /\p{Ll}/u.test(source) && /\p{Lu}/u.test(source);
+
+  const butIndex = tokens.findIndex(token => token.toLowerCase() === 'but');
+  let total = 0;
+
+  tokens.forEach((token, index) => {
+    const word = token.toLowerCase();
+    const emoji = EMOJI[word];
+    let valence = emoji !== undefined ? emoji : WORDS[word.replace(/’/g, "'")];
+    if (valence === undefined) return;
+
+    if (emoji === undefined) {
+      const previous = index > 0 ? tokens[index - 1].toLowerCase() : null;
+      if (previous && INTENSIFIERS[previous] !== undefined) {
+        valence *= 1 + INTENSIFIERS[previous];
+      }
+
+      if (mixedCase && token.length > 1 && token === token.toUpperCase()) {
+        valence *= 1.3;
+      }
+
+      const scope = tokens.slice(Math.max(0, index - NEGATION_SCOPE), index).map(item => item.toLowerCase());
+      if (scope.some(isNegation)) {
+        valence *= NEGATION_FACTOR;
+      }
+    }
+
+    // "Nice design but it crashes all the time" is mostly about the crashes
+    if (butIndex !== -1) {
+      valence *= index < butIndex ? 0.5 : 1.5;
+    }
+
+    total += valence;
+  });
+
+  // Exclamation marks strengthen whatever was said, up to four of them
+  const exclamations = Math.min((source.match(/!/g) || []).length, 4);
+  total += Math.sign(total) * exclamations * 0.3;
+
+  const score = round(total / Math.sqrt(total * total + NORMALIZATION_ALPHA));
+  return { score, label: labelFor(score) };
+};
+
+/**
+ * Tell whether a review's text contradicts its star rating
+ * @param {Object} comment - Review with rating and sentiment
+ * @returns {boolean} Whether it is 4-5 stars with clearly negative text, or 1-2 stars with clearly positive text
+ */
+const isMismatch = ({ rating, sentiment }) => (rating >= 4 && sentiment.score <= -MISMATCH_SCORE) ||
+  (rating >= 1 && rating <= 2 && sentiment.score >= MISMATCH_SCORE);
+
+/**
+ * Attach a sentiment to every review
+ * @param {Array} comments - Reviews
+ * @returns {Array} Copies of the reviews with a sentiment field
+ */
+const addSentiment = (comments) => comments.map(comment => ({
+  ...comment,
+  sentiment: comment.sentiment || analyzeSentiment(comment.text)
+}));
+
+/**
+ * Summarize the sentiment of a set of reviews
+ * @param {Array} comments - Reviews, with or without a sentiment field
+ * @returns {Object} Label distribution, average score overall and by star rating, and star/sentiment mismatches
+ */
+const summarizeSentiment = (comments) => {
+  const scored = addSentiment(comments);
+  const distribution = { positive: 0, neutral: 0, negative: 0 };
+  const byRating = {};
+  let total = 0;
+
+  scored.forEach(({ rating, sentiment }) => {
+    distribution[sentiment.label] += 1;
+    total += sentiment.score;
+
+    const key = rating || 0;
+    byRating[key] = byRating[key] || { count: 0, total: 0 };
+    byRating[key].count += 1;
+    byRating[key].total += sentiment.score;
+  });
+
+  const averageByRating = {};
+  Object.keys(byRating).forEach(rating => {
+    averageByRating[rating] = round(byRating[rating].total / byRating[rating].count);
+  });
+
+  // The starkest contradictions first
+  const mismatches = scored
+    .filter(isMismatch)
+    .sort((a, b) => Math.abs(b.sentiment.score) - Math.abs(a.sentiment.score))
+    .slice(0, MAX_MISMATCHES)
+    .map(({ id, author, rating, date, text, sentiment }) => ({ id, author, rating, date, text, sentiment }));
+
+  return {
+    distribution,
+    averageScore: scored.length > 0 ? round(total / scored.length) : 0,
+    averageByRating,
+    mismatches
+  };
+};
+
+module.exports = {
+  analyzeSentiment,
+  addSentiment,
+  summarizeSentiment
+};
@@ -0,0 +1,226 @@
+/**
+ * Review time series
+ *
+ * Buckets reviews by local day, week (starting Monday) or month in a given
+ * time zone, and summarizes the ratings of each bucket: volume, average,
+ * helpfulness-weighted average, a confidence interval and star distribution.
+ */
+
+const INTERVALS = ['day', 'week', 'month'];
+
+// Most buckets in a series; older ones are dropped
+const MAX_BUCKETS = 1000;
+// z-score of a two-sided 95% confidence interval
+const Z_95 = 1.96;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One formatter per time zone, as building them is slow
+const formatters = new Map();
+
+/**
+ * Tell whether a time zone name is known
+ * @param {string} timeZone - IANA time zone, e.g. Europe/Berlin
+ * @returns {boolean} Whether it can be used
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the local calendar day of an instant
+ * @param {number} time - Milliseconds since the epoch
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { year, month (1-12), day }
+ */
+const localDay = (time, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: 'numeric', day: 'numeric' }));
+  }
+
+  const parts = {};
+  formatters.get(timeZone).formatToParts(new Date(time)).forEach(({ type, value }) => {
+    parts[type] = parseInt(value);
+  });
+  return { year: parts.year, month: parts.month, day: parts.day };
+};
+
+/**
+ * Get the local calendar day of a review
+ * Reviews without a submission time only have a day, which is taken as is.
+ * @param {Object} review - Review
+ * @param {string} timeZone - IANA time zone
+ * @returns {number|null} The day as a UTC midnight timestamp, or null when unknown
+ */
+const reviewDay = (review, timeZone) => {
+  if (review.submittedAt) {
+    const time = Date.parse(review.submittedAt);
+    if (!isNaN(time)) {
+      const { year, month, day } = localDay(time, timeZone);
+      return Date.UTC(year, month - 1, day);
+    }
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(review.date || '');
+  return match ? Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])) : null;
+};
+
+/**
+ * Move a day to the start of its bucket
+ * @param {number} day - Day as a UTC midnight timestamp
+ * @param {string} interval - day, week or month
+ * @returns {number} Bucket start as a UTC midnight timestamp
+ */
+const bucketStart = (day, interval) => {
+  const date = new Date(day);
+  if (interval === 'week') return day - ((date.getUTCDay() + 6) % 7) * DAY_MS;
+  if (interval === 'month') return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+  return day;
+};
+
+/**
+ * Get the start of the bucket after a given one
+ * @param {number} start - Bucket start as a UTC midnight timestamp
+ * @param {string} interval - day, week or month
+ * @returns {number} Next bucket start
+ */
+const nextBucket = (start, interval) => {
+  const date = new Date(start);
+  if (interval === 'week') return start + 7 * DAY_MS;
+  if (interval === 'month') return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+  return start + DAY_MS;
+};
+
+/**
+ * Label a bucket
+ * @param {number} start - Bucket start as a UTC midnight timestamp
+ * @param {string} interval - day, week or month
+ * @returns {string} YYYY-MM for months, otherwise the first day as YYYY-MM-DD
+ */
+const bucketLabel = (start, interval) => {
+  const label = new Date(start).toISOString().substring(0, 10);
+  return interval === 'month' ? label.substring(0, 7) : label;
+};
+
+/**
+ * Round a number for output
+ * @param {number} value - Number
+ * @returns {number} Number rounded to two decimals
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Summarize a set of ratings
+ * @param {Array} reviews - Reviews with a rating from 1 to 5; others are skipped
+ * @returns {Object} { count, averageRating, weightedRating, confidence, ratingDistribution }
+ */
+const summarizeRatings = (reviews) => {
+  const ratingDistribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let count = 0;
+  let total = 0;
+  let squares = 0;
+  let weighted = 0;
+  let weights = 0;
+
+  reviews.forEach(({ rating, helpful }) => {
+    if (!(rating >= 1 && rating <= 5)) return;
+
+    // Every review counts once, plus once for each reader who found it helpful
+    const weight = 1 + (helpful > 0 ? helpful : 0);
+    ratingDistribution[rating] += 1;
+    count += 1;
+    total += rating;
+    squares += rating * rating;
+    weighted += rating * weight;
+    weights += weight;
+  });
+
+  if (count === 0) {
+    return { count, averageRating: null, weightedRating: null, confidence: null, ratingDistribution };
+  }
+
+  const mean = total / count;
+  let confidence = null;
+  if (count > 1) {
+    const variance = Math.max(0, (squares - count * mean * mean) / (count - 1));
+    const margin = Z_95 * Math.sqrt(variance / count);
+    confidence = {
+      level: 0.95,
+      lower: round(Math.max(1, mean - margin)),
+      upper: round(Math.min(5, mean + margin)),
+      margin: round(margin)
+    };
+  }
+
+  return {
+    count,
+    averageRating: round(mean),
+    weightedRating: round(weighted / weights),
+    confidence,
+    ratingDistribution
+  };
+};
+
+/**
+ * Build the rating time series of a set of reviews
+ * @param {Array} reviews - Reviews
+ * @param {Object} options - Options
+ * @param {string} options.interval - day, week or month
+ * @param {string} options.timeZone - IANA time zone the buckets follow
+ * @param {number} options.window - Buckets in each rolling average
+ * @returns {Object} { interval, timeZone, window, buckets } with buckets oldest first, empty ones included
+ */
+const computeTimeSeries = (reviews, { interval = 'month', timeZone = 'UTC', window = 3 } = {}) => {
+  const groups = new Map();
+  reviews.forEach(review => {
+    const day = reviewDay(review, timeZone);
+    if (day === null) return;
+
+    const start = bucketStart(day, interval);
+    if (!groups.has(start)) groups.set(start, []);
+    groups.get(start).push(review);
+  });
+
+  const starts = [...groups.keys()].sort((a, b) => a - b);
+  const series = [];
+  if (starts.length > 0) {
+    for (let start = starts[0]; start <= starts[starts.length - 1]; start = nextBucket(start, interval)) {
+      series.push({ start, reviews: groups.get(start) || [] });
+    }
+  }
+
+  const buckets = series.map(({ start, reviews: members }, index) => {
+    const { count, averageRating, weightedRating, confidence, ratingDistribution } = summarizeRatings(members);
+    // Rolling averages weigh buckets by their reviews, so a quiet one counts less
+    const rolling = summarizeRatings(series.slice(Math.max(0, index - window + 1), index + 1).flatMap(bucket => bucket.reviews));
+
+    return {
+      bucket: bucketLabel(start, interval),
+      count,
+      averageRating,
+      rollingAverageRating: rolling.averageRating,
+      weightedRating,
+      confidence,
+      ratingDistribution
+    };
+  });
+
+  return {
+    interval,
+    timeZone,
+    window,
+    buckets: buckets.slice(-MAX_BUCKETS)
+  };
+};
+
+module.exports = {
+  INTERVALS,
+  isValidTimeZone,
+  summarizeRatings,
+  computeTimeSeries
+};
@@ -0,0 +1,343 @@
+/**
+ * Review topics
+ *
+ * Finds what a set of reviews talks about: review texts are split into
+ * phrases at punctuation and stopwords, candidate keyphrases (1-3 word
+ * n-grams) are ranked by TF-IDF with each review as a document, and
+ * keyphrases found in largely the same reviews are merged into one topic.
+ * Words are compared on a light stem, so "crash", "crashes" and "crashing"
+ * count as the same word.
+ */
+
+// Words that never start, end or make up a keyphrase
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'both', 'but', 'by', 'can', 'cannot', 'cant',
+  'could', 'did', 'didn', 'do', 'does', 'doesn', 'doing', 'don', 'dont', 'down', 'during',
+  'each', 'even', 'ever', 'every', 'few', 'for', 'from', 'further', 'get', 'gets', 'getting',
+  'got', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'him', 'his', 'how', 'i',
+  'if', 'im', 'in', 'into', 'is', 'isn', 'it', 'its', 'itself', 'just', 'let', 'like', 'lot',
+  'make', 'makes', 'me', 'more', 'most', 'much', 'my', 'myself', 'no', 'nor', 'not', 'now',
+  'of', 'off', 'ok', 'okay', 'on', 'once', 'one', 'only', 'or', 'other', 'our', 'ours', 'out',
+  'over', 'own', 'please', 'pretty', 'quite', 'really', 'same', 'she', 'should', 'since', 'so',
+  'some', 'still', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them', 'then', 'there',
+  'these', 'they', 'thing', 'things', 'this', 'those', 'through', 'to', 'too', 'under', 'until',
+  'up', 'us', 'use', 'used', 'using', 'very', 'was', 'wasn', 'way', 'we', 'well', 'were', 'what',
+  'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'won', 'would', 'yes',
+  'yet', 'you', 'your', 'yours', 'yourself',
+  // Words every review of an app uses
+  'app', 'apps', 'application', 'phone', 'star', 'stars'
+]);
+
+// Longest keyphrase, in words
+const MAX_PHRASE_WORDS = 3;
+// Keyphrases considered for topics, best scored first
+const MAX_CANDIDATES = 200;
+// Related keyphrases listed per topic
+const MAX_PHRASES = 5;
+// Example review IDs listed per topic
+const MAX_EXAMPLES = 3;
+// Share of the smaller keyphrase's reviews that a related keyphrase must also cover
+const MERGE_OVERLAP = 0.5;
+// Share of their combined reviews that two unrelated keyphrases must have in common
+const MERGE_JACCARD = 0.6;
+// Share of the best keyphrase's reviews that a longer keyphrase needs to name the topic
+const LABEL_COVERAGE = 0.5;
+// Relative change in share from which a topic counts as rising or falling
+const TREND_CHANGE = 0.25;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reduce a word to a light stem
+ * @param {string} word - Lowercased word
+ * @returns {string} Stem
+ */
+const stem = (word) => {
+  if (word.length <= 4) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3);
+  if (word.endsWith('ed') && word.length > 5) return word.slice(0, -2);
+  if (word.endsWith('es') && /(ch|sh|ss|x)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+};
+
+/**
+ * Split a text into runs of content words
+ * Punctuation, numbers and stopwords end a run, so no keyphrase spans them.
+ * @param {string} text - Review text
+ * @returns {Array} Runs, each an array of lowercased words
+ */
+const tokenize = (text) => {
+  const runs = [];
+  const fragments = String(text || '').toLowerCase().split(/[.,!?;:()[\]{}"“”\n]+/);
+
+  fragments.forEach(fragment => {
+    let run = [];
+    (fragment.match(/[\p{L}\p{N}][\p{L}\p{N}'’]*/gu) || []).forEach(token => {
+      const word = token.replace(/['’]s$/, '').replace(/['’]/g, '');
+      // Contractions ("won't", "I've") are function words too
+      const contracted = /['’](t|ve|re|ll|d|m)$/.test(token);
+      if (contracted || word.length < 2 || /^\d+$/.test(word) || STOPWORDS.has(word)) {
+        if (run.length > 0) runs.push(run);
+        run = [];
+        return;
+      }
+      run.push(word);
+    });
+    if (run.length > 0) runs.push(run);
+  });
+
+  return runs;
+};
+
+/**
+ * Count the keyphrases of one review
+ * @param {string} text - Review text
+ * @returns {Object} { terms: Map of stemmed phrase to { count, surface }, length: number of content words }
+ */
+const countPhrases = (text) => {
+  const terms = new Map();
+  let length = 0;
+
+  tokenize(text).forEach(run => {
+    length += run.length;
+    for (let size = 1; size <= MAX_PHRASE_WORDS; size++) {
+      for (let start = 0; start + size <= run.length; start++) {
+        const words = run.slice(start, start + size);
+        const key = words.map(stem).join(' ');
+        const term = terms.get(key) || { count: 0, surface: words.join(' ') };
+        term.count += 1;
+        terms.set(key, term);
+      }
+    }
+  });
+
+  return { terms, length };
+};
+
+/**
+ * Round a number for output
+ * @param {number} value - Number
+ * @param {number} digits - Decimal places
+ * @returns {number} Rounded number
+ */
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Get the time of a review
+ * @param {Object} review - Review
+ * @returns {number} Milliseconds since the epoch, NaN when unknown
+ */
+const reviewTime = (review) => Date.parse(review.submittedAt || review.date);
+
+/**
+ * Split time into the current and the previous period
+ * @param {number} days - Period length in days
+ * @param {Date} now - End of the current period
+ * @returns {Object} { current, previous }, each { from, to } in milliseconds
+ */
+const periodsFor = (days, now = new Date()) => {
+  const to = now.getTime();
+  const from = to - days * DAY_MS;
+  return {
+    current: { from, to },
+    previous: { from: from - days * DAY_MS, to: from }
+  };
+};
+
+/**
+ * Tell which period a review falls in
+ * @param {Object} review - Review
+ * @param {Object} periods - Periods from periodsFor
+ * @returns {string|null} current, previous, or null when outside both
+ */
+const periodOf = (review, periods) => {
+  const time = reviewTime(review);
+  if (isNaN(time)) return null;
+  if (time >= periods.current.from && time <= periods.current.to) return 'current';
+  if (time >= periods.previous.from && time < periods.previous.to) return 'previous';
+  return null;
+};
+
+/**
+ * Compare how much of each period's reviews mention a topic
+ * Shares, not counts, are compared so a period with fewer sampled reviews
+ * does not look like a drop.
+ * @param {Array} reviews - Reviews of the topic
+ * @param {Object} periods - Periods from periodsFor
+ * @param {Object} totals - Reviews per period, { current, previous }
+ * @returns {Object} Trend ({ current, previous, change, direction: rising, falling, steady, new or unknown })
+ */
+const trendFor = (reviews, periods, totals) => {
+  const counts = { current: 0, previous: 0 };
+  reviews.forEach(review => {
+    const period = periodOf(review, periods);
+    if (period) counts[period] += 1;
+  });
+
+  const share = period => (totals[period] > 0 ? counts[period] / totals[period] : 0);
+  const current = share('current');
+  const previous = share('previous');
+
+  let direction = 'steady';
+  let change = null;
+  if (previous > 0) {
+    change = round((current - previous) / previous);
+    if (change >= TREND_CHANGE) direction = 'rising';
+    if (change <= -TREND_CHANGE) direction = 'falling';
+  } else if (current > 0) {
+    // Without reviews from the previous period there is nothing to compare with
+    direction = totals.previous > 0 ? 'new' : 'unknown';
+  }
+
+  return {
+    current: { count: counts.current, share: round(current, 3) },
+    previous: { count: counts.previous, share: round(previous, 3) },
+    change,
+    direction
+  };
+};
+
+/**
+ * Tell whether two keyphrases describe the same topic
+ * @param {Object} a - Topic ({ keys, reviews: Set of review indexes })
+ * @param {Object} b - Candidate keyphrase ({ key, reviews: Set of review indexes })
+ * @returns {boolean} Whether they share a word and most reviews, or nearly all reviews
+ */
+const related = (a, b) => {
+  let common = 0;
+  b.reviews.forEach(index => {
+    if (a.reviews.has(index)) common += 1;
+  });
+  if (common === 0) return false;
+
+  const words = new Set(a.keys.flatMap(key => key.split(' ')));
+  const sharesWord = b.key.split(' ').some(word => words.has(word));
+  const overlap = common / Math.min(a.reviews.size, b.reviews.size);
+  const jaccard = common / (a.reviews.size + b.reviews.size - common);
+
+  return (sharesWord && overlap >= MERGE_OVERLAP) || jaccard >= MERGE_JACCARD;
+};
+
+/**
+ * Extract the topics of a set of reviews
+ * @param {Array} reviews - Reviews
+ * @param {Object} options - Options
+ * @param {number} options.maxTopics - Most topics returned
+ * @param {number} options.minReviews - Fewest reviews a keyphrase must appear in
+ * @param {Object} options.periods - Periods from periodsFor, for trends
+ * @param {Object} options.totals - Reviews per period, { current, previous }
+ * @returns {Array} Topics, those in the most reviews first
+ */
+const extractTopics = (reviews, options = {}) => {
+  const { maxTopics = 10, minReviews = 2, periods = periodsFor(30), totals = { current: 0, previous: 0 } } = options;
+  const documents = reviews.map(review => countPhrases(review.text));
+
+  // Document frequency, summed term frequency and the most common wording of each keyphrase
+  const candidates = new Map();
+  documents.forEach(({ terms, length }, index) => {
+    terms.forEach(({ count, surface }, key) => {
+      const candidate = candidates.get(key) || { key, reviews: new Set(), tf: 0, surfaces: {} };
+      candidate.reviews.add(index);
+      candidate.tf += count / length;
+      candidate.surfaces[surface] = (candidate.surfaces[surface] || 0) + count;
+      candidates.set(key, candidate);
+    });
+  });
+
+  const ranked = [...candidates.values()]
+    .filter(candidate => candidate.reviews.size >= minReviews)
+    .map(candidate => {
+      const idf = Math.log((1 + documents.length) / (1 + candidate.reviews.size)) + 1;
+      const phrase = Object.keys(candidate.surfaces).sort((a, b) => candidate.surfaces[b] - candidate.surfaces[a])[0];
+      return { ...candidate, phrase, score: candidate.tf * idf };
+    })
+    .sort((a, b) => b.score - a.score || b.reviews.size - a.reviews.size || a.key.localeCompare(b.key))
+    .slice(0, MAX_CANDIDATES);
+
+  // Each keyphrase joins the first related topic, or starts one while there is room
+  const clusters = [];
+  ranked.forEach(candidate => {
+    const cluster = clusters.find(existing => related(existing, candidate));
+    if (cluster) {
+      cluster.candidates.push(candidate);
+      cluster.keys.push(candidate.key);
+      cluster.score += candidate.score;
+      candidate.reviews.forEach(index => cluster.reviews.add(index));
+    } else if (clusters.length < maxTopics) {
+      clusters.push({ candidates: [candidate], keys: [candidate.key], score: candidate.score, reviews: new Set(candidate.reviews) });
+    }
+  });
+
+  return clusters
+    .sort((a, b) => b.reviews.size - a.reviews.size || b.score - a.score)
+    .map(cluster => {
+      // Name the topic by its most specific keyphrase that still covers
+      // half the reviews of the best one ("dark mode" rather than "dark")
+      const [best] = cluster.candidates;
+      const label = cluster.candidates
+        .filter(candidate => candidate.reviews.size >= best.reviews.size * LABEL_COVERAGE)
+        .reduce((longest, candidate) => (candidate.key.split(' ').length > longest.key.split(' ').length ? candidate : longest));
+      const phrases = [label, ...cluster.candidates.filter(candidate => candidate !== label)]
+        .slice(0, MAX_PHRASES)
+        .map(candidate => candidate.phrase);
+
+      const members = [...cluster.reviews].map(index => reviews[index]);
+      const rated = members.filter(review => review.rating);
+      // The most helpful reviews make the best examples, then the newest
+      const examples = [...members]
+        .sort((a, b) => (b.helpful || 0) - (a.helpful || 0) || (reviewTime(b) || 0) - (reviewTime(a) || 0))
+        .slice(0, MAX_EXAMPLES);
+
+      return {
+        topic: label.phrase,
+        phrases,
+        score: round(cluster.score, 3),
+        count: members.length,
+        averageRating: rated.length > 0 ? round(rated.reduce((sum, review) => sum + review.rating, 0) / rated.length) : null,
+        trend: trendFor(members, periods, totals),
+        exampleReviewIds: examples.map(review => review.id)
+      };
+    });
+};
+
+/**
+ * Extract the topics of all reviews and of the negative (1-2 star) ones
+ * @param {Array} reviews - Reviews
+ * @param {Object} options - Options
+ * @param {number} options.days - Period length in days, for trends
+ * @param {number} options.maxTopics - Most topics per list
+ * @param {Date} [options.now] - End of the current period
+ * @returns {Object} { topics, negativeTopics, periods }
+ */
+const summarizeTopics = (reviews, { days = 30, maxTopics = 10, now = new Date() } = {}) => {
+  const periods = periodsFor(days, now);
+  // Trends of negative topics are shares of all reviews, so complaints
+  // growing in number show up even when praise grows too
+  const totals = { current: 0, previous: 0 };
+  reviews.forEach(review => {
+    const period = periodOf(review, periods);
+    if (period) totals[period] += 1;
+  });
+
+  const negative = reviews.filter(review => review.rating >= 1 && review.rating <= 2);
+  const period = name => ({
+    from: new Date(periods[name].from).toISOString(),
+    to: new Date(periods[name].to).toISOString(),
+    reviews: totals[name]
+  });
+
+  return {
+    topics: extractTopics(reviews, { maxTopics, periods, totals }),
+    negativeTopics: extractTopics(negative, { maxTopics, periods, totals }),
+    periods: { current: period('current'), previous: period('previous') }
+  };
+};
+
+module.exports = {
+  tokenize,
+  extractTopics,
+  summarizeTopics
+};
@@ -0,0 +1,168 @@
+/**
+ * Webhook event names and target checks
+ */
+
+const dns = require('dns');
+const net = require('net');
+const config = require('../config/config');
+
+// Events a subscription can receive
+const WEBHOOK_EVENTS = ['reviews.new', 'reviews.updated', 'reviews.anomaly'];
+
+// IPv4 ranges that do not reach the public internet, as [network, prefix length]
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, including cloud metadata services
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // protocol assignments
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved and broadcast
+];
+
+/**
+ * Convert a dotted IPv4 address to a number
+ * @param {string} address - IPv4 address
+ * @returns {number} Address as an unsigned 32-bit number
+ */
+const ipv4ToNumber = (address) => address.split('.').reduce((value, part) => value * 256 + parseInt(part), 0);
+
+/**
+ * Tell whether an IPv4 address is in a private or reserved range
+ * @param {string} address - IPv4 address
+ * @returns {boolean} Whether the address is not publicly routable
+ */
+const isPrivateIPv4 = (address) => {
+  const value = ipv4ToNumber(address);
+  return PRIVATE_IPV4_RANGES.some(([network, prefix]) => {
+    const size = 2 ** (32 - prefix);
+    return Math.floor(value / size) === Math.floor(ipv4ToNumber(network) / size);
+  });
+};
+
+/**
+ * Expand an IPv6 address into its eight 16-bit groups
+ * A trailing dotted IPv4 part (::127.0.0.1) becomes the last two groups.
+ * @param {string} address - Valid IPv6 address
+ * @returns {Array} Eight numbers
+ */
+const ipv6Groups = (address) => {
+  let text = address.toLowerCase();
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const value = ipv4ToNumber(dotted[1]);
+    text = `${text.slice(0, -dotted[1].length)}${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const parse = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+  const before = parse(head);
+  const after = tail === undefined ? [] : parse(tail);
+  return [...before, ...new Array(8 - before.length - after.length).fill(0), ...after];
+};
+
+/**
+ * Get the IPv4 address embedded in an IPv6 address
+ * Covers IPv4-compatible (::a.b.c.d), IPv4-mapped (::ffff:a.b.c.d),
+ * IPv4-translated (::ffff:0:a.b.c.d) and NAT64 (64:ff9b::a.b.c.d) addresses,
+ * in dotted or hex notation.
+ * @param {Array} groups - Eight 16-bit groups
+ * @returns {string|null} Dotted IPv4 address, or null when none is embedded
+ */
+const embeddedIPv4 = (groups) => {
+  const zeros = count => groups.slice(0, count).every(group => group === 0);
+  const embeds = (zeros(6) && (groups[6] !== 0 || groups[7] > 1)) ||
+    (zeros(5) && groups[5] === 0xffff) ||
+    (zeros(4) && groups[4] === 0xffff && groups[5] === 0) ||
+    (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0));
+  if (!embeds) return null;
+
+  return [groups[6] >> 8, groups[6] & 255, groups[7] >> 8, groups[7] & 255].join('.');
+};
+
+/**
+ * Tell whether an IPv6 address is unspecified, loopback, unique local,
+ * link-local, multicast or embeds a private IPv4 address
+ * @param {string} address - IPv6 address
+ * @returns {boolean} Whether the address is not publicly routable
+ */
+const isPrivateIPv6 = (address) => {
+  const groups = ipv6Groups(address);
+
+  // :: and ::1
+  if (groups.slice(0, 7).every(group => group === 0) && groups[7] <= 1) return true;
+
+  const ipv4 = embeddedIPv4(groups);
+  if (ipv4) return isPrivateIPv4(ipv4);
+
+  // fc00::/7 unique local, fe80::/10 link-local, ff00::/8 multicast
+  const first = groups[0];
+  return (first & 0xfe00) === 0xfc00 || (first & 0xffc0) === 0xfe80 || (first & 0xff00) === 0xff00;
+};
+
+/**
+ * Tell whether a host name or IP address is local or private
+ * @param {string} hostname - Host name or IP address, as in a URL
+ * @returns {boolean} Whether the host is localhost or a private, loopback or link-local address
+ */
+const isPrivateHost = (hostname) => {
+  const host = String(hostname).toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+  if (net.isIPv4(host)) return isPrivateIPv4(host);
+  if (net.isIPv6(host)) return isPrivateIPv6(host);
+  return false;
+};
+
+/**
+ * Tell whether a webhook may be delivered to a URL
+ * Local and private hosts are refused unless listed in WEBHOOK_ALLOWED_HOSTS.
+ * @param {string} url - Target URL
+ * @returns {boolean} Whether the URL is an http or https URL on an allowed host
+ */
+const isAllowedTarget = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) return false;
+  if (config.webhooks.allowedHosts.includes(parsed.hostname.toLowerCase())) return true;
+  return !isPrivateHost(parsed.hostname);
+};
+
+/**
+ * DNS lookup for webhook connections that refuses private addresses
+ * Host names that resolve to a local address are rejected at connect time,
+ * so a public-looking name cannot point a delivery at the internal network.
+ * Same signature as dns.lookup.
+ * @param {string} hostname - Host name
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - Called with (error, address, family) or (error, addresses)
+ */
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const allowed = config.webhooks.allowedHosts.includes(String(hostname).toLowerCase());
+    if (!allowed && addresses.some(isPrivateHost)) {
+      return callback(Object.assign(new Error(`Webhook host ${hostname} resolves to a private address`), { code: 'EADDRNOTALLOWED' }));
+    }
+
+    callback(null, address, family);
+  });
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  isPrivateHost,
+  isAllowedTarget,
+  guardedLookup
+};